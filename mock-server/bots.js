@@ -0,0 +1,33 @@
+// Simple wandering bots for scenarios: pick a random open direction, sometimes drop a bomb
+
+const DIRECTIONS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+// Drive every bot in the lobby's match. Call on each 'tick' event.
+function driveBots(game, lobby, match, options = {}) {
+  const bombChance = options.bombChance !== undefined ? options.bombChance : 0.15;
+  const decideEvery = options.decideEvery || 30; // Ticks between decisions
+  
+  for (const player of match.players) {
+    const member = game.connections.get(player.id);
+    if (!member || member.transport || !player.alive) continue;
+    
+    // Stagger decisions so bots don't all turn on the same tick
+    const offset = parseInt(player.id.replace(/\D/g, ''), 10) || 0;
+    if ((match.tick + offset * 7) % decideEvery !== 0) continue;
+    
+    if (game.random() < bombChance) {
+      match.handleAction(player.id, { type: 'PLACE_BOMB' });
+    }
+    
+    const x = Math.floor(player.x);
+    const y = Math.floor(player.y);
+    const open = DIRECTIONS.filter(([dx, dy]) => {
+      const tile = match.getTile(x + dx, y + dy);
+      return tile === '.' && !match.bombs.some(b => b.x === x + dx && b.y === y + dy);
+    });
+    const [vx, vy] = open.length ? open[Math.floor(game.random() * open.length)] : [0, 0];
+    match.handleAction(player.id, { type: 'MOVE', vx, vy });
+  }
+}
+
+module.exports = { driveBots };
@@ -0,0 +1,68 @@
+// Builds GAME_STATE_DELTA payloads in the shape src/js/delta.js applies
+
+const tileKey = item => `${item.x},${item.y}`;
+const explosionKey = e => `${e.originX}_${e.originY}_${e.timestamp}`;
+
+// Diff two serialized states. Sections with no changes are left out.
+function diffState(prev, next) {
+  const delta = {};
+  
+  const tiles = [];
+  next.map.tiles.forEach((row, y) => {
+    const oldRow = prev.map.tiles[y];
+    for (let x = 0; x < row.length; x++) {
+      if (row[x] !== oldRow[x]) tiles.push([x, y, row[x]]);
+    }
+  });
+  if (tiles.length) delta.tiles = tiles;
+  
+  const players = diffPlayers(prev.players, next.players);
+  if (players) delta.players = players;
+  
+  for (const [field, prevItems, nextItems, keyFn] of [
+    ['bombs', prev.bombs, next.bombs, tileKey],
+    ['upgrades', prev.map.upgrades, next.map.upgrades, tileKey],
+    ['explosions', prev.explosions, next.explosions, explosionKey]
+  ]) {
+    const changes = diffCollection(prevItems, nextItems, keyFn);
+    if (changes) delta[field] = changes;
+  }
+  
+  const fields = {};
+  for (const field of ['gameOver', 'winner']) {
+    if (JSON.stringify(prev[field]) !== JSON.stringify(next[field])) fields[field] = next[field];
+  }
+  if (Object.keys(fields).length) delta.fields = fields;
+  
+  return delta;
+}
+
+// Changed fields by id; new players are sent whole
+function diffPlayers(prevPlayers, nextPlayers) {
+  const updated = [];
+  for (const player of nextPlayers) {
+    const old = prevPlayers.find(p => p.id === player.id);
+    if (!old) {
+      updated.push(player);
+      continue;
+    }
+    const changes = { id: player.id };
+    for (const [key, value] of Object.entries(player)) {
+      if (old[key] !== value) changes[key] = value;
+    }
+    if (Object.keys(changes).length > 1) updated.push(changes);
+  }
+  
+  const removed = prevPlayers.filter(p => !nextPlayers.some(n => n.id === p.id)).map(p => p.id);
+  return updated.length || removed.length ? { updated, removed } : null;
+}
+
+function diffCollection(prevItems, nextItems, keyFn) {
+  const prevKeys = new Set(prevItems.map(keyFn));
+  const nextKeys = new Set(nextItems.map(keyFn));
+  const added = nextItems.filter(item => !prevKeys.has(keyFn(item)));
+  const removed = [...prevKeys].filter(key => !nextKeys.has(key));
+  return added.length || removed.length ? { added, removed } : null;
+}
+
+module.exports = { diffState };
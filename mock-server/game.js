@@ -0,0 +1,561 @@
+// Lobby and match logic of the mock server, independent of the transport
+// Each connection is { send(data), close() }; messages are encoded with the client's own codecs
+
+const EventEmitter = require('events');
+const { Codec } = require('../src/js/codec');
+const { Protocol } = require('../src/js/protocol');
+const { Match } = require('./match');
+const { getMapNames } = require('./maps');
+const { diffState } = require('./delta');
+
+const DEFAULT_SETTINGS = {
+  playerSpeed: 3,
+  bombCount: 1,
+  explosionRange: 2,
+  bombTimer: 3000,
+  upgradeSpawnChance: 0.3
+};
+
+// Limits for UPDATE_SETTINGS (mirrors the sliders in the lobby room)
+const SETTING_RANGES = {
+  playerSpeed: [1, 10],
+  bombCount: [1, 10],
+  explosionRange: [1, 10],
+  bombTimer: [1000, 10000],
+  upgradeSpawnChance: [0, 1]
+};
+
+class MockGame extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.features = options.features || ['timesync', 'delta', 'binary', 'profiles', 'analog'];
+    this.protocolVersion = options.protocolVersion !== undefined ? options.protocolVersion : Protocol.VERSION;
+    this.minClientVersion = options.minClientVersion;
+    this.legacyLobbyField = options.legacyLobbyField || false; // Send 'lobby' instead of 'lobbyInfo'
+    this.echoRequestIds = options.echoRequestIds !== false;
+    this.tickRate = options.tickRate || 60;
+    this.sendEvery = options.sendEvery || 2;       // Broadcast GAME_STATE every N ticks
+    this.returnDelay = options.returnDelay || 3000; // ms from game over to RETURN_TO_LOBBY
+    this.now = options.now || Date.now;
+    this.random = options.random || Math.random;
+    
+    this.connections = new Map(); // playerId -> connection state
+    this.lobbies = new Map();
+    this.nextPlayerId = 1;
+    this.nextLobbyId = 1;
+    this.startTime = this.now();
+    this.middleware = []; // (conn, message) => true to swallow a message
+    this.timer = null;
+  }
+  
+  // --- Connections ---
+  
+  connect(transport) {
+    const conn = {
+      id: `p${this.nextPlayerId++}`,
+      username: null,
+      lobbyId: null,
+      codec: Codec.json,
+      stateMode: 'full',
+      baseline: null, // Last state sent (delta mode)
+      transport: transport
+    };
+    this.connections.set(conn.id, conn);
+    
+    const hello = { type: 'CONNECTED', playerId: conn.id, features: this.features };
+    if (this.protocolVersion > 1) hello.protocolVersion = this.protocolVersion;
+    if (this.minClientVersion) hello.minClientVersion = this.minClientVersion;
+    this.send(conn, hello);
+    
+    this.emit('connection', conn);
+    return conn;
+  }
+  
+  disconnect(conn) {
+    if (!this.connections.has(conn.id)) return;
+    this.leaveLobby(conn);
+    this.connections.delete(conn.id);
+    this.emit('disconnect', conn);
+  }
+  
+  // Close every connection (clients will try to reconnect)
+  dropAll() {
+    for (const conn of [...this.connections.values()]) {
+      if (conn.transport) conn.transport.close();
+      this.disconnect(conn);
+    }
+  }
+  
+  use(fn) {
+    this.middleware.push(fn);
+  }
+  
+  receive(conn, data) {
+    let message;
+    try {
+      message = Codec.decode(data);
+    } catch (e) {
+      console.warn(`[mock] ${conn.id} sent an undecodable frame`);
+      return;
+    }
+    
+    if (!Protocol.isClientMessage(message.type)) {
+      this.reply(conn, message, { type: 'ERROR', message: `Unknown message type: ${message.type}` });
+      return;
+    }
+    if (this.middleware.some(fn => fn(conn, message))) return;
+    
+    this.emit('message', conn, message);
+    this.handleMessage(conn, message);
+  }
+  
+  send(conn, message) {
+    if (!conn.transport) return; // Bots have no connection
+    if (this.legacyLobbyField && message.lobbyInfo) {
+      const { lobbyInfo, ...rest } = message;
+      message = { ...rest, lobby: lobbyInfo };
+    }
+    conn.transport.send(conn.codec.encode(message));
+  }
+  
+  // Answer a command, echoing its requestId
+  reply(conn, request, message) {
+    if (request.requestId && this.echoRequestIds) {
+      message = { ...message, requestId: request.requestId };
+    }
+    this.send(conn, message);
+  }
+  
+  // --- Messages ---
+  
+  handleMessage(conn, message) {
+    switch (message.type) {
+      case 'PING':
+        this.send(conn, {
+          type: 'PONG',
+          seq: message.seq,
+          clientTime: message.clientTime,
+          serverTime: this.now(),
+          serverTick: this.getServerTick(),
+          tickRate: this.tickRate
+        });
+        break;
+      
+      case 'SET_CODEC': {
+        const codec = this.features.includes('binary') && Codec.get(message.codec);
+        if (!codec) {
+          this.reply(conn, message, { type: 'ERROR', message: `Unsupported codec: ${message.codec}` });
+          break;
+        }
+        // Confirm in the old codec, switch afterwards
+        this.send(conn, { type: 'CODEC_SET', codec: codec.name });
+        conn.codec = codec;
+        break;
+      }
+      
+      case 'SET_STATE_MODE':
+        if (this.features.includes('delta')) {
+          conn.stateMode = message.mode === 'delta' ? 'delta' : 'full';
+          conn.baseline = null;
+        }
+        break;
+      
+      // Cosmetics changed after connecting - lobby mates see them on the next lobby update
+      case 'SET_PROFILE': {
+        if (!this.features.includes('profiles')) break;
+        conn.profile = this.cleanProfile(message.profile);
+        const lobby = this.lobbies.get(conn.lobbyId);
+        const member = lobby && lobby.players.find(p => p.id === conn.id);
+        if (member) {
+          member.profile = conn.profile;
+          this.broadcastLobby(lobby, 'LOBBY_UPDATED', conn, message);
+        }
+        break;
+      }
+      
+      case 'REQUEST_FULL_STATE':
+        conn.baseline = null;
+        break;
+      
+      case 'SET_USERNAME':
+        conn.username = String(message.username || '').trim().slice(0, 20) || 'Player';
+        if (message.profile) conn.profile = this.cleanProfile(message.profile);
+        this.reply(conn, message, { type: 'USERNAME_SET', username: conn.username });
+        break;
+      
+      case 'GET_LOBBIES':
+        this.reply(conn, message, { type: 'LOBBY_LIST', lobbies: this.getLobbyList() });
+        break;
+      
+      case 'GET_MAPS':
+        this.reply(conn, message, { type: 'MAP_LIST', maps: getMapNames() });
+        break;
+      
+      case 'CREATE_LOBBY': {
+        if (!getMapNames().includes(message.mapName)) {
+          this.reply(conn, message, { type: 'ERROR', message: `Unknown map: ${message.mapName}` });
+          break;
+        }
+        this.leaveLobby(conn);
+        const lobby = this.createLobby(message.lobbyName, message.mapName, conn.id);
+        this.joinLobby(conn, lobby, message);
+        break;
+      }
+      
+      case 'JOIN_LOBBY': {
+        const lobby = this.lobbies.get(message.lobbyId);
+        const problem = !lobby ? 'lobby not found'
+          : lobby.match ? 'game in progress'
+          : lobby.players.length >= lobby.maxPlayers ? 'lobby is full'
+          : null;
+        if (problem) {
+          this.reply(conn, message, { type: 'ERROR', message: `Could not join lobby: ${problem}` });
+          break;
+        }
+        if (conn.lobbyId !== lobby.id) this.leaveLobby(conn);
+        this.joinLobby(conn, lobby, message);
+        break;
+      }
+      
+      case 'LEAVE_LOBBY':
+        this.leaveLobby(conn);
+        this.reply(conn, message, { type: 'LEFT_LOBBY' });
+        break;
+      
+      case 'SET_READY':
+        this.withLobby(conn, message, lobby => {
+          lobby.players.find(p => p.id === conn.id).ready = message.ready;
+          this.broadcastLobby(lobby, 'LOBBY_UPDATED', conn, message);
+        });
+        break;
+      
+      case 'CHANGE_MAP':
+        this.withHostLobby(conn, message, lobby => {
+          if (!getMapNames().includes(message.mapName)) {
+            this.reply(conn, message, { type: 'ERROR', message: `Unknown map: ${message.mapName}` });
+            return;
+          }
+          lobby.mapName = message.mapName;
+          this.broadcastLobby(lobby, 'LOBBY_UPDATED', conn, message);
+        });
+        break;
+      
+      case 'UPDATE_SETTINGS':
+        this.withHostLobby(conn, message, lobby => {
+          for (const [key, [min, max]] of Object.entries(SETTING_RANGES)) {
+            const value = message.settings[key];
+            if (typeof value === 'number' && Number.isFinite(value)) {
+              lobby.settings[key] = Math.min(max, Math.max(min, value));
+            }
+          }
+          this.broadcastLobby(lobby, 'LOBBY_UPDATED', conn, message);
+        });
+        break;
+      
+      case 'RESET_SETTINGS':
+        this.withHostLobby(conn, message, lobby => {
+          lobby.settings = { ...DEFAULT_SETTINGS };
+          this.broadcastLobby(lobby, 'LOBBY_UPDATED', conn, message);
+        });
+        break;
+      
+      case 'KICK_PLAYER':
+        this.withHostLobby(conn, message, lobby => {
+          const target = this.connections.get(message.playerId);
+          if (!target || target.lobbyId !== lobby.id || target === conn) {
+            this.reply(conn, message, { type: 'ERROR', message: 'Player is not in your lobby' });
+            return;
+          }
+          this.removeFromLobby(target, lobby);
+          this.send(target, { type: 'KICKED_FROM_LOBBY', message: 'You were kicked from the lobby' });
+          this.broadcastLobby(lobby, 'PLAYER_LEFT', conn, message);
+        });
+        break;
+      
+      case 'START_GAME':
+        this.withHostLobby(conn, message, lobby => {
+          const waiting = lobby.players.filter(p => p.id !== lobby.hostId && !p.ready);
+          if (lobby.match) {
+            this.reply(conn, message, { type: 'ERROR', message: 'Game already running' });
+          } else if (waiting.length > 0) {
+            this.reply(conn, message, { type: 'ERROR', message: 'All players must be ready' });
+          } else {
+            this.startMatch(lobby, conn, message);
+          }
+        });
+        break;
+      
+      case 'RETURN_TO_LOBBY_REQUEST':
+        this.withHostLobby(conn, message, lobby => this.returnToLobby(lobby, conn, message));
+        break;
+      
+      case 'PLAYER_ACTION': {
+        const lobby = this.lobbies.get(conn.lobbyId);
+        if (!lobby || !lobby.match) break;
+        const bomb = lobby.match.handleAction(conn.id, message.action);
+        if (bomb) {
+          this.broadcast(lobby, { type: 'BOMB_PLACED', x: bomb.x, y: bomb.y });
+        }
+        break;
+      }
+    }
+  }
+  
+  withLobby(conn, message, fn) {
+    const lobby = this.lobbies.get(conn.lobbyId);
+    if (!lobby) {
+      this.reply(conn, message, { type: 'ERROR', message: 'You are not in a lobby' });
+      return;
+    }
+    fn(lobby);
+  }
+  
+  withHostLobby(conn, message, fn) {
+    this.withLobby(conn, message, lobby => {
+      if (lobby.hostId !== conn.id) {
+        this.reply(conn, message, { type: 'ERROR', message: 'Only the host can do that' });
+        return;
+      }
+      fn(lobby);
+    });
+  }
+  
+  // --- Lobbies ---
+  
+  createLobby(name, mapName, hostId) {
+    const lobby = {
+      id: `lobby-${this.nextLobbyId++}`,
+      name: (name || 'New Game').slice(0, 30),
+      hostId: hostId,
+      mapName: mapName,
+      maxPlayers: 4,
+      players: [],
+      settings: { ...DEFAULT_SETTINGS },
+      match: null,
+      returnTimer: null
+    };
+    this.lobbies.set(lobby.id, lobby);
+    this.emit('lobbyCreated', lobby);
+    return lobby;
+  }
+  
+  joinLobby(conn, lobby, request) {
+    if (!lobby.players.some(p => p.id === conn.id)) {
+      const player = { id: conn.id, username: conn.username || 'Player', ready: false, colorSlot: this.freeColorSlot(lobby) };
+      if (conn.profile) player.profile = conn.profile;
+      lobby.players.push(player);
+    }
+    conn.lobbyId = lobby.id;
+    this.reply(conn, request, { type: 'LOBBY_JOINED', lobbyInfo: this.getLobbyInfo(lobby) });
+    this.broadcastLobby(lobby, 'PLAYER_JOINED', conn);
+    this.emit('playerJoined', lobby, conn);
+  }
+  
+  // Cosmetics are passed through to other clients - keep only short string fields
+  cleanProfile(profile) {
+    const clean = {};
+    for (const key of ['color', 'accessory', 'nameTag']) {
+      if (profile && typeof profile[key] === 'string') clean[key] = profile[key].slice(0, 20);
+    }
+    return clean;
+  }
+  
+  // Lowest palette slot nobody in the lobby holds - players keep theirs until they leave
+  freeColorSlot(lobby) {
+    const used = new Set(lobby.players.map(p => p.colorSlot));
+    let slot = 0;
+    while (used.has(slot)) slot++;
+    return slot;
+  }
+  
+  leaveLobby(conn) {
+    const lobby = this.lobbies.get(conn.lobbyId);
+    if (!lobby) return;
+    this.removeFromLobby(conn, lobby);
+    this.broadcastLobby(lobby, 'PLAYER_LEFT');
+  }
+  
+  removeFromLobby(conn, lobby) {
+    lobby.players = lobby.players.filter(p => p.id !== conn.id);
+    conn.lobbyId = null;
+    conn.baseline = null;
+    if (lobby.match) lobby.match.removePlayer(conn.id);
+    
+    const humans = lobby.players.filter(p => this.connections.get(p.id) && this.connections.get(p.id).transport);
+    if (humans.length === 0) {
+      this.closeLobby(lobby);
+    } else if (lobby.hostId === conn.id) {
+      lobby.hostId = humans[0].id;
+    }
+  }
+  
+  closeLobby(lobby) {
+    clearTimeout(lobby.returnTimer);
+    for (const player of lobby.players) {
+      const member = this.connections.get(player.id);
+      if (member && !member.transport) this.connections.delete(member.id); // Bots go with it
+    }
+    this.lobbies.delete(lobby.id);
+    this.emit('lobbyClosed', lobby);
+  }
+  
+  // Scripted player without a connection. Scenarios drive it through match.handleAction().
+  addBot(lobby, username) {
+    const bot = { id: `bot${this.nextPlayerId++}`, username: username, lobbyId: lobby.id, transport: null };
+    this.connections.set(bot.id, bot);
+    lobby.players.push({ id: bot.id, username: username, ready: true, colorSlot: this.freeColorSlot(lobby) });
+    this.broadcastLobby(lobby, 'PLAYER_JOINED');
+    return bot;
+  }
+  
+  getLobbyList() {
+    return [...this.lobbies.values()].map(lobby => ({
+      id: lobby.id,
+      name: lobby.name,
+      playerCount: lobby.players.length,
+      maxPlayers: lobby.maxPlayers
+    }));
+  }
+  
+  getLobbyInfo(lobby) {
+    return {
+      id: lobby.id,
+      name: lobby.name,
+      hostId: lobby.hostId,
+      mapName: lobby.mapName,
+      playerCount: lobby.players.length,
+      maxPlayers: lobby.maxPlayers,
+      players: lobby.players.map(p => ({ ...p })),
+      settings: { ...lobby.settings }
+    };
+  }
+  
+  // Send a lobby update to every member; the requester's copy echoes its requestId
+  broadcastLobby(lobby, type, requester = null, request = null) {
+    const lobbyInfo = this.getLobbyInfo(lobby);
+    for (const player of lobby.players) {
+      const member = this.connections.get(player.id);
+      if (!member) continue;
+      if (member === requester && request) {
+        this.reply(member, request, { type, lobbyInfo });
+      } else if (member !== requester || type !== 'PLAYER_JOINED') {
+        this.send(member, { type, lobbyInfo });
+      }
+    }
+  }
+  
+  broadcast(lobby, message) {
+    for (const player of lobby.players) {
+      const member = this.connections.get(player.id);
+      if (member) this.send(member, message);
+    }
+  }
+  
+  // --- Matches ---
+  
+  getServerTick() {
+    return Math.floor((this.now() - this.startTime) * this.tickRate / 1000);
+  }
+  
+  startMatch(lobby, requester, request) {
+    lobby.match = new Match(lobby, {
+      tickRate: this.tickRate,
+      startTick: this.getServerTick(),
+      now: this.now,
+      random: this.random
+    });
+    for (const player of lobby.players) {
+      const member = this.connections.get(player.id);
+      if (member) member.baseline = null;
+      if (member === requester) {
+        this.reply(member, request, { type: 'GAME_STARTED' });
+      } else if (member) {
+        this.send(member, { type: 'GAME_STARTED' });
+      }
+    }
+    this.sendState(lobby);
+    this.emit('matchStarted', lobby, lobby.match);
+    this.start();
+  }
+  
+  returnToLobby(lobby, requester = null, request = null) {
+    clearTimeout(lobby.returnTimer);
+    lobby.returnTimer = null;
+    lobby.match = null;
+    for (const player of lobby.players) {
+      const member = this.connections.get(player.id);
+      player.ready = !!(member && !member.transport); // Bots are always ready
+    }
+    this.broadcastLobby(lobby, 'RETURN_TO_LOBBY', requester, request);
+    this.emit('matchEnded', lobby);
+  }
+  
+  // Tick loop: runs while any match is in progress
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.update(), 1000 / this.tickRate);
+    this.timer.unref(); // The socket server is what keeps the process alive
+  }
+  
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+  
+  // Step every match up to the wall-clock tick, broadcasting as we go
+  update() {
+    const target = this.getServerTick();
+    let running = false;
+    
+    for (const lobby of this.lobbies.values()) {
+      const match = lobby.match;
+      if (!match || match.gameOver) continue;
+      running = true;
+      
+      while (match.tick < target && !match.gameOver) {
+        this.emit('tick', lobby, match);
+        match.step();
+        if (match.tick % this.sendEvery === 0 || match.gameOver) {
+          this.flushEvents(lobby);
+          this.sendState(lobby);
+        }
+      }
+      
+      if (match.gameOver) {
+        lobby.returnTimer = setTimeout(() => this.returnToLobby(lobby), this.returnDelay);
+        lobby.returnTimer.unref();
+      }
+    }
+    
+    if (!running) this.stop();
+  }
+  
+  flushEvents(lobby) {
+    const events = lobby.match.drainEvents();
+    if (events.length) this.broadcast(lobby, { type: 'GAME_EVENTS', events });
+  }
+  
+  // Full GAME_STATE, or a diff against what this client last received
+  sendState(lobby) {
+    const state = lobby.match.getState();
+    for (const player of lobby.players) {
+      const member = this.connections.get(player.id);
+      if (!member || !member.transport) continue;
+      
+      if (member.stateMode === 'delta' && member.baseline) {
+        const delta = diffState(member.baseline, state);
+        this.send(member, { type: 'GAME_STATE_DELTA', baseTick: member.baseline.tick, tick: state.tick, delta });
+      } else {
+        this.send(member, { type: 'GAME_STATE', state });
+      }
+      member.baseline = state;
+    }
+  }
+  
+  close() {
+    this.stop();
+    for (const lobby of this.lobbies.values()) clearTimeout(lobby.returnTimer);
+  }
+}
+
+module.exports = { MockGame, DEFAULT_SETTINGS };
@@ -0,0 +1,67 @@
+// Maps served by the mock server
+// '#' wall, 'X' box, 'O' hole, '.' floor, 'S' spawn point (floor)
+
+const maps = {
+  classic: [
+    '#############',
+    '#S.XXXXXXX.S#',
+    '#.#X#X#X#X#.#',
+    '#XXXXXXXXXXX#',
+    '#X#X#X#X#X#X#',
+    '#XXXXX.XXXXX#',
+    '#X#X#X#X#X#X#',
+    '#XXXXXXXXXXX#',
+    '#.#X#X#X#X#.#',
+    '#S.XXXXXXX.S#',
+    '#############'
+  ],
+  arena: [
+    '###############',
+    '#S...........S#',
+    '#.#.#.#.#.#.#.#',
+    '#.....XXX.....#',
+    '#.#.#.#O#.#.#.#',
+    '#...XX.O.XX...#',
+    '#.#.#.#O#.#.#.#',
+    '#.....XXX.....#',
+    '#.#.#.#.#.#.#.#',
+    '#S...........S#',
+    '###############'
+  ],
+  pits: [
+    '###########',
+    '#S..O.O..S#',
+    '#.#X#.#X#.#',
+    '#O.X...X.O#',
+    '#.#.#O#.#.#',
+    '#O.X...X.O#',
+    '#.#X#.#X#.#',
+    '#S..O.O..S#',
+    '###########'
+  ]
+};
+
+function getMapNames() {
+  return Object.keys(maps);
+}
+
+// Fresh map for a match: rows as strings, spawn points split out
+function loadMap(name) {
+  const rows = maps[name];
+  if (!rows) return null;
+  
+  const spawns = [];
+  const tiles = rows.map((row, y) => {
+    for (let x = 0; x < row.length; x++) {
+      if (row[x] === 'S') spawns.push({ x: x + 0.5, y: y + 0.5 });
+    }
+    return row.replace(/S/g, '.');
+  });
+  
+  return {
+    map: { name: name, width: rows[0].length, height: rows.length, tiles: tiles, upgrades: [] },
+    spawns: spawns
+  };
+}
+
+module.exports = { maps, getMapNames, loadMap };
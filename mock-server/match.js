@@ -0,0 +1,297 @@
+// One running game: movement, bombs, explosions, upgrades, holes and the win condition
+// Movement and collision mirror src/js/prediction.js so the client's predictions line up
+
+const { loadMap } = require('./maps');
+
+const PLAYER_RADIUS = 0.35;
+const CORNER_ASSIST = 0.4;
+const EXPLOSION_DURATION = 500;   // ms
+const PROPAGATION_DELAY = 20;     // ms per tile
+const UPGRADE_TYPES = ['SPEED', 'BOMB', 'RANGE'];
+const SPEED_BONUS = 0.5;
+
+class Match {
+  // lobby: { mapName, settings, players: [{ id, username }] }
+  constructor(lobby, options = {}) {
+    const { map, spawns } = loadMap(lobby.mapName);
+    this.map = map;
+    this.settings = lobby.settings;
+    this.tickRate = options.tickRate || 60;
+    this.tick = options.startTick || 0;
+    this.now = options.now || Date.now;
+    this.random = options.random || Math.random;
+    
+    this.players = lobby.players.map((p, i) => {
+      const spawn = spawns[i % spawns.length];
+      return {
+        id: p.id,
+        username: p.username,
+        x: spawn.x,
+        y: spawn.y,
+        speed: this.settings.playerSpeed,
+        alive: true,
+        maxBombs: this.settings.bombCount,
+        activeBombs: 0,
+        explosionRange: this.settings.explosionRange,
+        lastInputTick: 0, // Client tick our simulation of this player has reached (0 before any MOVE)
+        vx: 0, // Input direction, not serialized
+        vy: 0
+      };
+    });
+    this.bombs = [];
+    this.explosions = [];
+    this.gameOver = false;
+    this.winner = null;
+    this.events = []; // GAME_EVENTS entries since the last drain
+  }
+  
+  getPlayer(id) {
+    return this.players.find(p => p.id === id);
+  }
+  
+  // PLAYER_ACTION from a client (or a scripted bot)
+  handleAction(playerId, action) {
+    const player = this.getPlayer(playerId);
+    if (!player || !player.alive || this.gameOver) return null;
+    
+    if (action.type === 'MOVE') {
+      // -1..1 per axis: a vector shorter than 1 (analog stick) moves slower
+      const axis = value => (Number.isFinite(value) ? Math.max(-1, Math.min(1, value)) : 0);
+      player.vx = axis(action.vx);
+      player.vy = axis(action.vy);
+      if (typeof action.clientTick === 'number') {
+        player.lastInputTick = action.clientTick;
+      }
+      return null;
+    }
+    
+    if (action.type === 'PLACE_BOMB') {
+      return this.placeBomb(player);
+    }
+    return null;
+  }
+  
+  placeBomb(player) {
+    const x = Math.floor(player.x);
+    const y = Math.floor(player.y);
+    if (player.activeBombs >= player.maxBombs) return null;
+    if (this.bombs.some(b => b.x === x && b.y === y)) return null;
+    
+    const bomb = { x, y, timer: this.settings.bombTimer, ownerId: player.id, range: player.explosionRange };
+    this.bombs.push(bomb);
+    player.activeBombs++;
+    return bomb;
+  }
+  
+  // Advance one tick
+  step() {
+    if (this.gameOver) return;
+    this.tick++;
+    const dt = 1 / this.tickRate;
+    
+    for (const player of this.players) {
+      if (player.alive) this.movePlayer(player, dt);
+      // Each tick simulated here is one more tick of the client's last input - MOVEs only
+      // arrive every few ticks, and the position we send must line up with the tick we ack
+      if (player.lastInputTick > 0) player.lastInputTick++;
+    }
+    
+    for (const bomb of [...this.bombs]) {
+      bomb.timer -= dt * 1000;
+      if (bomb.timer <= 0 && this.bombs.includes(bomb)) this.explode(bomb);
+    }
+    
+    const now = this.now();
+    this.explosions = this.explosions.filter(e => now - e.timestamp < e.duration);
+    
+    for (const player of this.players) {
+      if (player.alive) this.checkTile(player, now);
+    }
+    this.checkGameOver();
+  }
+  
+  movePlayer(player, dt) {
+    if (player.vx === 0 && player.vy === 0) return;
+    
+    const length = Math.max(1, Math.hypot(player.vx, player.vy));
+    const vx = player.vx / length * player.speed;
+    const vy = player.vy / length * player.speed;
+    const newX = player.x + vx * dt;
+    const newY = player.y + vy * dt;
+    
+    if (this.canMoveTo(player, newX, newY)) {
+      player.x = newX;
+      player.y = newY;
+      return;
+    }
+    
+    const canMoveX = this.canMoveTo(player, newX, player.y);
+    const canMoveY = this.canMoveTo(player, player.x, newY);
+    if (canMoveX) player.x = newX;
+    if (canMoveY) player.y = newY;
+    
+    // Corner assist: nudge toward the lane center when clipping a corner
+    const nudgeAmount = player.speed * 0.6 * dt;
+    if (!canMoveY && vy !== 0) {
+      const offsetX = player.x - (Math.floor(player.x) + 0.5);
+      if (Math.abs(offsetX) < CORNER_ASSIST && Math.abs(offsetX) > 0.01) {
+        const testX = player.x - Math.sign(offsetX) * Math.min(nudgeAmount, Math.abs(offsetX));
+        if (this.canMoveTo(player, testX, newY)) {
+          player.x = testX;
+          player.y = newY;
+        }
+      }
+    }
+    if (!canMoveX && vx !== 0) {
+      const offsetY = player.y - (Math.floor(player.y) + 0.5);
+      if (Math.abs(offsetY) < CORNER_ASSIST && Math.abs(offsetY) > 0.01) {
+        const testY = player.y - Math.sign(offsetY) * Math.min(nudgeAmount, Math.abs(offsetY));
+        if (this.canMoveTo(player, newX, testY)) {
+          player.x = newX;
+          player.y = testY;
+        }
+      }
+    }
+  }
+  
+  canMoveTo(player, x, y) {
+    for (const [cx, cy] of [[-1, -1], [1, -1], [-1, 1], [1, 1]]) {
+      const tile = this.getTile(Math.floor(x + cx * PLAYER_RADIUS), Math.floor(y + cy * PLAYER_RADIUS));
+      if (tile === undefined || tile === '#' || tile === 'X') return false;
+    }
+    
+    // Bombs block, except the one we're standing on
+    const targetX = Math.floor(x);
+    const targetY = Math.floor(y);
+    const onBomb = b => b.x === Math.floor(player.x) && b.y === Math.floor(player.y);
+    return !this.bombs.some(b => b.x === targetX && b.y === targetY && !onBomb(b));
+  }
+  
+  getTile(x, y) {
+    return this.map.tiles[y]?.[x];
+  }
+  
+  setTile(x, y, tile) {
+    const row = this.map.tiles[y];
+    this.map.tiles[y] = row.substring(0, x) + tile + row.substring(x + 1);
+  }
+  
+  // Blast in four directions; walls stop it, boxes break (and may drop an upgrade), bombs chain
+  explode(bomb) {
+    this.bombs = this.bombs.filter(b => b !== bomb);
+    const owner = this.getPlayer(bomb.ownerId);
+    if (owner) owner.activeBombs = Math.max(0, owner.activeBombs - 1);
+    
+    const tiles = [{ x: bomb.x, y: bomb.y, distance: 0 }];
+    const chained = [];
+    const dropped = [];
+    
+    for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+      for (let distance = 1; distance <= bomb.range; distance++) {
+        const x = bomb.x + dx * distance;
+        const y = bomb.y + dy * distance;
+        const tile = this.getTile(x, y);
+        if (tile === undefined || tile === '#') break;
+        
+        tiles.push({ x, y, distance });
+        const hit = this.bombs.find(b => b.x === x && b.y === y);
+        if (hit) chained.push(hit);
+        
+        if (tile === 'X') {
+          this.setTile(x, y, '.');
+          if (this.random() < this.settings.upgradeSpawnChance) {
+            dropped.push({ x, y, type: UPGRADE_TYPES[Math.floor(this.random() * UPGRADE_TYPES.length)] });
+          }
+          break;
+        }
+      }
+    }
+    
+    // Fire destroys upgrades lying in its path; ones dropped by this blast survive
+    this.map.upgrades = this.map.upgrades
+      .filter(u => !tiles.some(t => t.x === u.x && t.y === u.y))
+      .concat(dropped);
+    
+    this.explosions.push({
+      originX: bomb.x,
+      originY: bomb.y,
+      timestamp: this.now(),
+      duration: EXPLOSION_DURATION,
+      propagationDelay: PROPAGATION_DELAY,
+      tiles: tiles
+    });
+    this.events.push({ type: 'EXPLOSION', tiles: tiles.map(({ x, y }) => ({ x, y })) });
+    
+    for (const next of chained) {
+      if (this.bombs.includes(next)) this.explode(next);
+    }
+  }
+  
+  // Fire, holes and pickups under the player's center
+  checkTile(player, now) {
+    const x = Math.floor(player.x);
+    const y = Math.floor(player.y);
+    
+    const burning = this.explosions.some(e => e.tiles.some(t =>
+      t.x === x && t.y === y && now >= e.timestamp + t.distance * e.propagationDelay));
+    if (burning) {
+      player.alive = false;
+      return;
+    }
+    
+    if (this.getTile(x, y) === 'O') {
+      player.alive = false;
+      this.events.push({ type: 'PLAYER_FELL', playerId: player.id });
+      return;
+    }
+    
+    const upgrade = this.map.upgrades.find(u => u.x === x && u.y === y);
+    if (upgrade) {
+      this.map.upgrades = this.map.upgrades.filter(u => u !== upgrade);
+      if (upgrade.type === 'SPEED') player.speed += SPEED_BONUS;
+      if (upgrade.type === 'BOMB') player.maxBombs++;
+      if (upgrade.type === 'RANGE') player.explosionRange++;
+      this.events.push({ type: 'UPGRADE_COLLECTED', playerId: player.id, upgrade: upgrade });
+    }
+  }
+  
+  // Last one standing wins; a solo game ends when its player dies
+  checkGameOver() {
+    const alive = this.players.filter(p => p.alive);
+    const over = this.players.length > 1 ? alive.length <= 1 : alive.length === 0;
+    if (!over) return;
+    
+    this.gameOver = true;
+    this.winner = alive.length === 1 ? { id: alive[0].id, username: alive[0].username } : null;
+    this.events.push({ type: 'GAME_OVER', winner: this.winner });
+  }
+  
+  // Player left mid-game
+  removePlayer(id) {
+    const player = this.getPlayer(id);
+    if (!player) return;
+    player.alive = false;
+    this.checkGameOver();
+  }
+  
+  drainEvents() {
+    const events = this.events;
+    this.events = [];
+    return events;
+  }
+  
+  // GAME_STATE payload - plain copies so later ticks don't mutate what was sent
+  getState() {
+    return {
+      tick: this.tick,
+      gameOver: this.gameOver,
+      winner: this.winner,
+      map: { ...this.map, tiles: [...this.map.tiles], upgrades: this.map.upgrades.map(u => ({ ...u })) },
+      players: this.players.map(({ vx, vy, ...player }) => ({ ...player })),
+      bombs: this.bombs.map(b => ({ ...b, timer: Math.max(0, Math.round(b.timer)) })),
+      explosions: this.explosions.map(e => ({ ...e, tiles: e.tiles.map(t => ({ ...t })) }))
+    };
+  }
+}
+
+module.exports = { Match };
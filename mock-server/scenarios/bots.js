@@ -0,0 +1,21 @@
+// Bots fill up every lobby a player creates, so there are opponents to interpolate
+
+const { driveBots } = require('../bots');
+
+const BOT_NAMES = ['Botty', 'Boomer']; // Leaves room for a second human
+
+module.exports = {
+  description: 'Each new lobby gets wandering, bomb-dropping bots',
+  options: {},
+  setup(game) {
+    game.on('playerJoined', (lobby) => {
+      const hasBots = lobby.players.some(p => !game.connections.get(p.id)?.transport);
+      if (hasBots) return;
+      const count = Math.min(BOT_NAMES.length, lobby.maxPlayers - lobby.players.length);
+      for (let i = 0; i < count; i++) {
+        game.addBot(lobby, BOT_NAMES[i]);
+      }
+    });
+    game.on('tick', (lobby, match) => driveBots(game, lobby, match));
+  }
+};
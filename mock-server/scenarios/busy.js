@@ -0,0 +1,29 @@
+// Lobby browser with content: an open lobby, a full one and one mid-game
+
+const { driveBots } = require('../bots');
+
+module.exports = {
+  description: 'Pre-populated lobbies (open, full, in progress) with bots',
+  options: {},
+  setup(game) {
+    const open = game.createLobby('Casual Game', 'classic', null);
+    game.addBot(open, 'Alice');
+    open.hostId = open.players[0].id;
+    
+    const full = game.createLobby('Full House', 'arena', null);
+    for (const name of ['Bob', 'Carol', 'Dave', 'Erin']) game.addBot(full, name);
+    full.hostId = full.players[0].id;
+    
+    const playing = game.createLobby('Bot Brawl', 'pits', null);
+    for (const name of ['Frank', 'Grace', 'Heidi']) game.addBot(playing, name);
+    playing.hostId = playing.players[0].id;
+    game.startMatch(playing);
+    
+    game.on('tick', (lobby, match) => driveBots(game, lobby, match));
+    
+    // Bots-only lobbies would otherwise sit in RETURN_TO_LOBBY forever
+    game.on('matchEnded', (lobby) => {
+      if (lobby === playing) setTimeout(() => game.lobbies.has(lobby.id) && game.startMatch(lobby), 2000);
+    });
+  }
+};
@@ -0,0 +1,6 @@
+// Plain server with every protocol feature
+
+module.exports = {
+  description: 'Empty server advertising timesync, delta, binary, profiles and analog',
+  options: {}
+};
@@ -0,0 +1,15 @@
+// Drops every connection on a timer to exercise reconnect, resume and the offline queue
+
+const DROP_INTERVAL = parseInt(process.env.MOCK_DROP_INTERVAL, 10) || 20000;
+
+module.exports = {
+  description: `Disconnects all clients every ${DROP_INTERVAL / 1000}s (MOCK_DROP_INTERVAL=ms)`,
+  options: {},
+  setup(game) {
+    const timer = setInterval(() => {
+      console.log('[mock] Dropping all connections');
+      game.dropAll();
+    }, DROP_INTERVAL);
+    timer.unref();
+  }
+};
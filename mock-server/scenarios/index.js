@@ -0,0 +1,21 @@
+// Scenario registry. A scenario is { description, options, setup(game) }:
+// options are passed to MockGame, setup(game) hooks into its events to script behavior.
+
+const scenarios = {
+  default: require('./default'),
+  bots: require('./bots'),
+  busy: require('./busy'),
+  flaky: require('./flaky'),
+  legacy: require('./legacy'),
+  outdated: require('./outdated')
+};
+
+function get(name) {
+  return scenarios[name] || null;
+}
+
+function all() {
+  return Object.entries(scenarios);
+}
+
+module.exports = { get, all };
@@ -0,0 +1,11 @@
+// Behaves like the original server: protocol 1, no optional features, old field names
+
+module.exports = {
+  description: 'Protocol v1 server: no features, no requestId echo, lobby instead of lobbyInfo',
+  options: {
+    features: [],
+    protocolVersion: 1,
+    legacyLobbyField: true,
+    echoRequestIds: false
+  }
+};
@@ -0,0 +1,9 @@
+// Server that requires a newer client - the client should stop and ask for a refresh
+
+module.exports = {
+  description: 'Requires a newer client protocol (minClientVersion 99)',
+  options: {
+    protocolVersion: 99,
+    minClientVersion: 99
+  }
+};
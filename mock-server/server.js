@@ -0,0 +1,117 @@
+// Mock Bomberman server: serves the client from src/ and speaks the game protocol on /ws
+// Usage: npm run mock-server -- [--port 8080] [--scenario name] [--list]
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { WebSocketServer } = require('ws');
+const { MockGame } = require('./game');
+const scenarios = require('./scenarios');
+
+const STATIC_ROOT = path.join(__dirname, '..', 'src');
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml'
+};
+
+// Start the HTTP + WebSocket server. Resolves once listening.
+function createMockServer(options = {}) {
+  const scenario = scenarios.get(options.scenario || 'default');
+  if (!scenario) {
+    return Promise.reject(new Error(`Unknown scenario: ${options.scenario}`));
+  }
+  
+  const game = new MockGame({ ...scenario.options, ...options.gameOptions });
+  const server = http.createServer((req, res) => serveStatic(req, res));
+  const wss = new WebSocketServer({ server, path: '/ws' });
+  
+  wss.on('connection', (socket) => {
+    const conn = game.connect({
+      send: data => socket.send(typeof data === 'string' ? data : Buffer.from(data)),
+      close: () => socket.close()
+    });
+    
+    socket.on('message', (data, isBinary) => {
+      // Codec.decode tells JSON from binary by type: string vs ArrayBuffer
+      const frame = isBinary
+        ? data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength)
+        : data.toString();
+      game.receive(conn, frame);
+    });
+    socket.on('close', () => game.disconnect(conn));
+  });
+  
+  if (scenario.setup) scenario.setup(game);
+  
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port !== undefined ? options.port : 8080, () => {
+      resolve({
+        game,
+        port: server.address().port,
+        close() {
+          game.close();
+          for (const socket of wss.clients) socket.terminate();
+          wss.close();
+          return new Promise(done => server.close(done));
+        }
+      });
+    });
+  });
+}
+
+function serveStatic(req, res) {
+  const urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+  const filePath = path.join(STATIC_ROOT, urlPath === '/' ? 'index.html' : urlPath);
+  
+  // The separator keeps out siblings such as src-old/
+  if (!filePath.startsWith(STATIC_ROOT + path.sep)) {
+    res.writeHead(403);
+    res.end();
+    return;
+  }
+  
+  fs.readFile(filePath, (err, data) => {
+    if (err) {
+      res.writeHead(404);
+      res.end('Not found');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+    res.end(data);
+  });
+}
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--port') args.port = parseInt(argv[++i], 10);
+    else if (argv[i] === '--scenario') args.scenario = argv[++i];
+    else if (argv[i] === '--list') args.list = true;
+  }
+  return args;
+}
+
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+  
+  if (args.list) {
+    for (const [name, scenario] of scenarios.all()) {
+      console.log(`${name.padEnd(12)} ${scenario.description}`);
+    }
+    process.exit(0);
+  }
+  
+  createMockServer(args).then(({ port }) => {
+    console.log(`Mock server running: http://localhost:${port} (scenario: ${args.scenario || 'default'})`);
+  }).catch(err => {
+    console.error(err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { createMockServer };
@@ -0,0 +1,145 @@
+// Camera / viewport for the game canvas
+// Scales tiles to fit the available space, renders at devicePixelRatio for crisp output,
+// and scrolls smoothly after the local player when the map is bigger than the screen.
+
+const Camera = {
+  // Tile size limits in CSS pixels - below the minimum we scroll instead of shrinking further
+  minTileSize: 24,
+  maxTileSize: 96,
+  baseTileSize: 40,   // Renderer draws in these units; scale maps them to screen pixels
+  followSpeed: 8,     // Scroll smoothing rate (1/s) - higher is snappier
+  fullscreenKey: 'f',
+  
+  tileSize: 40,       // CSS pixels per tile
+  scale: 1,
+  dpr: 1,
+  
+  // Visible area (CSS pixels) and map size (tiles)
+  viewWidth: 0,
+  viewHeight: 0,
+  mapWidth: 0,
+  mapHeight: 0,
+  
+  // View center in tiles
+  x: 0,
+  y: 0,
+  positioned: false,
+  
+  dirty: true,        // Layout changed - Renderer re-measures before the next frame
+  
+  init() {
+    window.addEventListener('resize', () => { this.dirty = true; });
+    document.addEventListener('fullscreenchange', () => { this.dirty = true; });
+    
+    // Also catches the game screen becoming visible (it has no size while hidden)
+    if (typeof ResizeObserver !== 'undefined') {
+      new ResizeObserver(() => { this.dirty = true; }).observe(document.getElementById('game-viewport'));
+    }
+    
+    document.addEventListener('keydown', (e) => {
+      if (!e.key || e.key.toLowerCase() !== this.fullscreenKey || e.repeat || e.ctrlKey || e.metaKey) return;
+      if (typeof UI === 'undefined' || !UI.isScreenActive('game')) return;
+      this.toggleFullscreen();
+    });
+  },
+  
+  toggleFullscreen() {
+    if (document.fullscreenElement) {
+      document.exitFullscreen();
+    } else if (document.documentElement.requestFullscreen) {
+      document.documentElement.requestFullscreen().catch(err => {
+        console.warn('[Camera] Fullscreen not available:', err.message);
+      });
+    }
+  },
+  
+  // Space the canvas may use (CSS pixels): the viewport area minus the wrapper's padding and border
+  measure() {
+    const viewport = document.getElementById('game-viewport');
+    const wrapper = viewport.querySelector('.game-wrapper');
+    const canvas = document.getElementById('game-canvas');
+    const chromeX = wrapper.offsetWidth - canvas.clientWidth;
+    const chromeY = wrapper.offsetHeight - canvas.clientHeight;
+    return {
+      width: Math.max(0, viewport.clientWidth - chromeX),
+      height: Math.max(0, viewport.clientHeight - chromeY)
+    };
+  },
+  
+  // Pick the tile size for a map and the space available; the view is the map or the space, whichever is smaller
+  fit(mapWidth, mapHeight, availableWidth, availableHeight, dpr = 1) {
+    this.mapWidth = mapWidth;
+    this.mapHeight = mapHeight;
+    this.dpr = dpr;
+    this.dirty = false;
+    
+    if (availableWidth > 0 && availableHeight > 0) {
+      const fitSize = Math.floor(Math.min(availableWidth / mapWidth, availableHeight / mapHeight));
+      this.tileSize = Math.min(this.maxTileSize, Math.max(this.minTileSize, fitSize));
+      this.viewWidth = Math.min(mapWidth * this.tileSize, Math.floor(availableWidth));
+      this.viewHeight = Math.min(mapHeight * this.tileSize, Math.floor(availableHeight));
+    } else {
+      // Not laid out yet (hidden screen) - whole map at the base size until we can measure
+      this.tileSize = this.baseTileSize;
+      this.viewWidth = mapWidth * this.tileSize;
+      this.viewHeight = mapHeight * this.tileSize;
+    }
+    
+    this.scale = this.tileSize / this.baseTileSize;
+    this.x = this.clampAxis(this.positioned ? this.x : mapWidth / 2, this.viewWidth, mapWidth);
+    this.y = this.clampAxis(this.positioned ? this.y : mapHeight / 2, this.viewHeight, mapHeight);
+  },
+  
+  // Keep the view inside the map; an axis that fits entirely stays centered
+  clampAxis(center, viewPixels, mapTiles) {
+    const half = viewPixels / this.tileSize / 2;
+    if (half * 2 >= mapTiles) return mapTiles / 2;
+    return Math.min(mapTiles - half, Math.max(half, center));
+  },
+  
+  // Ease toward the target (tile coordinates). The first target snaps so a new game doesn't sweep in.
+  follow(target, dt) {
+    if (!target) return;
+    
+    const goalX = this.clampAxis(target.x, this.viewWidth, this.mapWidth);
+    const goalY = this.clampAxis(target.y, this.viewHeight, this.mapHeight);
+    
+    if (!this.positioned) {
+      this.x = goalX;
+      this.y = goalY;
+      this.positioned = true;
+      return;
+    }
+    
+    const t = 1 - Math.exp(-this.followSpeed * dt);
+    this.x += (goalX - this.x) * t;
+    this.y += (goalY - this.y) * t;
+  },
+  
+  // World (Renderer.tileSize units) -> canvas pixels, as arguments for ctx.setTransform
+  getTransform() {
+    const scale = this.scale * this.dpr;
+    const offsetX = Math.round((this.viewWidth / 2 - this.x * this.tileSize) * this.dpr);
+    const offsetY = Math.round((this.viewHeight / 2 - this.y * this.tileSize) * this.dpr);
+    return [scale, 0, 0, scale, offsetX, offsetY];
+  },
+  
+  // New game - next follow() snaps to the player
+  reset() {
+    this.positioned = false;
+    this.dirty = true;
+  }
+};
+
+// Initialize resize/fullscreen tracking when page loads (skipped under Node tests)
+if (typeof document !== 'undefined') {
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => Camera.init());
+  } else {
+    Camera.init();
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { Camera };
+}
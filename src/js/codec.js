@@ -0,0 +1,462 @@
+// Wire codecs for the game protocol
+// JSON (text frames) is the default. The binary codec packs the hot messages
+// (PLAYER_ACTION MOVE, GAME_STATE) into compact ArrayBuffers and wraps everything else as JSON.
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+// Growable little-endian byte writer
+class BinaryWriter {
+  constructor(size = 256) {
+    this.buffer = new ArrayBuffer(size);
+    this.view = new DataView(this.buffer);
+    this.offset = 0;
+  }
+  
+  ensure(bytes) {
+    if (this.offset + bytes <= this.buffer.byteLength) return;
+    let size = this.buffer.byteLength * 2;
+    while (size < this.offset + bytes) size *= 2;
+    const next = new ArrayBuffer(size);
+    new Uint8Array(next).set(new Uint8Array(this.buffer, 0, this.offset));
+    this.buffer = next;
+    this.view = new DataView(next);
+  }
+  
+  u8(value) {
+    this.ensure(1);
+    this.view.setUint8(this.offset, value);
+    this.offset += 1;
+  }
+  
+  i8(value) {
+    this.ensure(1);
+    this.view.setInt8(this.offset, value);
+    this.offset += 1;
+  }
+  
+  u16(value) {
+    this.ensure(2);
+    this.view.setUint16(this.offset, value, true);
+    this.offset += 2;
+  }
+  
+  u32(value) {
+    this.ensure(4);
+    this.view.setUint32(this.offset, value, true);
+    this.offset += 4;
+  }
+  
+  f32(value) {
+    this.ensure(4);
+    this.view.setFloat32(this.offset, value, true);
+    this.offset += 4;
+  }
+  
+  f64(value) {
+    this.ensure(8);
+    this.view.setFloat64(this.offset, value, true);
+    this.offset += 8;
+  }
+  
+  // Unsigned LEB128 - lengths and counts are usually a single byte
+  varuint(value) {
+    do {
+      let byte = value & 0x7f;
+      value = Math.floor(value / 128);
+      if (value > 0) byte |= 0x80;
+      this.u8(byte);
+    } while (value > 0);
+  }
+  
+  bytes(data) {
+    this.ensure(data.length);
+    new Uint8Array(this.buffer, this.offset, data.length).set(data);
+    this.offset += data.length;
+  }
+  
+  string(value) {
+    const data = textEncoder.encode(value);
+    this.varuint(data.length);
+    this.bytes(data);
+  }
+  
+  finish() {
+    return this.buffer.slice(0, this.offset);
+  }
+}
+
+// Reader matching BinaryWriter
+class BinaryReader {
+  constructor(buffer) {
+    this.view = new DataView(buffer);
+    this.bytesView = new Uint8Array(buffer);
+    this.offset = 0;
+  }
+  
+  u8() {
+    return this.view.getUint8(this.offset++);
+  }
+  
+  i8() {
+    return this.view.getInt8(this.offset++);
+  }
+  
+  u16() {
+    const value = this.view.getUint16(this.offset, true);
+    this.offset += 2;
+    return value;
+  }
+  
+  u32() {
+    const value = this.view.getUint32(this.offset, true);
+    this.offset += 4;
+    return value;
+  }
+  
+  f32() {
+    const value = this.view.getFloat32(this.offset, true);
+    this.offset += 4;
+    return value;
+  }
+  
+  f64() {
+    const value = this.view.getFloat64(this.offset, true);
+    this.offset += 8;
+    return value;
+  }
+  
+  varuint() {
+    let value = 0;
+    let scale = 1;
+    let byte;
+    do {
+      byte = this.u8();
+      value += (byte & 0x7f) * scale;
+      scale *= 128;
+    } while (byte & 0x80);
+    return value;
+  }
+  
+  bytes(length) {
+    const data = this.bytesView.subarray(this.offset, this.offset + length);
+    if (data.length !== length) {
+      throw new RangeError('Binary message truncated');
+    }
+    this.offset += length;
+    return data;
+  }
+  
+  string() {
+    return textDecoder.decode(this.bytes(this.varuint()));
+  }
+  
+  remaining() {
+    return this.bytesView.length - this.offset;
+  }
+}
+
+const Codec = {
+  // Plain JSON over text frames
+  json: {
+    name: 'json',
+    
+    encode(message) {
+      return JSON.stringify(message);
+    },
+    
+    decode(data) {
+      return JSON.parse(data);
+    }
+  },
+  
+  // Compact binary over ArrayBuffer frames. Frame = u8 tag + payload.
+  // Tag 0 is a UTF-8 JSON payload; other tags use the schemas below.
+  binary: {
+    name: 'binary',
+    
+    encode(message) {
+      const writer = new BinaryWriter();
+      const layout = Codec.binaryMessages.find(m => m.type === message.type && m.matches(message));
+      
+      if (layout) {
+        writer.u8(layout.tag);
+        Codec.writeObject(writer, layout.schema, message);
+      } else {
+        writer.u8(0);
+        writer.bytes(textEncoder.encode(JSON.stringify(message)));
+      }
+      return writer.finish();
+    },
+    
+    decode(buffer) {
+      const reader = new BinaryReader(buffer);
+      const tag = reader.u8();
+      
+      if (tag === 0) {
+        return JSON.parse(textDecoder.decode(reader.bytes(reader.remaining())));
+      }
+      
+      const layout = Codec.binaryMessages.find(m => m.tag === tag);
+      if (!layout) {
+        throw new Error(`Unknown binary message tag: ${tag}`);
+      }
+      return Codec.readObject(reader, layout.schema);
+    }
+  },
+  
+  // Messages with a dedicated binary layout
+  binaryMessages: [
+    {
+      tag: 1,
+      type: 'PLAYER_ACTION',
+      schema: 'moveMessage',
+      matches: message => Boolean(message.action && message.action.type === 'MOVE')
+    },
+    {
+      tag: 2,
+      type: 'GAME_STATE',
+      schema: 'stateMessage',
+      matches: () => true
+    }
+  ],
+  
+  // Object layouts (at most 31 fields): [field, type] pairs plus implied constants (not sent).
+  // Each object is written as a presence bitmask, the present fields, then any
+  // leftover fields (unknown, or values that don't fit their type) as JSON.
+  // Types: u8 u16 u32 f32 f64 bool str, i8n (-1..1 quantized to 1/127),
+  // grid (rows of single ASCII chars), obj:<schema>, list:<schema>
+  schemas: {
+    moveMessage: {
+      implied: { type: 'PLAYER_ACTION' },
+      fields: [['action', 'obj:moveAction']]
+    },
+    moveAction: {
+      implied: { type: 'MOVE' },
+      fields: [['vx', 'i8n'], ['vy', 'i8n'], ['x', 'f32'], ['y', 'f32'], ['clientTick', 'u32']]
+    },
+    stateMessage: {
+      implied: { type: 'GAME_STATE' },
+      fields: [['state', 'obj:state']]
+    },
+    state: {
+      fields: [
+        ['tick', 'u32'],
+        ['gameOver', 'bool'],
+        ['map', 'obj:map'],
+        ['players', 'list:player'],
+        ['bombs', 'list:bomb'],
+        ['explosions', 'list:explosion']
+      ]
+    },
+    map: {
+      fields: [['width', 'u16'], ['height', 'u16'], ['tiles', 'grid'], ['upgrades', 'list:upgrade']]
+    },
+    player: {
+      fields: [
+        ['id', 'str'],
+        ['username', 'str'],
+        ['x', 'f32'],
+        ['y', 'f32'],
+        ['speed', 'f32'],
+        ['alive', 'bool'],
+        ['maxBombs', 'u8'],
+        ['activeBombs', 'u8'],
+        ['explosionRange', 'u8'],
+        ['lastInputTick', 'u32']
+      ]
+    },
+    bomb: {
+      fields: [['x', 'u16'], ['y', 'u16'], ['timer', 'f32'], ['ownerId', 'str'], ['range', 'u8']]
+    },
+    upgrade: {
+      fields: [['x', 'u16'], ['y', 'u16'], ['type', 'str']]
+    },
+    explosion: {
+      fields: [
+        ['originX', 'u16'],
+        ['originY', 'u16'],
+        ['timestamp', 'f64'],
+        ['duration', 'u16'],
+        ['propagationDelay', 'u16'],
+        ['tiles', 'list:explosionTile']
+      ]
+    },
+    explosionTile: {
+      fields: [['x', 'u16'], ['y', 'u16'], ['distance', 'u8']]
+    }
+  },
+  
+  // Codec by handshake name (unknown names fall back to JSON)
+  get(name) {
+    return name === 'binary' ? this.binary : this.json;
+  },
+  
+  // Decode an incoming frame - text frames are JSON, binary frames use the binary codec
+  decode(data) {
+    return typeof data === 'string' ? this.json.decode(data) : this.binary.decode(data);
+  },
+  
+  isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  },
+  
+  isInteger(value, max) {
+    return Number.isInteger(value) && value >= 0 && value <= max;
+  },
+  
+  // Whether a value can be written losslessly (f32/i8n: within quantization) as this type
+  fits(type, value) {
+    switch (type) {
+      case 'u8': return this.isInteger(value, 0xff);
+      case 'u16': return this.isInteger(value, 0xffff);
+      case 'u32': return this.isInteger(value, 0xffffffff);
+      case 'i8n': return typeof value === 'number' && value >= -1 && value <= 1;
+      case 'f32':
+      case 'f64': return typeof value === 'number' && Number.isFinite(value);
+      case 'bool': return typeof value === 'boolean';
+      case 'str': return typeof value === 'string';
+      case 'grid': return Array.isArray(value) && value.every(row => this.isGridRow(row));
+    }
+    if (type.startsWith('obj:')) return this.isPlainObject(value);
+    if (type.startsWith('list:')) return Array.isArray(value) && value.every(item => this.isPlainObject(item));
+    return false;
+  },
+  
+  isGridRow(row) {
+    const isChar = c => typeof c === 'string' && c.length === 1 && c.charCodeAt(0) < 128;
+    if (typeof row === 'string') return Array.from(row).every(isChar);
+    return Array.isArray(row) && row.every(isChar);
+  },
+  
+  writeObject(writer, schemaName, obj) {
+    const schema = this.schemas[schemaName];
+    const implied = schema.implied || {};
+    const known = new Set(Object.keys(implied));
+    
+    let mask = 0;
+    schema.fields.forEach(([field, type], i) => {
+      known.add(field);
+      if (obj[field] !== undefined && this.fits(type, obj[field])) {
+        mask |= 1 << i;
+      }
+    });
+    
+    // Leftovers: unknown fields, known ones that didn't fit, implied ones that differ
+    const extras = {};
+    let hasExtras = false;
+    for (const [key, value] of Object.entries(obj)) {
+      if (value === undefined) continue;
+      const index = schema.fields.findIndex(([field]) => field === key);
+      const written = index >= 0 && (mask & (1 << index)) !== 0;
+      const impliedMatch = key in implied && implied[key] === value;
+      if (!written && !impliedMatch) {
+        extras[key] = value;
+        hasExtras = true;
+      }
+    }
+    
+    writer.varuint(mask);
+    schema.fields.forEach(([field, type], i) => {
+      if (mask & (1 << i)) {
+        this.writeValue(writer, type, obj[field]);
+      }
+    });
+    writer.string(hasExtras ? JSON.stringify(extras) : '');
+  },
+  
+  readObject(reader, schemaName) {
+    const schema = this.schemas[schemaName];
+    const obj = { ...(schema.implied || {}) };
+    
+    const mask = reader.varuint();
+    schema.fields.forEach(([field, type], i) => {
+      if (mask & (1 << i)) {
+        obj[field] = this.readValue(reader, type);
+      }
+    });
+    
+    const extras = reader.string();
+    if (extras) {
+      Object.assign(obj, JSON.parse(extras));
+    }
+    return obj;
+  },
+  
+  writeValue(writer, type, value) {
+    switch (type) {
+      case 'u8': return writer.u8(value);
+      case 'u16': return writer.u16(value);
+      case 'u32': return writer.u32(value);
+      case 'i8n': return writer.i8(Math.round(value * 127));
+      case 'f32': return writer.f32(value);
+      case 'f64': return writer.f64(value);
+      case 'bool': return writer.u8(value ? 1 : 0);
+      case 'str': return writer.string(value);
+      case 'grid': return this.writeGrid(writer, value);
+    }
+    if (type.startsWith('obj:')) {
+      return this.writeObject(writer, type.slice(4), value);
+    }
+    if (type.startsWith('list:')) {
+      writer.varuint(value.length);
+      for (const item of value) {
+        this.writeObject(writer, type.slice(5), item);
+      }
+    }
+  },
+  
+  readValue(reader, type) {
+    switch (type) {
+      case 'u8': return reader.u8();
+      case 'u16': return reader.u16();
+      case 'u32': return reader.u32();
+      case 'i8n': return reader.i8() / 127;
+      case 'f32': return reader.f32();
+      case 'f64': return reader.f64();
+      case 'bool': return reader.u8() === 1;
+      case 'str': return reader.string();
+      case 'grid': return this.readGrid(reader);
+    }
+    if (type.startsWith('obj:')) {
+      return this.readObject(reader, type.slice(4));
+    }
+    if (type.startsWith('list:')) {
+      const count = reader.varuint();
+      const items = [];
+      for (let i = 0; i < count; i++) {
+        items.push(this.readObject(reader, type.slice(5)));
+      }
+      return items;
+    }
+  },
+  
+  // Tile grid: row count, then per row a kind byte (0 = string, 1 = char array) + char codes
+  writeGrid(writer, rows) {
+    writer.varuint(rows.length);
+    for (const row of rows) {
+      const chars = typeof row === 'string' ? row : row.join('');
+      writer.u8(typeof row === 'string' ? 0 : 1);
+      writer.varuint(chars.length);
+      for (let i = 0; i < chars.length; i++) {
+        writer.u8(chars.charCodeAt(i));
+      }
+    }
+  },
+  
+  readGrid(reader) {
+    const count = reader.varuint();
+    const rows = [];
+    for (let i = 0; i < count; i++) {
+      const kind = reader.u8();
+      const chars = String.fromCharCode(...reader.bytes(reader.varuint()));
+      rows.push(kind === 0 ? chars : Array.from(chars));
+    }
+    return rows;
+  }
+};
+
+// Shared with Node (tests and tools)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { Codec, BinaryWriter, BinaryReader };
+}
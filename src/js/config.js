@@ -0,0 +1,114 @@
+// Server endpoint configuration
+// Resolution order: ?server= query param > server picked on connection screen > config.json > auto-detect
+
+const ServerConfig = {
+  configUrl: 'config.json', // Served next to index.html
+  maxRecentServers: 5,
+  
+  // Values loaded from config.json
+  config: {
+    serverUrl: null, // Default endpoint (null = derive from page location)
+    servers: []      // Presets for the server picker: [{ name, url }]
+  },
+  
+  queryServer: null,    // From ?server= (overrides everything)
+  selectedServer: null, // Picked on the connection screen
+  
+  // Load config.json and URL overrides - resolves even if the file is missing
+  async load() {
+    const params = new URLSearchParams(window.location.search);
+    this.queryServer = this.normalizeUrl(params.get('server'));
+    this.selectedServer = this.getRecentServers()[0] || null;
+    
+    try {
+      const response = await fetch(this.configUrl, { cache: 'no-store' });
+      if (response.ok) {
+        const data = await response.json();
+        this.config.serverUrl = this.normalizeUrl(data.serverUrl);
+        this.config.servers = Array.isArray(data.servers) ? data.servers : [];
+      }
+    } catch (e) {
+      console.warn('Could not load config.json, using auto-detected server');
+    }
+  },
+  
+  // Endpoint the client should connect to right now
+  getServerUrl() {
+    return this.queryServer || this.selectedServer || this.config.serverUrl || this.getDefaultUrl();
+  },
+  
+  // Same host as the page; local dev servers run on port 8080
+  getDefaultUrl() {
+    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    const host = window.location.hostname;
+    
+    if (host === 'localhost' || host === '127.0.0.1') {
+      return `${protocol}//${host}:8080/ws`; // Local dev
+    }
+    return `${protocol}//${host}/ws`; // Production - same domain with /ws path
+  },
+  
+  // Accepts full ws(s)/http(s) URLs or bare "host[:port][/path]"
+  normalizeUrl(value) {
+    if (!value || typeof value !== 'string') return null;
+    const trimmed = value.trim();
+    if (!trimmed) return null;
+    
+    if (/^wss?:\/\//i.test(trimmed)) return trimmed;
+    if (/^https?:\/\//i.test(trimmed)) return trimmed.replace(/^http/i, 'ws');
+    
+    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    const path = trimmed.includes('/') ? '' : '/ws';
+    return `${protocol}//${trimmed}${path}`;
+  },
+  
+  // Explicit choice from the server picker (empty = default endpoint)
+  selectServer(value) {
+    const url = this.normalizeUrl(value);
+    this.queryServer = null;
+    this.selectedServer = url;
+    if (url) {
+      this.rememberServer(url);
+    }
+  },
+  
+  getRecentServers() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(STORAGE_KEYS.RECENT_SERVERS));
+      return Array.isArray(stored) ? stored : [];
+    } catch (e) {
+      return [];
+    }
+  },
+  
+  rememberServer(url) {
+    const recent = this.getRecentServers().filter(s => s !== url);
+    recent.unshift(url);
+    try {
+      localStorage.setItem(STORAGE_KEYS.RECENT_SERVERS, JSON.stringify(recent.slice(0, this.maxRecentServers)));
+    } catch (e) {
+      console.warn('Could not save recent servers to localStorage');
+    }
+  },
+  
+  // Presets from config.json followed by recently used servers (deduplicated)
+  getServerOptions() {
+    const options = [];
+    const seen = new Set();
+    
+    for (const server of this.config.servers) {
+      const url = this.normalizeUrl(server.url);
+      if (url && !seen.has(url)) {
+        seen.add(url);
+        options.push({ url, name: server.name || url });
+      }
+    }
+    for (const url of this.getRecentServers()) {
+      if (!seen.has(url)) {
+        seen.add(url);
+        options.push({ url, name: 'Recent' });
+      }
+    }
+    return options;
+  }
+};
@@ -0,0 +1,142 @@
+// Danger overlay: tints the tiles each active bomb's blast will reach
+// Blasts follow the server's rules - four directions up to the bomb's range, stopped by walls,
+// ending on the first box - and bombs caught in a blast go off with it (chain reactions).
+// Tiles get redder as the fuse that threatens them burns down.
+
+const Danger = {
+  enabled: true,
+  toggleKey: 'h',
+  warnTime: 3000,     // ms before detonation the tint starts to deepen (a full default fuse)
+  minAlpha: 0.12,
+  maxAlpha: 0.45,
+  
+  init() {
+    this.enabled = this.loadSaved();
+    
+    const toggle = document.getElementById('danger-toggle');
+    toggle.checked = this.enabled;
+    toggle.addEventListener('change', (e) => {
+      this.setEnabled(e.target.checked);
+      e.target.blur(); // Space should drop a bomb, not flip the checkbox
+    });
+    
+    document.addEventListener('keydown', (e) => {
+      if (!e.key || e.key.toLowerCase() !== this.toggleKey || e.repeat || e.ctrlKey || e.metaKey) return;
+      if (typeof UI === 'undefined' || !UI.isScreenActive('game')) return;
+      this.setEnabled(!this.enabled);
+    });
+  },
+  
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    const toggle = document.getElementById('danger-toggle');
+    if (toggle) toggle.checked = enabled;
+    this.save(enabled);
+  },
+  
+  // Tiles a bomb's blast reaches, with distance from the bomb
+  blastTiles(bomb, range, map) {
+    const tiles = [{ x: bomb.x, y: bomb.y, distance: 0 }];
+    
+    for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+      for (let distance = 1; distance <= range; distance++) {
+        const x = bomb.x + dx * distance;
+        const y = bomb.y + dy * distance;
+        const tile = map.tiles[y]?.[x];
+        if (tile === undefined || tile === '#') break;
+        
+        tiles.push({ x, y, distance });
+        if (tile === 'X') break;
+      }
+    }
+    return tiles;
+  },
+  
+  // Bomb's own range, else its owner's current one
+  getRange(bomb, players) {
+    if (bomb.range !== undefined) return bomb.range;
+    const owner = players.find(p => p.id === bomb.ownerId);
+    return owner && owner.explosionRange !== undefined ? owner.explosionRange : 1;
+  },
+  
+  // Threatened tiles: Map<"x,y", { x, y, explodeAt }> with the earliest blast to reach each tile
+  compute(bombs, players, map, now = Date.now()) {
+    const blasts = bombs.map(bomb => ({
+      bomb,
+      explodeAt: bomb.explodeAt !== undefined ? bomb.explodeAt : now + (bomb.timer || 0),
+      tiles: this.blastTiles(bomb, this.getRange(bomb, players), map)
+    }));
+    
+    // A bomb inside an earlier blast goes off with it; repeat until chains settle
+    let changed = true;
+    while (changed) {
+      changed = false;
+      for (const source of blasts) {
+        for (const target of blasts) {
+          if (target.explodeAt <= source.explodeAt) continue;
+          if (source.tiles.some(t => t.x === target.bomb.x && t.y === target.bomb.y)) {
+            target.explodeAt = source.explodeAt;
+            changed = true;
+          }
+        }
+      }
+    }
+    
+    const zones = new Map();
+    for (const blast of blasts) {
+      for (const tile of blast.tiles) {
+        const key = `${tile.x},${tile.y}`;
+        const zone = zones.get(key);
+        if (!zone || blast.explodeAt < zone.explodeAt) {
+          zones.set(key, { x: tile.x, y: tile.y, explodeAt: blast.explodeAt });
+        }
+      }
+    }
+    return zones;
+  },
+  
+  // Faint with a full fuse, strong (and pulsing) in the last second
+  getAlpha(remaining, now) {
+    const urgency = 1 - Math.min(1, Math.max(0, remaining) / this.warnTime);
+    let alpha = this.minAlpha + (this.maxAlpha - this.minAlpha) * urgency;
+    if (remaining < 1000) alpha *= 0.85 + Math.sin(now / 80) * 0.15;
+    return alpha;
+  },
+  
+  draw(ctx, tileSize, zones, now) {
+    for (const zone of zones.values()) {
+      ctx.fillStyle = `rgba(231, 76, 60, ${this.getAlpha(zone.explodeAt - now, now)})`;
+      ctx.fillRect(zone.x * tileSize, zone.y * tileSize, tileSize, tileSize);
+    }
+  },
+  
+  // On unless turned off before
+  loadSaved() {
+    try {
+      return localStorage.getItem(STORAGE_KEYS.DANGER_ZONES) !== 'off';
+    } catch (e) {
+      return true;
+    }
+  },
+  
+  save(enabled) {
+    try {
+      localStorage.setItem(STORAGE_KEYS.DANGER_ZONES, enabled ? 'on' : 'off');
+    } catch (e) {
+      console.warn('Could not save danger overlay setting to localStorage');
+    }
+  }
+};
+
+// Bind the toggle when page loads (skipped under Node tests)
+if (typeof document !== 'undefined') {
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => Danger.init());
+  } else {
+    Danger.init();
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { Danger };
+}
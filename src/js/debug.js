@@ -0,0 +1,150 @@
+// Netcode debug overlay (toggle with F3, or start open with ?debug)
+// Shows prediction/sync stats, traffic, frame timing and a rolling graph of reconciliation error
+
+const DebugOverlay = {
+  visible: false,
+  toggleKey: 'F3',
+  
+  // Rolling windows
+  windowMs: 1000,     // Rates are averaged over the last second
+  messages: [],       // Incoming: { time, bytes }
+  sentMessages: [],   // Outgoing: { time, bytes }
+  frames: [],         // Frame timestamps (performance.now())
+  errors: [],         // Reconciliation error per GAME_STATE (tiles)
+  maxErrors: 120,
+  
+  panelInterval: 250, // ms between text refreshes
+  lastPanelUpdate: 0,
+  
+  init() {
+    this.visible = new URLSearchParams(window.location.search).has('debug');
+    this.applyVisibility();
+    
+    document.addEventListener('keydown', (e) => {
+      if (e.key !== this.toggleKey) return;
+      e.preventDefault();
+      this.visible = !this.visible;
+      this.applyVisibility();
+    });
+  },
+  
+  applyVisibility() {
+    document.getElementById('debug-overlay').classList.toggle('active', this.visible);
+  },
+  
+  // Raw frame size in bytes (text frames are counted as UTF-16 length - close enough for JSON)
+  sizeOf(data) {
+    if (typeof data === 'string') return data.length;
+    return data.byteLength || 0;
+  },
+  
+  // Traffic is trimmed as it's noted too, so the lists stay bounded while no frames are drawn
+  noteReceived(data) {
+    const now = performance.now();
+    this.messages.push({ time: now, bytes: this.sizeOf(data) });
+    this.trim(now);
+  },
+  
+  noteSent(data) {
+    const now = performance.now();
+    this.sentMessages.push({ time: now, bytes: this.sizeOf(data) });
+    this.trim(now);
+  },
+  
+  noteError(error) {
+    this.errors.push(error);
+    if (this.errors.length > this.maxErrors) {
+      this.errors.shift();
+    }
+  },
+  
+  // Called once per rendered frame; refreshes the panel while visible
+  noteFrame() {
+    const now = performance.now();
+    this.frames.push(now);
+    this.trim(now);
+    
+    if (!this.visible || now - this.lastPanelUpdate < this.panelInterval) return;
+    this.lastPanelUpdate = now;
+    this.updatePanel();
+  },
+  
+  trim(now) {
+    const cutoff = now - this.windowMs;
+    for (const list of [this.messages, this.sentMessages]) {
+      while (list.length > 0 && list[0].time < cutoff) list.shift();
+    }
+    while (this.frames.length > 0 && this.frames[0] < cutoff) this.frames.shift();
+  },
+  
+  getStats() {
+    const frameTimes = this.frames.slice(1).map((t, i) => t - this.frames[i]);
+    const sum = list => list.reduce((total, m) => total + m.bytes, 0);
+    return {
+      fps: this.frames.length,
+      frameTime: frameTimes.length ? frameTimes.reduce((a, b) => a + b, 0) / frameTimes.length : 0,
+      worstFrame: frameTimes.length ? Math.max(...frameTimes) : 0,
+      messagesIn: this.messages.length,
+      bytesIn: sum(this.messages),
+      bytesOut: sum(this.sentMessages)
+    };
+  },
+  
+  updatePanel() {
+    const stats = this.getStats();
+    const sync = typeof Prediction !== 'undefined' ? Prediction.getSyncStats() : null;
+    const time = TimeSync.getStats();
+    const kb = bytes => (bytes / 1024).toFixed(1);
+    
+    const lines = [
+      `FPS ${stats.fps}  frame ${stats.frameTime.toFixed(1)}ms (worst ${stats.worstFrame.toFixed(1)}ms)`,
+      `RTT ${time.synced ? `${time.rtt}ms ±${time.jitter}` : 'n/a'}  in ${stats.messagesIn} msg/s`,
+      `Traffic in ${kb(stats.bytesIn)} KB/s  out ${kb(stats.bytesOut)} KB/s  (${client.codec.name})`
+    ];
+    if (sync) {
+      lines.push(
+        `Tick ${sync.currentTick}  ahead ${sync.ticksAhead}  ${sync.isDrifting ? 'DRIFTING' : 'in sync'}`,
+        `History ${sync.historySize} pos / ${sync.inputHistorySize} inputs  replayed ${sync.lastReplayTicks}`,
+        `Error ${sync.lastReconcileError.toFixed(3)} tiles  extrapolating ${sync.extrapolatingPlayers}`
+      );
+    }
+    if (typeof NetSim !== 'undefined' && NetSim.enabled) {
+      lines.push(`NetSim ${NetSim.config.latency}ms ±${NetSim.config.jitter}  loss ${Math.round(NetSim.config.loss * 100)}%`);
+    }
+    
+    document.getElementById('debug-stats').textContent = lines.join('\n');
+    this.drawGraph();
+  },
+  
+  // Rolling bar graph of local-vs-server error; the line marks the correction threshold
+  drawGraph() {
+    const canvas = document.getElementById('debug-graph');
+    const ctx = canvas.getContext('2d');
+    const threshold = typeof Prediction !== 'undefined' ? Prediction.config.correctionThreshold : 0.3;
+    const scale = canvas.height / Math.max(threshold * 2, ...this.errors);
+    const barWidth = canvas.width / this.maxErrors;
+    
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    
+    this.errors.forEach((error, i) => {
+      ctx.fillStyle = error > threshold ? '#ef4444' : '#4ade80';
+      const height = error * scale;
+      ctx.fillRect(i * barWidth, canvas.height - height, Math.max(1, barWidth - 1), height);
+    });
+    
+    const y = canvas.height - threshold * scale;
+    ctx.strokeStyle = '#facc15';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(0, y);
+    ctx.lineTo(canvas.width, y);
+    ctx.stroke();
+  }
+};
+
+// Initialize overlay toggle when page loads
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => DebugOverlay.init());
+} else {
+  DebugOverlay.init();
+}
@@ -0,0 +1,145 @@
+// Delta-compressed game state
+// Keeps a baseline snapshot and applies per-tick diffs from GAME_STATE_DELTA messages
+
+const DeltaState = {
+  baseline: null,         // Last complete state (full GAME_STATE + every delta applied since)
+  awaitingResync: false,  // Gap detected - ignore deltas until a full state arrives
+  lastResyncRequest: 0,
+  resyncInterval: 500,    // ms between REQUEST_FULL_STATE messages
+  
+  // Stats
+  deltasApplied: 0,
+  resyncs: 0,
+  
+  // Full GAME_STATE arrived - it becomes the new baseline
+  setBaseline(state) {
+    this.baseline = state;
+    this.awaitingResync = false;
+  },
+  
+  reset() {
+    this.baseline = null;
+    this.awaitingResync = false;
+    this.lastResyncRequest = 0;
+  },
+  
+  // The state a delta produced is unusable - drop it and wait for a full state
+  invalidate() {
+    this.baseline = null;
+    this.awaitingResync = true;
+  },
+  
+  // Apply a GAME_STATE_DELTA { baseTick, tick, delta } to the baseline.
+  // Returns the updated state - a new object that also becomes the baseline - or null if the
+  // delta doesn't follow our baseline. The previous state is never modified, so the renderer
+  // can compare old and new, and a delta that throws halfway leaves the live state intact.
+  apply(message, tickRate) {
+    if (this.awaitingResync) return null;
+    if (!this.baseline) {
+      this.awaitingResync = true;
+      return null;
+    }
+    
+    if (message.baseTick !== this.baseline.tick) {
+      console.warn('[Delta] Gap detected: have tick', this.baseline.tick, 'but delta is based on', message.baseTick);
+      this.awaitingResync = true;
+      return null;
+    }
+    
+    const state = this.copyState(this.baseline);
+    const delta = message.delta || {};
+    const elapsedMs = (message.tick - message.baseTick) * 1000 / tickRate;
+    
+    // Changed tiles: [[x, y, tile], ...]
+    if (delta.tiles) {
+      for (const [x, y, tile] of delta.tiles) {
+        const row = state.map.tiles[y];
+        if (typeof row === 'string') {
+          state.map.tiles[y] = row.substring(0, x) + tile + row.substring(x + 1);
+        } else if (row) {
+          const updated = row.slice();
+          updated[x] = tile;
+          state.map.tiles[y] = updated;
+        }
+      }
+    }
+    
+    // Players: changed fields by id (new players arrive with all fields)
+    if (delta.players) {
+      for (const changes of delta.players.updated || []) {
+        const player = state.players.find(p => p.id === changes.id);
+        if (player) {
+          Object.assign(player, changes);
+        } else {
+          state.players.push({ ...changes });
+        }
+      }
+      const removed = delta.players.removed || [];
+      state.players = state.players.filter(p => !removed.includes(p.id));
+    }
+    
+    // Bomb fuses keep burning between snapshots
+    for (const bomb of state.bombs) {
+      bomb.timer = Math.max(0, bomb.timer - elapsedMs);
+    }
+    
+    this.applyCollection(state, 'bombs', delta.bombs, this.tileKey);
+    this.applyCollection(state.map, 'upgrades', delta.upgrades, this.tileKey);
+    this.applyCollection(state, 'explosions', delta.explosions, this.explosionKey);
+    
+    // Any other top-level fields (gameOver, winner, ...)
+    if (delta.fields) {
+      Object.assign(state, delta.fields);
+    }
+    
+    state.tick = message.tick;
+    this.baseline = state;
+    this.deltasApplied++;
+    return state;
+  },
+  
+  // Copy everything apply changes in place: the state, its map and tile list, players and bombs.
+  // Rows, upgrades and explosions are replaced rather than changed, so they can be shared.
+  copyState(state) {
+    return {
+      ...state,
+      map: { ...state.map, tiles: state.map.tiles.slice() },
+      players: state.players.map(player => ({ ...player })),
+      bombs: (state.bombs || []).map(bomb => ({ ...bomb }))
+    };
+  },
+  
+  // Collections keyed by identity: { added: [...], removed: [key] }
+  applyCollection(owner, field, changes, keyFn) {
+    if (!changes) return;
+    
+    const removed = new Set(changes.removed || []);
+    const items = (owner[field] || []).filter(item => !removed.has(keyFn(item)));
+    for (const item of changes.added || []) {
+      items.push(item);
+    }
+    owner[field] = items;
+  },
+  
+  tileKey(item) {
+    return item.id !== undefined ? item.id : `${item.x},${item.y}`;
+  },
+  
+  explosionKey(explosion) {
+    return `${explosion.originX}_${explosion.originY}_${explosion.timestamp}`;
+  },
+  
+  // Throttled - true if the caller should send REQUEST_FULL_STATE now
+  shouldRequestResync() {
+    if (!this.awaitingResync) return false;
+    const now = Date.now();
+    if (now - this.lastResyncRequest < this.resyncInterval) return false;
+    this.lastResyncRequest = now;
+    this.resyncs++;
+    return true;
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { DeltaState };
+}
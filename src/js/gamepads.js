@@ -0,0 +1,253 @@
+// Gamepad support (Gamepad API, standard button mapping)
+// Input.pollInput polls the pads each frame: the left stick (past a deadzone, its tilt setting
+// the speed) or the D-pad moves, and the bomb button - chosen by the player - drops bombs.
+// Outside a game the same controls move focus around the lobby screens: A activates, B goes back,
+// left/right change selects and sliders.
+// Pads can be plugged in or out at any time; every connected pad drives the local player.
+
+const Gamepads = {
+  deadzone: 0.3,        // Stick travel ignored around the center (0-1)
+  repeatDelay: 400,     // ms a held direction waits before repeating in menus
+  repeatRate: 150,      // ms between repeats after that
+  
+  // Standard mapping indices
+  buttons: { confirm: 0, back: 1, up: 12, down: 13, left: 14, right: 15 },
+  bombButtons: [
+    { index: 0, name: 'A' },
+    { index: 1, name: 'B' },
+    { index: 2, name: 'X' },
+    { index: 3, name: 'Y' },
+    { index: 4, name: 'LB' },
+    { index: 5, name: 'RB' },
+    { index: 6, name: 'LT' },
+    { index: 7, name: 'RT' }
+  ],
+  defaultBombButton: 0,
+  
+  // Where B goes from each screen or modal
+  backButtons: {
+    'create-lobby-modal': 'cancel-create-btn',
+    'lobby-room-screen': 'leave-lobby-btn'
+  },
+  
+  bombButton: 0,
+  connected: 0,
+  held: new Set(),      // Buttons down at the last poll, for press detection
+  navHeld: null,        // Menu direction being held, and when it next repeats
+  navNext: 0,
+  listeners: [],
+  
+  init() {
+    this.bombButton = this.loadSaved();
+    
+    window.addEventListener('gamepadconnected', (e) => {
+      console.log('Gamepad connected:', e.gamepad.id);
+      this.refresh();
+    });
+    window.addEventListener('gamepaddisconnected', (e) => {
+      console.log('Gamepad disconnected:', e.gamepad.id);
+      this.refresh();
+    });
+    
+    // Mouse use hides the gamepad focus ring again
+    document.addEventListener('mousedown', () => document.body.classList.remove('gamepad-nav'));
+  },
+  
+  onChange(fn) {
+    this.listeners.push(fn);
+  },
+  
+  getPads() {
+    if (typeof navigator === 'undefined' || !navigator.getGamepads) return [];
+    return [...navigator.getGamepads()].filter(pad => pad && pad.connected !== false);
+  },
+  
+  // Recount pads after a hot-plug; buttons of a removed pad stop counting as held
+  refresh() {
+    const count = this.getPads().length;
+    if (count === this.connected) return;
+    this.connected = count;
+    if (count === 0) this.held.clear();
+    this.listeners.forEach(fn => fn(count));
+  },
+  
+  setBombButton(index) {
+    this.bombButton = this.bombButtons.some(b => b.index === index) ? index : this.defaultBombButton;
+    this.save(this.bombButton);
+    this.listeners.forEach(fn => fn(this.connected));
+  },
+  
+  getBombButtonName() {
+    return this.bombButtons.find(b => b.index === this.bombButton).name;
+  },
+  
+  // Stick position -> movement vector. Past the deadzone the tilt is rescaled to 0-1, so a
+  // half-tilted stick walks at half speed. Axes are quantized to 1/127 like binary MOVEs,
+  // so the server simulates exactly the input we predicted with.
+  stickDirection(x, y) {
+    const magnitude = Math.hypot(x, y);
+    if (magnitude < this.deadzone) return { vx: 0, vy: 0 };
+    const scale = Math.min(1, (magnitude - this.deadzone) / (1 - this.deadzone)) / magnitude;
+    const quantize = value => Math.round(value * scale * 127) / 127 || 0; // No -0
+    return { vx: quantize(x), vy: quantize(y) };
+  },
+  
+  // Any direction -> one of eight, for menus and servers without analog movement
+  snapDirection(x, y) {
+    const threshold = Math.hypot(x, y) * Math.sin(Math.PI / 8); // 45 degree sectors
+    if (threshold === 0) return { vx: 0, vy: 0 };
+    return {
+      vx: Math.abs(x) >= threshold ? Math.sign(x) : 0,
+      vy: Math.abs(y) >= threshold ? Math.sign(y) : 0
+    };
+  },
+  
+  isPressed(pad, index) {
+    const button = pad.buttons[index];
+    return Boolean(button && (button.pressed || button.value > 0.5));
+  },
+  
+  // One pad's direction: the stick, else the D-pad
+  padDirection(pad) {
+    const stick = this.stickDirection(pad.axes[0] || 0, pad.axes[1] || 0);
+    if (stick.vx !== 0 || stick.vy !== 0) return stick;
+    
+    return {
+      vx: (this.isPressed(pad, this.buttons.right) ? 1 : 0) - (this.isPressed(pad, this.buttons.left) ? 1 : 0),
+      vy: (this.isPressed(pad, this.buttons.down) ? 1 : 0) - (this.isPressed(pad, this.buttons.up) ? 1 : 0)
+    };
+  },
+  
+  // Combined state of every pad, or null without any:
+  // { vx, vy, bomb, pressed } - pressed holds buttons that went down since the last poll
+  poll() {
+    const pads = this.getPads();
+    if (pads.length !== this.connected) this.refresh();
+    if (pads.length === 0) return null;
+    
+    let vx = 0;
+    let vy = 0;
+    const down = new Set();
+    for (const pad of pads) {
+      const direction = this.padDirection(pad);
+      if (vx === 0 && vy === 0) ({ vx, vy } = direction);
+      pad.buttons.forEach((button, index) => {
+        if (this.isPressed(pad, index)) down.add(index);
+      });
+    }
+    
+    const pressed = new Set([...down].filter(index => !this.held.has(index)));
+    this.held = down;
+    return { vx, vy, bomb: down.has(this.bombButton), pressed };
+  },
+  
+  // Menu navigation on every screen but the game itself
+  navigate(state, now = Date.now()) {
+    if (typeof UI === 'undefined' || UI.isScreenActive('game')) return;
+    const scope = document.querySelector('.modal.active') || document.querySelector('.screen.active');
+    if (!scope) return;
+    
+    const focused = scope.contains(document.activeElement) && document.activeElement !== scope ? document.activeElement : null;
+    if (state.pressed.has(this.buttons.confirm)) {
+      document.body.classList.add('gamepad-nav');
+      if (focused) focused.click();
+      else this.moveFocus(scope, null, 1);
+    }
+    if (state.pressed.has(this.buttons.back) && this.backButtons[scope.id]) {
+      document.getElementById(this.backButtons[scope.id]).click();
+    }
+    
+    const step = this.navStep(state, now);
+    if (!step) return;
+    document.body.classList.add('gamepad-nav');
+    if (step.vx !== 0 && focused && this.adjust(focused, step.vx)) return;
+    this.moveFocus(scope, focused, step.vx || step.vy);
+  },
+  
+  // A held direction acts once, then repeats after a pause. Up/down win over left/right.
+  navStep(state, now) {
+    const direction = this.snapDirection(state.vx, state.vy);
+    const step = direction.vy !== 0 ? { vx: 0, vy: direction.vy } : { vx: direction.vx, vy: 0 };
+    const key = `${step.vx},${step.vy}`;
+    if (key === '0,0') {
+      this.navHeld = null;
+      return null;
+    }
+    
+    if (key !== this.navHeld) {
+      this.navHeld = key;
+      this.navNext = now + this.repeatDelay;
+      return step;
+    }
+    if (now >= this.navNext) {
+      this.navNext = now + this.repeatRate;
+      return step;
+    }
+    return null;
+  },
+  
+  // Left/right on a select or slider changes its value
+  adjust(element, step) {
+    if (element.tagName === 'SELECT') {
+      const index = Math.max(0, Math.min(element.options.length - 1, element.selectedIndex + step));
+      if (index === element.selectedIndex) return true;
+      element.selectedIndex = index;
+    } else if (element.tagName === 'INPUT' && element.type === 'range') {
+      if (step > 0) element.stepUp();
+      else element.stepDown();
+      element.dispatchEvent(new Event('input', { bubbles: true }));
+    } else {
+      return false;
+    }
+    
+    element.dispatchEvent(new Event('change', { bubbles: true }));
+    element.focus(); // Some change handlers blur so the keyboard goes back to the game
+    return true;
+  },
+  
+  moveFocus(scope, focused, step) {
+    const targets = this.getFocusable(scope);
+    if (targets.length === 0) return;
+    
+    const index = targets.indexOf(focused);
+    const next = index === -1
+      ? (step > 0 ? 0 : targets.length - 1)
+      : (index + step + targets.length) % targets.length;
+    targets[next].focus();
+  },
+  
+  getFocusable(scope) {
+    return [...scope.querySelectorAll('button, select, input, summary, a[href]')]
+      .filter(element => !element.disabled && this.isShown(element, scope));
+  },
+  
+  // Not hidden by display: none, [hidden] or a closed <details> (its summary still counts)
+  isShown(element, scope) {
+    for (let node = element; node && node !== scope.parentNode; node = node.parentNode) {
+      if (node.hidden || window.getComputedStyle(node).display === 'none') return false;
+      if (node.tagName === 'DETAILS' && !node.open && element.parentNode !== node) return false;
+    }
+    return true;
+  },
+  
+  loadSaved() {
+    try {
+      const saved = parseInt(localStorage.getItem(STORAGE_KEYS.GAMEPAD_BOMB), 10);
+      return this.bombButtons.some(b => b.index === saved) ? saved : this.defaultBombButton;
+    } catch (e) {
+      return this.defaultBombButton;
+    }
+  },
+  
+  save(index) {
+    try {
+      localStorage.setItem(STORAGE_KEYS.GAMEPAD_BOMB, String(index));
+    } catch (e) {
+      console.warn('Could not save gamepad bomb button to localStorage');
+    }
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { Gamepads };
+}
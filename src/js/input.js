@@ -1,4 +1,4 @@
-// Keyboard input handler
+// Keyboard and gamepad input handler
 
 const Input = {
   keys: {},
@@ -32,8 +32,13 @@ const Input = {
   },
   
   pollInput() {
-    // Only process input if game is active
-    if (!client.gameState || client.gameState.gameOver) return;
+    const pad = typeof Gamepads !== 'undefined' ? Gamepads.poll() : null;
+    
+    // Only process input if game is active - otherwise gamepads drive the menus
+    if (!client.gameState || client.gameState.gameOver) {
+      if (pad) Gamepads.navigate(pad);
+      return;
+    }
     
     const now = Date.now();
     
@@ -52,6 +57,12 @@ const Input = {
     if (left) vx -= 1;
     if (right) vx += 1;
     
+    // Keyboard first, then any gamepad's stick or D-pad. Partial tilt only goes to
+    // servers that scale speed by it too - others get the nearest of eight directions.
+    if (vx === 0 && vy === 0 && pad) {
+      ({ vx, vy } = client.serverFeatures.includes('analog') ? pad : Gamepads.snapDirection(pad.vx, pad.vy));
+    }
+    
     // Apply input to local prediction immediately (client-side prediction)
     if (typeof Prediction !== 'undefined') {
       Prediction.applyInput(vx, vy);
@@ -78,8 +89,14 @@ const Input = {
       this.lastMoveTime = now;
     }
     
-    // Handle bomb placement (space bar) - server authoritative only
-    if (this.keys[' '] && now - this.lastBombTime > this.bombDelay) {
+    // Handle bomb placement (space bar or the gamepad bomb button) - shown immediately
+    // as a predicted bomb, then confirmed or rolled back by the server
+    const bomb = this.keys[' '] || (pad && pad.bomb);
+    if (bomb && now - this.lastBombTime > this.bombDelay) {
+      if (typeof Prediction !== 'undefined') {
+        const settings = client.currentLobby && client.currentLobby.settings;
+        Prediction.predictBomb(client.gameState, settings && settings.bombTimer);
+      }
       client.sendPlayerAction({
         type: 'PLACE_BOMB'
       });
@@ -3,7 +3,24 @@
 // Session storage keys
 const STORAGE_KEYS = {
   USERNAME: 'bomberman_username',
-  LOBBY_ID: 'bomberman_lobby_id'
+  LOBBY_ID: 'bomberman_lobby_id',
+  RECENT_SERVERS: 'bomberman_recent_servers',
+  THEME: 'bomberman_theme',
+  DANGER_ZONES: 'bomberman_danger_zones',
+  PALETTE: 'bomberman_palette',
+  PROFILE: 'bomberman_profile',
+  GAMEPAD_BOMB: 'bomberman_gamepad_bomb'
+};
+
+// Hold back MOVE actions while the socket's send buffer is this full
+const MAX_BUFFERED_BYTES = 16 * 1024;
+
+// Reconnection backoff settings
+const RECONNECT_CONFIG = {
+  baseDelay: 1000,   // First retry after ~1s
+  maxDelay: 30000,   // Never wait longer than 30s between attempts
+  multiplier: 2,     // Exponential growth per failed attempt
+  jitter: 0.3        // +/- 30% randomization so clients don't retry in lockstep
 };
 
 class BombermanClient {
@@ -18,6 +35,14 @@ class BombermanClient {
     this.pendingRejoin = this.loadLobbyId(); // Lobby to rejoin after connecting
     this.pendingUsername = null; // Username to set after connection opens
     this.predictionLoopRunning = false; // Track prediction render loop
+    this.animationFrame = null; // Pending frame of that loop
+    this.serverFeatures = []; // Optional protocol features from CONNECTED
+    this.protocolMismatch = false; // Server requires a newer client
+    this.codec = Codec.json; // Wire format for outgoing messages (negotiated per connection)
+    
+    // Reconnection state
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
   }
   
   // LocalStorage helpers
@@ -78,27 +103,27 @@ class BombermanClient {
       this.pendingUsername = usernameToSet;
     }
     
-    // Determine WebSocket URL based on current location
-    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-    const host = window.location.hostname;
-    
-    // Use /ws path for both local dev and production
-    let wsUrl;
-    if (host === 'localhost' || host === '127.0.0.1') {
-      wsUrl = `${protocol}//${host}:8080/ws`; // Local dev
-    } else {
-      wsUrl = `${protocol}//${host}/ws`; // Production - same domain with /ws path
-    }
+    // Endpoint comes from ?server=, the server picker, config.json or the page location
+    const wsUrl = ServerConfig.getServerUrl();
     
     console.log('Connecting to:', wsUrl);
     
     this.ws = new WebSocket(wsUrl);
+    this.ws.binaryType = 'arraybuffer';
+    this.codec = Codec.json; // Every connection starts out speaking JSON
     
     this.ws.onopen = () => {
       console.log('Connected to server');
+      const wasReconnecting = this.reconnectAttempts > 0;
       this.connected = true;
+      this.reconnectAttempts = 0;
+      UI.hideReconnectBanner();
       UI.showConnectionStatus('Connected!', 'success');
       
+      if (wasReconnecting) {
+        this.resumeSession();
+      }
+      
       // Set username now that connection is open
       if (this.pendingUsername) {
         this.setUsername(this.pendingUsername);
@@ -106,36 +131,225 @@ class BombermanClient {
       }
     };
     
+    const ws = this.ws;
     this.ws.onmessage = (event) => {
-      const message = JSON.parse(event.data);
-      this.handleMessage(message);
+      // Passes straight through unless the network simulator is on.
+      // Late deliveries from a replaced socket are ignored.
+      NetSim.incoming(() => {
+        if (ws === this.ws) this.receive(event.data);
+      });
     };
     
     this.ws.onerror = (error) => {
       console.error('WebSocket error:', error);
-      UI.showConnectionStatus('Connection error!', 'error');
+      // onclose follows and schedules the retry - only report the first failure
+      if (this.reconnectAttempts === 0) {
+        UI.showConnectionStatus('Connection error!', 'error');
+      }
     };
     
     this.ws.onclose = () => {
       console.log('Disconnected from server');
       this.connected = false;
-      UI.showConnectionStatus('Disconnected. Refresh to reconnect.', 'error');
+      TimeSync.stop();
+      Outbox.requeueInFlight();
+      this.scheduleReconnect();
     };
   }
   
+  receive(data) {
+    DebugOverlay.noteReceived(data);
+    
+    let message;
+    try {
+      message = Codec.decode(data);
+    } catch (e) {
+      console.error('Could not decode message:', e);
+      return;
+    }
+    
+    try {
+      this.handleMessage(message);
+    } catch (e) {
+      console.error('Error handling', message.type, 'message:', e);
+    }
+  }
+  
+  // Exponential backoff with jitter: base * multiplier^attempt, capped, +/- jitter
+  getReconnectDelay(attempt) {
+    const exponential = RECONNECT_CONFIG.baseDelay * Math.pow(RECONNECT_CONFIG.multiplier, attempt);
+    const capped = Math.min(exponential, RECONNECT_CONFIG.maxDelay);
+    const spread = capped * RECONNECT_CONFIG.jitter;
+    return Math.round(capped - spread + Math.random() * spread * 2);
+  }
+  
+  scheduleReconnect() {
+    if (this.reconnectTimer || this.protocolMismatch) return;
+    
+    const delay = this.getReconnectDelay(this.reconnectAttempts);
+    this.reconnectAttempts++;
+    console.log(`Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts})`);
+    UI.showReconnectBanner(this.reconnectAttempts, delay);
+    UI.showConnectionStatus('Connection lost. Reconnecting...', 'error');
+    
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect();
+    }, delay);
+  }
+  
+  // Skip the remaining backoff and try again immediately
+  reconnectNow() {
+    // Nothing to resume if we never tried to connect
+    if (!this.ws || this.connected) return;
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    this.connect();
+  }
+  
+  // Queue username + lobby so the USERNAME_SET handler puts us back where we were
+  resumeSession() {
+    console.log('Resuming session as', this.username);
+    this.pendingUsername = this.pendingUsername || this.username;
+    this.pendingRejoin = this.loadLobbyId();
+    
+    // Server assigns a new player ID per connection - start prediction fresh.
+    // Clearing gameState also stops the old render loop; the next GAME_STATE restarts it.
+    if (typeof Prediction !== 'undefined') {
+      Prediction.reset();
+    }
+    this.predictionLoopRunning = false;
+    this.gameState = null;
+  }
+  
+  isOpen() {
+    return this.ws && this.ws.readyState === WebSocket.OPEN;
+  }
+  
+  // Route outgoing messages: reliable lobby commands are tracked/queued,
+  // MOVE actions are coalesced, everything else is dropped while offline
   send(message) {
-    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-      this.ws.send(JSON.stringify(message));
+    if (!Protocol.isClientMessage(message.type)) {
+      console.warn('Sending message type not in protocol:', message.type);
+    }
+    
+    if (Outbox.isMove(message)) {
+      if (this.isOpen() && this.ws.bufferedAmount < MAX_BUFFERED_BYTES) {
+        this.transmit(message);
+      } else {
+        Outbox.coalesceMove(message);
+      }
+      return null;
+    }
+    
+    if (Outbox.isReliable(message)) {
+      const entry = Outbox.track(message);
+      if (this.isOpen()) {
+        this.transmit(entry.message);
+        Outbox.markSent(entry.requestId);
+      }
+      return entry.requestId;
+    }
+    
+    if (this.isOpen()) {
+      this.transmit(message);
     }
+    return null;
+  }
+  
+  transmit(message) {
+    const ws = this.ws;
+    const data = this.codec.encode(message);
+    DebugOverlay.noteSent(data);
+    NetSim.outgoing(() => {
+      // A delayed send must not end up on a newer connection
+      if (ws.readyState === WebSocket.OPEN) ws.send(data);
+    });
+  }
+  
+  // Deliver commands queued while offline - called once the server knows who and where we are
+  flushOutbox() {
+    if (!this.isOpen()) return;
+    
+    for (const entry of Outbox.getQueued()) {
+      this.transmit(entry.message);
+      Outbox.markSent(entry.requestId);
+    }
+    
+    const move = Outbox.takeMove();
+    if (move) {
+      this.transmit(move);
+    }
+  }
+  
+  // Re-send a failed command under a fresh request ID
+  retryCommand(requestId) {
+    const entry = Outbox.entries.get(requestId);
+    if (!entry) return;
+    
+    const { requestId: _, ...message } = entry.message;
+    Outbox.dismiss(requestId);
+    this.send(message);
   }
   
   handleMessage(message) {
     console.log('Received:', message.type);
     
+    // Drop unknown or malformed messages before they reach game state / renderer
+    const check = Protocol.validate(message);
+    Protocol.report(message, check);
+    if (!check.valid) return;
+    
+    // Acknowledge tracked commands (server echoes requestId on its reply)
+    if (message.requestId) {
+      Outbox.resolve(message);
+    }
+    
     switch (message.type) {
       case 'CONNECTED':
         this.playerId = message.playerId;
+        this.serverFeatures = message.features || [];
+        Outbox.reset();
         console.log('Player ID:', this.playerId);
+        
+        const version = Protocol.checkServerVersion(message);
+        if (!version.compatible) {
+          console.error('Server requires client protocol', message.minClientVersion, '- we speak', Protocol.VERSION);
+          UI.showConnectionStatus('This client is out of date. Refresh the page to update.', 'error');
+          this.protocolMismatch = true; // Reconnecting won't help
+          this.ws.close();
+          return;
+        }
+        if (version.newer) {
+          console.warn('Server speaks protocol', version.serverVersion, '- newer fields will be ignored');
+        }
+        
+        // Only ping servers that advertise PING/PONG support
+        if (this.serverFeatures.includes('timesync')) {
+          TimeSync.start(msg => this.send(msg));
+        }
+        
+        // Switch to the compact binary wire format (takes effect on CODEC_SET)
+        if (this.serverFeatures.includes('binary')) {
+          this.send({ type: 'SET_CODEC', codec: 'binary' });
+        }
+        
+        // Ask for per-tick diffs instead of full snapshots
+        if (this.serverFeatures.includes('delta')) {
+          DeltaState.reset();
+          this.send({ type: 'SET_STATE_MODE', mode: 'delta' });
+        }
+        break;
+        
+      case 'PONG':
+        TimeSync.handlePong(message);
+        break;
+        
+      case 'CODEC_SET':
+        this.codec = Codec.get(message.codec);
+        console.log('Using codec:', this.codec.name);
         break;
         
       case 'USERNAME_SET':
@@ -152,6 +366,7 @@ class BombermanClient {
         } else {
           UI.showScreen('lobby-browser');
           this.refreshLobbies();
+          this.flushOutbox();
         }
         break;
         
@@ -168,95 +383,67 @@ class BombermanClient {
       case 'PLAYER_JOINED':
       case 'PLAYER_LEFT':
       case 'LOBBY_UPDATED':
-        this.currentLobby = message.lobbyInfo || message.lobby;
+        this.currentLobby = message.lobbyInfo;
+        PlayerColors.assign(this.currentLobby.players);
+        Profile.assign(this.currentLobby.players);
         UI.updateLobbyRoom(this.currentLobby, this.playerId);
         if (message.type === 'LOBBY_JOINED') {
           // Save lobby ID for session persistence
           this.saveLobbyId(this.currentLobby.id);
           UI.showScreen('lobby-room');
+          this.flushOutbox();
         }
         break;
         
       case 'LEFT_LOBBY':
         this.currentLobby = null;
         this.clearSession(); // Clear saved lobby ID
+        Outbox.failQueued('Left the lobby');
         // Reset prediction state when leaving lobby
         if (typeof Prediction !== 'undefined') {
           Prediction.reset();
         }
         this.predictionLoopRunning = false;
+        DeltaState.reset();
+        Renderer.reset();
         UI.showScreen('lobby-browser');
         this.refreshLobbies();
         break;
         
       case 'GAME_STARTED':
         console.log('Game starting...');
+        Renderer.reset(); // Nothing from the last match carries over, cached map tiles included
         break;
         
       case 'GAME_STATE':
-        this.gameState = message.state;
-        
-        // Fix explosion timestamps for clock synchronization
-        // Replace server timestamp with client timestamp when we first see an explosion
-        const now = Date.now();
-        if (!this.knownExplosions) this.knownExplosions = new Map();
-        
-        if (this.gameState.explosions && this.gameState.explosions.length > 0) {
-          for (const explosion of this.gameState.explosions) {
-            // Generate a unique ID for tracking
-            const expId = `${explosion.originX}_${explosion.originY}_${explosion.timestamp}`;
-            
-            if (!this.knownExplosions.has(expId)) {
-              // First time seeing this explosion - use current client time
-              explosion.clientTimestamp = now;
-              this.knownExplosions.set(expId, now);
-            } else {
-              // Already seen - use the stored client timestamp
-              explosion.clientTimestamp = this.knownExplosions.get(expId);
-            }
-          }
-          
-          // Clean up old explosion tracking (keep last 20)
-          if (this.knownExplosions.size > 20) {
-            const entries = Array.from(this.knownExplosions.entries());
-            entries.sort((a, b) => a[1] - b[1]);
-            for (let i = 0; i < entries.length - 20; i++) {
-              this.knownExplosions.delete(entries[i][0]);
-            }
-          }
+        if (this.serverFeatures.includes('delta')) {
+          DeltaState.setBaseline(message.state);
         }
+        this.updateGameState(message.state);
+        break;
         
-        // Initialize or reinitialize renderer if needed
-        const needsInit = !Renderer.initialized || 
-                          Renderer.canvas.width !== this.gameState.map.width * Renderer.tileSize ||
-                          Renderer.canvas.height !== this.gameState.map.height * Renderer.tileSize;
-        
-        if (needsInit) {
-          Renderer.init(this.gameState.map.width, this.gameState.map.height);
-        }
+      case 'GAME_STATE_DELTA': {
+        const tickRate = TimeSync.tickRate || Prediction.config.serverTickRate;
+        let state = DeltaState.apply(message, tickRate);
         
-        // Reconcile client-side prediction with server state
-        if (typeof Prediction !== 'undefined') {
-          const serverPlayer = this.gameState.players.find(p => p.id === this.playerId);
-          if (serverPlayer) {
-            Prediction.reconcile(serverPlayer, this.gameState);
+        // A delta can break the state's shape (lists removed, bad tile rows) - check it like a full GAME_STATE
+        if (state) {
+          const merged = Protocol.validate({ type: 'GAME_STATE', state: state });
+          Protocol.report(message, merged);
+          if (!merged.valid) {
+            DeltaState.invalidate();
+            state = null;
           }
         }
         
-        // Always start prediction loop when receiving game state (if not already running)
-        this.startPredictionLoop();
-        
-        // Always show game screen when receiving game state
-        const currentScreen = document.querySelector('.screen.active');
-        if (!currentScreen || currentScreen.id !== 'game-screen') {
-          UI.showScreen('game');
+        if (state) {
+          this.updateGameState(state);
+        } else if (DeltaState.shouldRequestResync()) {
+          // Missed a delta (or have no baseline yet) - ask for a full snapshot
+          this.send({ type: 'REQUEST_FULL_STATE' });
         }
-        
-        // Render is now handled by the prediction loop for smoother updates
-        // But we still render here as a fallback and for initial state
-        Renderer.render(this.gameState, this.playerId);
-        UI.updatePlayerStats(this.gameState, this.playerId);
         break;
+      }
         
       case 'GAME_EVENTS':
         this.handleGameEvents(message.events);
@@ -270,12 +457,15 @@ class BombermanClient {
         // Game ended - return to lobby room (not browser)
         console.log('Returning to lobby after game');
         this.currentLobby = message.lobbyInfo;
+        PlayerColors.assign(this.currentLobby.players);
+        Profile.assign(this.currentLobby.players);
         // Reset prediction state
         if (typeof Prediction !== 'undefined') {
           Prediction.reset();
         }
         this.predictionLoopRunning = false;
         this.gameState = null;
+        DeltaState.reset();
         Renderer.reset();
         UI.updateLobbyRoom(this.currentLobby, this.playerId);
         UI.showScreen('lobby-room');
@@ -286,6 +476,7 @@ class BombermanClient {
         console.log('Kicked from lobby:', message.message);
         this.currentLobby = null;
         this.clearSession();
+        Outbox.failQueued('Kicked from the lobby');
         UI.showConnectionStatus('You were kicked from the lobby', 'error');
         UI.showScreen('lobby-browser');
         this.refreshLobbies();
@@ -296,6 +487,7 @@ class BombermanClient {
         // If join failed (possibly stale lobby), clear session and show browser
         if (message.message && message.message.toLowerCase().includes('join')) {
           this.clearSession();
+          Outbox.failQueued('Lobby no longer available');
           UI.showScreen('lobby-browser');
           this.refreshLobbies();
           // Don't show alert for stale lobby - just show status message
@@ -308,8 +500,94 @@ class BombermanClient {
     }
   }
   
+  // Apply a complete game state (full GAME_STATE or baseline + delta)
+  updateGameState(state) {
+    this.gameState = state;
+    
+    // Map server times onto our clock. With time sync the server timestamps are
+    // converted directly; otherwise fall back to when we first saw each explosion.
+    const now = Date.now();
+    const synced = TimeSync.isSynced();
+    if (!this.knownExplosions) this.knownExplosions = new Map();
+    
+    if (this.gameState.tick !== undefined) {
+      TimeSync.noteServerTick(this.gameState.tick);
+    }
+    
+    if (this.gameState.explosions && this.gameState.explosions.length > 0) {
+      for (const explosion of this.gameState.explosions) {
+        // Generate a unique ID for tracking
+        const expId = `${explosion.originX}_${explosion.originY}_${explosion.timestamp}`;
+        
+        if (!this.knownExplosions.has(expId)) {
+          const clientTime = synced && explosion.timestamp
+            ? TimeSync.toClientTime(explosion.timestamp)
+            : now;
+          explosion.clientTimestamp = clientTime;
+          this.knownExplosions.set(expId, clientTime);
+          Renderer.onExplosion(explosion);
+        } else {
+          // Already seen - use the stored client timestamp
+          explosion.clientTimestamp = this.knownExplosions.get(expId);
+        }
+      }
+      
+      // Clean up old explosion tracking (keep last 20)
+      if (this.knownExplosions.size > 20) {
+        const entries = Array.from(this.knownExplosions.entries());
+        entries.sort((a, b) => a[1] - b[1]);
+        for (let i = 0; i < entries.length - 20; i++) {
+          this.knownExplosions.delete(entries[i][0]);
+        }
+      }
+    }
+    
+    // Bomb fuse deadlines on our clock - timer is what was left when the server sent this state
+    if (this.gameState.bombs) {
+      const oneWay = TimeSync.getOneWayDelay();
+      for (const bomb of this.gameState.bombs) {
+        bomb.explodeAt = now + bomb.timer - oneWay;
+      }
+    }
+    
+    // Initialize or reinitialize renderer if needed
+    const needsInit = !Renderer.initialized || 
+                      Renderer.mapWidth !== this.gameState.map.width ||
+                      Renderer.mapHeight !== this.gameState.map.height;
+    
+    if (needsInit) {
+      Renderer.init(this.gameState.map.width, this.gameState.map.height);
+    }
+    
+    // Reconcile client-side prediction with server state
+    if (typeof Prediction !== 'undefined') {
+      const serverPlayer = this.gameState.players.find(p => p.id === this.playerId);
+      if (serverPlayer) {
+        Prediction.reconcile(serverPlayer, this.gameState);
+        DebugOverlay.noteError(Prediction.lastReconcileError);
+      }
+      Prediction.recordSnapshots(this.gameState);
+    }
+    
+    // Always start prediction loop when receiving game state (if not already running)
+    this.startPredictionLoop();
+    
+    // Always show game screen when receiving game state
+    const currentScreen = document.querySelector('.screen.active');
+    if (!currentScreen || currentScreen.id !== 'game-screen') {
+      UI.showScreen('game');
+    }
+    
+    // Drawing happens once per animation frame in the prediction loop
+    UI.updatePlayerStats(this.gameState, this.playerId);
+  }
+  
   handleGameEvents(events) {
     for (const event of events) {
+      const check = Protocol.validateEvent(event);
+      Protocol.report(event, check);
+      if (!check.valid) continue;
+      
       switch (event.type) {
         case 'EXPLOSION':
           console.log('Explosion at tiles:', event.tiles);
@@ -317,10 +595,12 @@ class BombermanClient {
           
         case 'UPGRADE_COLLECTED':
           console.log('Player', event.playerId, 'collected upgrade:', event.upgrade.type);
+          Renderer.onUpgradeCollected(event.upgrade);
           break;
           
         case 'PLAYER_FELL':
           console.log('Player', event.playerId, 'fell into a hole!');
+          Renderer.onPlayerFell(event.playerId);
           break;
           
         case 'GAME_OVER':
@@ -340,10 +620,17 @@ class BombermanClient {
     this.username = username;
     this.send({
       type: 'SET_USERNAME',
-      username: username
+      username: username,
+      profile: Profile.toMessage()
     });
   }
   
+  // Cosmetics edited after connecting. Servers without the feature get them with the next SET_USERNAME.
+  sendProfile() {
+    if (!this.isOpen() || !this.serverFeatures.includes('profiles')) return;
+    this.send({ type: 'SET_PROFILE', profile: Profile.toMessage() });
+  }
+  
   refreshLobbies() {
     this.send({ type: 'GET_LOBBIES' });
   }
@@ -432,8 +719,11 @@ class BombermanClient {
     if (this.predictionLoopRunning) return;
     this.predictionLoopRunning = true;
     
+    // A loop marked stopped may still have a frame queued - cancel it so frames are only drawn once
+    cancelAnimationFrame(this.animationFrame);
+    
     const loop = () => {
-      if (!this.gameState || this.gameState.gameOver) {
+      if (!this.gameState) {
         this.predictionLoopRunning = false;
         return;
       }
@@ -445,11 +735,18 @@ class BombermanClient {
       
       // Render with predicted positions
       Renderer.render(this.gameState, this.playerId);
+      DebugOverlay.noteFrame();
+      
+      // Stop after drawing the final state (and the last deaths playing out); a later GAME_STATE restarts the loop
+      if (this.gameState.gameOver && !Renderer.isAnimating()) {
+        this.predictionLoopRunning = false;
+        return;
+      }
       
-      requestAnimationFrame(loop);
+      this.animationFrame = requestAnimationFrame(loop);
     };
     
-    requestAnimationFrame(loop);
+    this.animationFrame = requestAnimationFrame(loop);
   }
 }
 
@@ -0,0 +1,111 @@
+// Network condition simulator (debug only)
+// Delays, reorders and drops messages in both directions so prediction can be tested off localhost.
+// Enable with URL flags: ?latency=120&jitter=30&loss=2&reorder=5 (loss/reorder in percent), ?netsim shows the panel
+
+const NetSim = {
+  enabled: false,
+  showPanel: false,
+  
+  // Applied separately to each direction, so RTT is roughly 2 * latency
+  config: {
+    latency: 0,   // One-way delay (ms)
+    jitter: 0,    // Random extra delay, 0..jitter ms
+    loss: 0,      // Chance (0-1) a message is dropped
+    reorder: 0    // Chance (0-1) a message ignores send order and may overtake earlier ones
+  },
+  
+  // Latest scheduled delivery per direction - keeps in-order messages from overtaking each other
+  lastDelivery: { out: 0, in: 0 },
+  
+  stats: {
+    sent: 0,
+    received: 0,
+    dropped: 0,
+    reordered: 0,
+    pending: 0
+  },
+  
+  // Overridable for tests
+  now: () => performance.now(),
+  schedule: (fn, ms) => setTimeout(fn, ms),
+  random: Math.random,
+  
+  // Read URL flags. Any condition flag turns the simulator on.
+  load(search) {
+    const params = new URLSearchParams(search);
+    this.showPanel = params.has('netsim');
+    
+    const percent = name => Math.min(1, Math.max(0, parseFloat(params.get(name)) / 100 || 0));
+    const ms = name => Math.max(0, parseFloat(params.get(name)) || 0);
+    const flags = ['latency', 'jitter', 'loss', 'reorder'].filter(name => params.has(name));
+    if (flags.length === 0) return;
+    
+    this.configure({
+      latency: ms('latency'),
+      jitter: ms('jitter'),
+      loss: percent('loss'),
+      reorder: percent('reorder')
+    });
+    this.enabled = true;
+    this.showPanel = true;
+    console.log('[NetSim] Enabled from URL:', this.config);
+  },
+  
+  configure(config) {
+    Object.assign(this.config, config);
+  },
+  
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    console.log('[NetSim]', enabled ? 'Enabled:' : 'Disabled', enabled ? this.config : '');
+  },
+  
+  // Client -> server
+  outgoing(deliver) {
+    this.shape('out', deliver);
+  },
+  
+  // Server -> client
+  incoming(deliver) {
+    this.shape('in', deliver);
+  },
+  
+  shape(direction, deliver) {
+    if (!this.enabled) {
+      deliver();
+      return;
+    }
+    
+    if (this.random() < this.config.loss) {
+      this.stats.dropped++;
+      return;
+    }
+    
+    const now = this.now();
+    let deliverAt = now + this.config.latency + this.random() * this.config.jitter;
+    
+    if (this.random() < this.config.reorder) {
+      this.stats.reordered++;
+    } else {
+      // In order: never before the previous message in this direction
+      deliverAt = Math.max(deliverAt, this.lastDelivery[direction]);
+      this.lastDelivery[direction] = deliverAt;
+    }
+    
+    this.stats.pending++;
+    this.schedule(() => {
+      this.stats.pending--;
+      this.stats[direction === 'out' ? 'sent' : 'received']++;
+      deliver();
+    }, deliverAt - now);
+  },
+  
+  getStats() {
+    return { enabled: this.enabled, ...this.config, ...this.stats };
+  }
+};
+
+// Shared with Node (tests and tools)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { NetSim };
+}
@@ -0,0 +1,179 @@
+// Outbound message queue with request IDs and acknowledgement tracking
+// Lobby commands survive connection blips; MOVE actions are coalesced to the latest one
+
+const Outbox = {
+  // Commands worth delivering after a reconnect (everything else is dropped while offline)
+  reliableTypes: [
+    'CREATE_LOBBY',
+    'CHANGE_MAP',
+    'UPDATE_SETTINGS',
+    'RESET_SETTINGS',
+    'KICK_PLAYER',
+    'SET_READY',
+    'START_GAME',
+    'RETURN_TO_LOBBY_REQUEST'
+  ],
+  
+  // Tracked commands: Map<requestId, { requestId, message, status, error, createdAt, sentAt }>
+  // status: 'queued' (waiting for connection) | 'sent' (awaiting ack) | 'failed'
+  entries: new Map(),
+  pendingMove: null, // Latest MOVE that couldn't be sent yet
+  
+  // Config
+  ackTimeout: 5000,   // ms to wait for the server to echo a requestId
+  maxQueued: 50,      // Oldest queued commands fail beyond this
+  
+  serverAcks: false,  // Set once the server echoes any requestId (per connection)
+  nextId: 1,
+  listeners: [],
+  
+  isReliable(message) {
+    return this.reliableTypes.includes(message.type);
+  },
+  
+  isMove(message) {
+    return message.type === 'PLAYER_ACTION' && message.action && message.action.type === 'MOVE';
+  },
+  
+  // Start tracking a reliable command - stamps a requestId onto the message
+  track(message) {
+    const requestId = `${Date.now().toString(36)}-${this.nextId++}`;
+    const entry = {
+      requestId: requestId,
+      message: { ...message, requestId: requestId },
+      status: 'queued',
+      error: null,
+      createdAt: Date.now(),
+      sentAt: 0,
+      timer: null
+    };
+    this.entries.set(requestId, entry);
+    
+    // Keep the offline queue bounded
+    const queued = this.getQueued();
+    if (queued.length > this.maxQueued) {
+      this.fail(queued[0].requestId, 'Too many queued commands');
+    }
+    
+    this.notify();
+    return entry;
+  },
+  
+  markSent(requestId) {
+    const entry = this.entries.get(requestId);
+    if (!entry) return;
+    
+    entry.status = 'sent';
+    entry.sentAt = Date.now();
+    clearTimeout(entry.timer);
+    entry.timer = setTimeout(() => {
+      // Servers that don't echo requestIds can't confirm - assume delivered
+      if (this.serverAcks) {
+        this.fail(requestId, 'No response from server');
+      } else {
+        this.dismiss(requestId);
+      }
+    }, this.ackTimeout);
+    this.notify();
+  },
+  
+  fail(requestId, error) {
+    const entry = this.entries.get(requestId);
+    if (!entry) return;
+    
+    clearTimeout(entry.timer);
+    entry.status = 'failed';
+    entry.error = error;
+    console.warn('[Outbox] Command failed:', entry.message.type, '-', error);
+    this.notify();
+  },
+  
+  // Server echoes requestId on its reply: ERROR fails the command, anything else acks it
+  resolve(message) {
+    this.serverAcks = true;
+    const entry = this.entries.get(message.requestId);
+    if (!entry) return;
+    
+    if (message.type === 'ERROR') {
+      this.fail(entry.requestId, message.message || 'Rejected by server');
+      return;
+    }
+    
+    clearTimeout(entry.timer);
+    this.entries.delete(entry.requestId);
+    this.notify();
+  },
+  
+  // Connection dropped: commands the server hasn't confirmed go back in the queue
+  // and are sent again after reconnecting. A server that never acks has most likely
+  // got them already - resending would repeat them, so they count as delivered.
+  requeueInFlight() {
+    for (const entry of this.entries.values()) {
+      if (entry.status !== 'sent') continue;
+      
+      clearTimeout(entry.timer);
+      if (this.serverAcks) {
+        entry.status = 'queued';
+        entry.sentAt = 0;
+      } else {
+        this.entries.delete(entry.requestId);
+      }
+    }
+    this.pendingMove = null;
+    this.notify();
+  },
+  
+  // New connection - the new server may not echo requestIds
+  reset() {
+    this.serverAcks = false;
+  },
+  
+  // Queued lobby commands no longer make sense (left or kicked from lobby)
+  failQueued(reason) {
+    for (const entry of this.getQueued()) {
+      this.fail(entry.requestId, reason);
+    }
+  },
+  
+  dismiss(requestId) {
+    const entry = this.entries.get(requestId);
+    if (!entry) return;
+    clearTimeout(entry.timer);
+    this.entries.delete(requestId);
+    this.notify();
+  },
+  
+  getQueued() {
+    return Array.from(this.entries.values()).filter(e => e.status === 'queued');
+  },
+  
+  getEntries() {
+    return Array.from(this.entries.values());
+  },
+  
+  // Only the latest MOVE matters - replaces any earlier unsent one
+  coalesceMove(message) {
+    this.pendingMove = message;
+  },
+  
+  takeMove() {
+    const move = this.pendingMove;
+    this.pendingMove = null;
+    return move;
+  },
+  
+  onChange(listener) {
+    this.listeners.push(listener);
+  },
+  
+  notify() {
+    const entries = this.getEntries();
+    for (const listener of this.listeners) {
+      listener(entries);
+    }
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { Outbox };
+}
@@ -0,0 +1,137 @@
+// Player color palettes and shape markers
+// Each player gets a color and a marker shape, so players can be told apart without relying on color alone.
+// Palettes list their most distinct colors first; past the end, colors are generated by stepping
+// around the hue wheel so every slot stays unique however big the lobby gets.
+
+const Palettes = {
+  defaultPalette: 'default',
+  
+  // colors: null uses the theme's PLAYER colors
+  list: [
+    { id: 'default', name: 'Default', colors: null },
+    // Okabe-Ito - safe for red-green color blindness
+    { id: 'deuteranopia', name: 'Deuteranopia', colors: ['#0072B2', '#E69F00', '#56B4E9', '#D55E00', '#F0E442', '#CC79A7', '#009E73', '#000000'] },
+    // Same family, avoiding reds that look dark to protanopes
+    { id: 'protanopia', name: 'Protanopia', colors: ['#0072B2', '#F0E442', '#56B4E9', '#E69F00', '#CC79A7', '#FFFFFF', '#009E73', '#000000'] },
+    // Red/teal/pink contrasts - avoids blue-yellow pairs
+    { id: 'tritanopia', name: 'Tritanopia', colors: ['#D81B60', '#1BA3C6', '#FFFFFF', '#000000', '#FF9DA7', '#8C564B', '#7A0177', '#66C2A5'] },
+    { id: 'high-contrast', name: 'High contrast', colors: ['#FFFF00', '#0000FF', '#FF00FF', '#000000', '#00FFFF', '#FF0000', '#FFFFFF', '#00AA00'] }
+  ],
+  
+  markers: ['circle', 'triangle', 'square', 'diamond', 'star', 'plus'],
+  
+  current: null,
+  listeners: [],
+  
+  init() {
+    this.current = this.find(this.loadSaved());
+  },
+  
+  find(id) {
+    return this.list.find(palette => palette.id === id) || this.list[0];
+  },
+  
+  select(id) {
+    this.current = this.find(id);
+    this.save(this.current.id);
+    this.listeners.forEach(fn => fn(this.current));
+    return this.current;
+  },
+  
+  onChange(fn) {
+    this.listeners.push(fn);
+  },
+  
+  // Color and marker for a player slot. themeColors are used by the default palette.
+  getStyle(slot, themeColors = []) {
+    const palette = this.current || this.find(this.defaultPalette);
+    const colors = palette.colors || themeColors;
+    return {
+      color: slot < colors.length ? colors[slot] : this.generateColor(slot - colors.length),
+      marker: this.markers[slot % this.markers.length]
+    };
+  },
+  
+  // Golden-angle hue steps never repeat; lightness alternates so neighbours differ in brightness too
+  generateColor(n) {
+    const hue = Math.round((n * 137.508 + 20) % 360);
+    const lightness = n % 2 === 0 ? 45 : 65;
+    return `hsl(${hue}, 75%, ${lightness}%)`;
+  },
+  
+  // Marker shape centered at (x, y), filled with color and outlined for contrast on any background
+  drawMarker(ctx, marker, x, y, size, color) {
+    const r = size / 2;
+    ctx.beginPath();
+    switch (marker) {
+      case 'triangle':
+        ctx.moveTo(x, y - r);
+        ctx.lineTo(x + r, y + r * 0.8);
+        ctx.lineTo(x - r, y + r * 0.8);
+        ctx.closePath();
+        break;
+      case 'square':
+        ctx.rect(x - r * 0.85, y - r * 0.85, r * 1.7, r * 1.7);
+        break;
+      case 'diamond':
+        ctx.moveTo(x, y - r);
+        ctx.lineTo(x + r, y);
+        ctx.lineTo(x, y + r);
+        ctx.lineTo(x - r, y);
+        ctx.closePath();
+        break;
+      case 'star':
+        for (let i = 0; i < 10; i++) {
+          const angle = -Math.PI / 2 + i * Math.PI / 5;
+          const radius = i % 2 === 0 ? r : r * 0.45;
+          ctx.lineTo(x + Math.cos(angle) * radius, y + Math.sin(angle) * radius);
+        }
+        ctx.closePath();
+        break;
+      case 'plus': {
+        const arm = r * 0.35;
+        ctx.moveTo(x - arm, y - r);
+        ctx.lineTo(x + arm, y - r);
+        ctx.lineTo(x + arm, y - arm);
+        ctx.lineTo(x + r, y - arm);
+        ctx.lineTo(x + r, y + arm);
+        ctx.lineTo(x + arm, y + arm);
+        ctx.lineTo(x + arm, y + r);
+        ctx.lineTo(x - arm, y + r);
+        ctx.lineTo(x - arm, y + arm);
+        ctx.lineTo(x - r, y + arm);
+        ctx.lineTo(x - r, y - arm);
+        ctx.lineTo(x - arm, y - arm);
+        ctx.closePath();
+        break;
+      }
+      default:
+        ctx.arc(x, y, r * 0.9, 0, Math.PI * 2);
+    }
+    ctx.fillStyle = color;
+    ctx.fill();
+    ctx.strokeStyle = '#222';
+    ctx.lineWidth = 1.5;
+    ctx.stroke();
+  },
+  
+  loadSaved() {
+    try {
+      return localStorage.getItem(STORAGE_KEYS.PALETTE);
+    } catch (e) {
+      return null;
+    }
+  },
+  
+  save(id) {
+    try {
+      localStorage.setItem(STORAGE_KEYS.PALETTE, id);
+    } catch (e) {
+      console.warn('Could not save palette to localStorage');
+    }
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { Palettes };
+}
@@ -0,0 +1,169 @@
+// Lightweight particle effects: explosion sparks and smoke, box debris, pickup bursts and scorch marks
+// Particles are stateless over time - position and fade are computed from age - so there's no per-frame
+// simulation step, and effects can be scheduled ahead (explosion rays spread tile by tile).
+// Positions are in tiles; times are Date.now() milliseconds.
+
+const Particles = {
+  maxParticles: 500,   // Oldest are dropped beyond this
+  maxScorches: 120,
+  scorchLife: 8000,    // ms a scorch mark lingers
+  scorchFade: 2000,    // Fades out over the end of its life
+  
+  particles: [],
+  scorches: [],
+  
+  // Overridable for tests
+  now: () => Date.now(),
+  random: Math.random,
+  
+  add(particle) {
+    this.particles.push(particle);
+    if (this.particles.length > this.maxParticles) {
+      this.particles.splice(0, this.particles.length - this.maxParticles);
+    }
+  },
+  
+  // Random velocity in a random direction, speed in tiles/s
+  spray(minSpeed, maxSpeed) {
+    const angle = this.random() * Math.PI * 2;
+    const speed = minSpeed + this.random() * (maxSpeed - minSpeed);
+    return { vx: Math.cos(angle) * speed, vy: Math.sin(angle) * speed };
+  },
+  
+  // Sparks and smoke on every tile of the blast as it reaches them, plus a scorch mark
+  explosion(explosion, startTime) {
+    const propDelay = explosion.propagationDelay || 20;
+    
+    for (const tile of explosion.tiles) {
+      const born = startTime + (tile.distance || 0) * propDelay;
+      const x = tile.x + 0.5;
+      const y = tile.y + 0.5;
+      
+      for (let i = 0; i < 3; i++) {
+        this.add({ kind: 'spark', x, y, ...this.spray(1.5, 4), gravity: 0, born, life: 250 + this.random() * 200,
+          size: 0.06, color: this.random() < 0.5 ? '#fff3b0' : '#ffb020' });
+      }
+      this.add({ kind: 'smoke', x, y, ...this.spray(0.1, 0.4), gravity: -0.3, born: born + 100, life: 900,
+        size: 0.25, color: '#555' });
+      
+      this.scorch(tile.x, tile.y, born);
+    }
+  },
+  
+  // Chunks of a destroyed box tossed up and falling back
+  debris(x, y, color) {
+    const born = this.now();
+    for (let i = 0; i < 8; i++) {
+      const { vx } = this.spray(0.5, 1.5);
+      this.add({ kind: 'debris', x: x + 0.5, y: y + 0.5, vx, vy: -1.5 - this.random() * 1.5, gravity: 6, born,
+        life: 500 + this.random() * 200, size: 0.1 + this.random() * 0.08, color, spin: (this.random() - 0.5) * 20 });
+    }
+  },
+  
+  // Ring of sparkles in the upgrade's color
+  burst(x, y, color) {
+    const born = this.now();
+    const count = 12;
+    for (let i = 0; i < count; i++) {
+      const angle = (i / count) * Math.PI * 2;
+      this.add({ kind: 'spark', x: x + 0.5, y: y + 0.5, vx: Math.cos(angle) * 2, vy: Math.sin(angle) * 2, gravity: 0,
+        born, life: 400, size: 0.08, color });
+    }
+  },
+  
+  // One mark per tile - a new blast refreshes it
+  scorch(x, y, born) {
+    this.scorches = this.scorches.filter(s => s.x !== x || s.y !== y);
+    this.scorches.push({ x, y, born });
+    if (this.scorches.length > this.maxScorches) {
+      this.scorches.splice(0, this.scorches.length - this.maxScorches);
+    }
+  },
+  
+  // Where a particle is at a given age (ms)
+  positionAt(particle, age) {
+    const t = age / 1000;
+    return {
+      x: particle.x + particle.vx * t,
+      y: particle.y + particle.vy * t + 0.5 * particle.gravity * t * t
+    };
+  },
+  
+  // Forget expired particles and scorch marks
+  prune(now) {
+    this.particles = this.particles.filter(p => now - p.born < p.life);
+    this.scorches = this.scorches.filter(s => now - s.born < this.scorchLife);
+  },
+  
+  // Under players and bombs, over the floor
+  drawScorches(ctx, tileSize, now) {
+    for (const scorch of this.scorches) {
+      const age = now - scorch.born;
+      if (age < 0) continue;
+      const remaining = this.scorchLife - age;
+      const alpha = 0.35 * Math.min(1, remaining / this.scorchFade);
+      if (alpha <= 0) continue;
+      
+      const centerX = (scorch.x + 0.5) * tileSize;
+      const centerY = (scorch.y + 0.5) * tileSize;
+      const gradient = ctx.createRadialGradient(centerX, centerY, 0, centerX, centerY, tileSize / 2);
+      gradient.addColorStop(0, `rgba(20, 15, 10, ${alpha})`);
+      gradient.addColorStop(1, 'rgba(20, 15, 10, 0)');
+      ctx.fillStyle = gradient;
+      ctx.fillRect(scorch.x * tileSize, scorch.y * tileSize, tileSize, tileSize);
+    }
+  },
+  
+  draw(ctx, tileSize, now) {
+    this.prune(now);
+    
+    ctx.save();
+    for (const particle of this.particles) {
+      const age = now - particle.born;
+      if (age < 0) continue; // Scheduled for later
+      
+      const progress = age / particle.life;
+      const pos = this.positionAt(particle, age);
+      const x = pos.x * tileSize;
+      const y = pos.y * tileSize;
+      
+      ctx.fillStyle = particle.color;
+      switch (particle.kind) {
+        case 'smoke': {
+          // Grows and thins out
+          ctx.globalAlpha = 0.35 * (1 - progress);
+          ctx.beginPath();
+          ctx.arc(x, y, particle.size * tileSize * (1 + progress), 0, Math.PI * 2);
+          ctx.fill();
+          break;
+        }
+        case 'debris': {
+          const size = particle.size * tileSize;
+          ctx.globalAlpha = 1 - progress * progress;
+          ctx.save();
+          ctx.translate(x, y);
+          ctx.rotate(particle.spin * age / 1000);
+          ctx.fillRect(-size / 2, -size / 2, size, size);
+          ctx.restore();
+          break;
+        }
+        default: {
+          ctx.globalAlpha = 1 - progress;
+          ctx.beginPath();
+          ctx.arc(x, y, particle.size * tileSize, 0, Math.PI * 2);
+          ctx.fill();
+        }
+      }
+    }
+    ctx.restore();
+  },
+  
+  clear() {
+    this.particles = [];
+    this.scorches = [];
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { Particles };
+}
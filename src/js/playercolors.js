@@ -0,0 +1,73 @@
+// Player identity colors: each player keeps one palette slot (color and marker) for as long as they're
+// in the lobby, so colors don't shift when someone leaves and everyone sees the same colors.
+// Slots come from the server (lobby players' colorSlot); players without one take the free slots in
+// the order the lobby lists them (join order), which every client sees alike.
+// A color the player picked for themselves (profile.color) replaces their slot's color; the marker stays.
+// Picked colors only show with the default palette, and never when another player could show the same color.
+
+const PlayerColors = {
+  slots: new Map(),     // id -> palette slot
+  chosen: new Map(),    // id -> color picked by the player
+  
+  // Lobby roster changed (joined, left, settings, back from a game)
+  assign(players) {
+    this.slots.clear();
+    for (const player of players) {
+      if (Number.isInteger(player.colorSlot) && player.colorSlot >= 0) {
+        this.slots.set(player.id, player.colorSlot);
+      }
+    }
+    
+    this.chosen.clear();
+    for (const player of players) {
+      const color = player.profile && player.profile.color;
+      if (typeof color === 'string' && /^#[0-9a-f]{6}$/i.test(color)) {
+        this.chosen.set(player.id, color);
+      }
+      this.getSlot(player.id);
+    }
+  },
+  
+  // Lowest free slot - for lobby players in list order, and for players we only know from the
+  // game state the first time they're asked about
+  getSlot(id) {
+    if (!this.slots.has(id)) {
+      const used = new Set(this.slots.values());
+      let slot = 0;
+      while (used.has(slot)) slot++;
+      this.slots.set(id, slot);
+    }
+    return this.slots.get(id);
+  },
+  
+  // { color, marker } for a player. themeColors are the default palette's colors.
+  getStyle(id, themeColors) {
+    const style = Palettes.getStyle(this.getSlot(id), themeColors);
+    return this.showsChosen(id, themeColors) ? { ...style, color: this.chosen.get(id) } : style;
+  },
+  
+  // The other palettes are picked for color vision - they win over picked colors. So do other
+  // players: a color someone else picked or has as their slot color leaves both on their slots.
+  showsChosen(id, themeColors) {
+    const palette = Palettes.current || Palettes.find(Palettes.defaultPalette);
+    if (!this.chosen.has(id) || palette.id !== Palettes.defaultPalette) return false;
+    
+    const color = this.chosen.get(id).toLowerCase();
+    for (const [otherId, slot] of this.slots) {
+      if (otherId === id) continue;
+      const picked = this.chosen.get(otherId);
+      if ((picked && picked.toLowerCase() === color) ||
+          Palettes.getStyle(slot, themeColors).color.toLowerCase() === color) return false;
+    }
+    return true;
+  },
+  
+  reset() {
+    this.slots.clear();
+    this.chosen.clear();
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { PlayerColors };
+}
@@ -12,9 +12,27 @@ const Prediction = {
   // Input history for replay: { tick, vx, vy }
   inputHistory: [],
   
-  // Other players' interpolation state
+  // Other players' interpolation state: Map<id, { x, y, snapshots: [{ time, x, y, teleport }], extrapolating }>
   otherPlayers: new Map(),
   
+  // Maps snapshot times onto performance.now(): smallest (arrival - snapshot time) seen
+  playoutOffset: null,
+  
+  // Predicted bombs awaiting server confirmation: { x, y, placedAt, explodeAt, expectedActive, predicted }
+  pendingBombs: [],
+  
+  // Upgrades we walked over that the server hasn't confirmed yet: Map<"x,y", { x, y, type, tick, at, serverSpeed }>
+  pendingPickups: new Map(),
+  
+  // Hole we're predicted to have fallen into: { x, y, tick, at } or null
+  predictedFall: null,
+  
+  // Tiles whose predicted fall or pickup the server rejected: Set<"x,y">, kept until we step off them
+  rejectedTiles: new Set(),
+  
+  // Speed a SPEED pickup actually granted on this server, or null until one is confirmed
+  learnedSpeedBonus: null,
+  
   // Config
   config: {
     defaultSpeed: 3,
@@ -22,9 +40,17 @@ const Prediction = {
     serverTickRate: 60,
     // Reconciliation settings - be lenient, only correct real problems
     correctionThreshold: 0.3,  // Only correct if server rejected our move (collision)
-    otherPlayerLerpSpeed: 12,  // How fast others lerp
+    correctionSmoothing: 12,   // How fast the visual offset from a correction decays (per second)
+    interpolationDelay: 100,   // Render other players this far (ms) in the past
+    maxExtrapolation: 150,     // Keep moving others this long (ms) when snapshots are late
+    snapshotBufferMs: 1000,    // Snapshot history kept per remote player
+    confirmMargin: 250,        // Extra ms beyond RTT to wait for the server to confirm a predicted bomb/pickup/fall
+    speedUpgradeBonus: 0.5,    // Speed added by a SPEED pickup until the server shows what it grants
     snapThreshold: 1.5,        // Snap if teleported/major desync
-    maxHistoryMs: 1000         // Keep 1 second of history (covers 300ms+ latency)
+    maxHistoryMs: 1000,        // Keep 1 second of history (covers 300ms+ latency)
+    // Tick clock sync (only when TimeSync has estimates)
+    maxTickRateAdjust: 0.05,   // Run at most 5% fast/slow to catch up with the server's tick
+    tickResyncThreshold: 30    // Jump straight to the server's tick if this far off
   },
   
   // Timing & sync
@@ -34,10 +60,15 @@ const Prediction = {
   lastReceiveTime: 0,
   tickAccumulator: 0,      // For sub-tick timing
   
-  // Track drift to detect sustained desync
+  // Track drift to detect sustained desync (fallback when we can't tell which inputs the server has)
   driftStartTime: 0,      // When drift started
   isDrifting: false,      // Currently drifting?
   
+  // Replay reconciliation
+  correctionOffset: { x: 0, y: 0 }, // Visual offset left by the last correction, decays to zero
+  lastReconcileError: 0,            // Distance between server and our history at the acked tick (or current position without acks)
+  lastReplayTicks: 0,               // Ticks re-simulated by the last correction
+  
   // Timing config
   maxDriftTime: 500,      // How long drift is allowed before correction (ms)
   driftThreshold: 0.4,    // Distance to consider "drifting"
@@ -60,8 +91,14 @@ const Prediction = {
     this.positionHistory = new Map();
     this.inputHistory = [];
     this.otherPlayers.clear();
+    this.playoutOffset = null;
+    this.pendingBombs = [];
+    this.pendingPickups.clear();
+    this.predictedFall = null;
+    this.rejectedTiles.clear();
     this.isDrifting = false;
     this.driftStartTime = 0;
+    this.correctionOffset = { x: 0, y: 0 };
     
     // Record initial position
     this.recordPosition();
@@ -87,13 +124,22 @@ const Prediction = {
     }
   },
   
-  // Record input for potential replay
+  // Record input for replay - only changes are stored; an input applies to every tick after it
   recordInput(vx, vy) {
-    this.inputHistory.push({
-      tick: this.currentTick,
-      vx: vx,
-      vy: vy
-    });
+    const last = this.inputHistory[this.inputHistory.length - 1];
+    if (last && last.vx === vx && last.vy === vy) return;
+    
+    if (last && last.tick === this.currentTick) {
+      // Changed again within the same tick - only the latest counts
+      last.vx = vx;
+      last.vy = vy;
+    } else {
+      this.inputHistory.push({
+        tick: this.currentTick,
+        vx: vx,
+        vy: vy
+      });
+    }
     
     // Trim old inputs
     while (this.inputHistory.length > this.maxHistoryTicks) {
@@ -105,18 +151,24 @@ const Prediction = {
   applyInput(vx, vy) {
     if (!this.localPlayer || !this.localPlayer.alive) return;
     
-    // Normalize diagonal movement
+    this.setVelocity(vx, vy);
+    
+    // Record this input
+    this.recordInput(vx, vy);
+  },
+  
+  // Direction -> velocity. Keyboard diagonals are normalized; shorter (analog stick)
+  // vectors move at that fraction of full speed, as on the server.
+  setVelocity(vx, vy) {
     const length = Math.sqrt(vx * vx + vy * vy);
     if (length > 0) {
-      this.localPlayer.velocityX = (vx / length) * this.localPlayer.speed;
-      this.localPlayer.velocityY = (vy / length) * this.localPlayer.speed;
+      const scale = this.localPlayer.speed / Math.max(1, length);
+      this.localPlayer.velocityX = vx * scale;
+      this.localPlayer.velocityY = vy * scale;
     } else {
       this.localPlayer.velocityX = 0;
       this.localPlayer.velocityY = 0;
     }
-    
-    // Record this input
-    this.recordInput(vx, vy);
   },
   
   // Update physics - runs at 60fps, advances ticks
@@ -128,7 +180,7 @@ const Prediction = {
     this.lastUpdateTime = now;
     
     // Accumulate time for tick advancement
-    const tickDuration = 1 / this.config.serverTickRate;
+    const tickDuration = this.syncTickClock();
     this.tickAccumulator += deltaTime;
     
     // Process ticks
@@ -138,18 +190,56 @@ const Prediction = {
       
       // Update local player for this tick
       this.simulateTick(gameState, tickDuration);
+      this.predictTileEffects(gameState);
       
       // Record position after tick
       this.recordPosition();
     }
     
+    // Ease out the visual offset left by the last correction
+    const decay = Math.exp(-this.config.correctionSmoothing * deltaTime);
+    this.correctionOffset.x *= decay;
+    this.correctionOffset.y *= decay;
+    
     // Update other players (smooth interpolation)
     this.updateOtherPlayers(deltaTime, gameState);
   },
   
+  getTickRate() {
+    return (typeof TimeSync !== 'undefined' && TimeSync.tickRate) || this.config.serverTickRate;
+  },
+  
+  // Steer our tick clock toward the server's estimated tick (via TimeSync).
+  // Small errors stretch/shrink the tick duration; large ones jump straight there.
+  // Returns seconds per tick.
+  syncTickClock() {
+    const tickRate = this.getTickRate();
+    const baseDuration = 1 / tickRate;
+    
+    if (typeof TimeSync === 'undefined') return baseDuration;
+    const serverTick = TimeSync.estimateServerTick(tickRate);
+    if (serverTick === null) return baseDuration;
+    
+    const localTick = this.currentTick + this.tickAccumulator / baseDuration;
+    const error = serverTick - localTick; // Positive = we're behind
+    
+    if (Math.abs(error) > this.config.tickResyncThreshold) {
+      console.log('[Prediction] Tick clock off by', error.toFixed(1), 'ticks - resyncing');
+      this.currentTick = Math.floor(serverTick);
+      this.tickAccumulator = 0;
+      this.positionHistory = new Map();
+      this.recordPosition();
+      return baseDuration;
+    }
+    
+    const maxAdjust = this.config.maxTickRateAdjust;
+    const adjust = Math.max(-maxAdjust, Math.min(maxAdjust, error * 0.01));
+    return baseDuration / (1 + adjust);
+  },
+  
   // Simulate one tick of movement with corner assist
   simulateTick(gameState, dt) {
-    if (!this.localPlayer || !this.localPlayer.alive) return;
+    if (!this.localPlayer || !this.localPlayer.alive || this.predictedFall) return;
     if (this.localPlayer.velocityX === 0 && this.localPlayer.velocityY === 0) return;
     
     const vx = this.localPlayer.velocityX;
@@ -238,14 +328,14 @@ const Prediction = {
       }
     }
     
-    // Check bombs
-    if (bombs && this.localPlayer) {
+    // Check bombs (server bombs plus our predicted ones)
+    if (this.localPlayer) {
       const targetTileX = Math.floor(x);
       const targetTileY = Math.floor(y);
       const currentTileX = Math.floor(this.localPlayer.x);
       const currentTileY = Math.floor(this.localPlayer.y);
       
-      for (const bomb of bombs) {
+      for (const bomb of (bombs || []).concat(this.pendingBombs)) {
         if (bomb.x === targetTileX && bomb.y === targetTileY) {
           if (currentTileX === bomb.x && currentTileY === bomb.y) {
             continue;
@@ -258,39 +348,113 @@ const Prediction = {
     return true;
   },
   
-  // Update other players with smooth interpolation
-  updateOtherPlayers(deltaTime, gameState) {
-    for (const serverPlayer of gameState.players) {
-      if (this.localPlayer && serverPlayer.id === this.localPlayer.id) continue;
-      if (!serverPlayer.alive) continue;
-      
-      let other = this.otherPlayers.get(serverPlayer.id);
+  // Buffer a time-stamped snapshot of every remote player. Snapshot times come from
+  // the server tick when present (immune to arrival jitter), else the arrival time.
+  recordSnapshots(gameState) {
+    const arrival = performance.now();
+    const time = gameState.tick !== undefined
+      ? gameState.tick * 1000 / this.getTickRate()
+      : arrival;
+    
+    // Earliest arrival relative to snapshot time = least delayed packet. Adopt faster
+    // paths immediately, creep slowly toward slower ones (clock drift, route changes).
+    const sample = arrival - time;
+    if (this.playoutOffset === null || sample < this.playoutOffset) {
+      this.playoutOffset = sample;
+    } else {
+      this.playoutOffset += (sample - this.playoutOffset) * 0.01;
+    }
+    
+    for (const player of gameState.players) {
+      if (this.localPlayer && player.id === this.localPlayer.id) continue;
+      if (!player.alive) continue;
       
+      let other = this.otherPlayers.get(player.id);
       if (!other) {
-        other = {
-          x: serverPlayer.x,
-          y: serverPlayer.y,
-          targetX: serverPlayer.x,
-          targetY: serverPlayer.y
-        };
-        this.otherPlayers.set(serverPlayer.id, other);
+        other = { x: player.x, y: player.y, snapshots: [], extrapolating: false };
+        this.otherPlayers.set(player.id, other);
       }
       
-      // Lerp toward target
-      const lerpSpeed = this.config.otherPlayerLerpSpeed * deltaTime;
-      other.x += (other.targetX - other.x) * Math.min(lerpSpeed, 1);
-      other.y += (other.targetY - other.y) * Math.min(lerpSpeed, 1);
+      const last = other.snapshots[other.snapshots.length - 1];
+      if (last && time <= last.time) continue; // Duplicate or out of order
+      
+      other.snapshots.push({
+        time: time,
+        x: player.x,
+        y: player.y,
+        // Don't interpolate across teleports
+        teleport: Boolean(last) && Math.hypot(player.x - last.x, player.y - last.y) > this.config.snapThreshold
+      });
+      
+      // Keep a bounded window (always at least two for extrapolation)
+      while (other.snapshots.length > 2 && time - other.snapshots[0].time > this.config.snapshotBufferMs) {
+        other.snapshots.shift();
+      }
     }
+  },
+  
+  // Position other players at (now - interpolationDelay) on the snapshot timeline
+  updateOtherPlayers(deltaTime, gameState) {
+    const renderTime = performance.now() - (this.playoutOffset || 0) - this.config.interpolationDelay;
     
-    // Clean up disconnected
-    for (const [id] of this.otherPlayers) {
-      if (!gameState.players.find(p => p.id === id && p.alive)) {
+    for (const [id, other] of this.otherPlayers) {
+      const player = gameState.players.find(p => p.id === id);
+      // Clean up disconnected / dead
+      if (!player || !player.alive) {
         this.otherPlayers.delete(id);
+        continue;
+      }
+      
+      const pos = this.sampleSnapshots(other, renderTime, gameState.map);
+      if (pos) {
+        other.x = pos.x;
+        other.y = pos.y;
       }
     }
   },
   
-  // Reconcile with server - detect actual rejection, not latency
+  sampleSnapshots(other, renderTime, map) {
+    const snapshots = other.snapshots;
+    if (snapshots.length === 0) return null;
+    
+    other.extrapolating = false;
+    const first = snapshots[0];
+    if (renderTime <= first.time) {
+      return { x: first.x, y: first.y };
+    }
+    
+    // Interpolate between the two snapshots around renderTime
+    for (let i = 1; i < snapshots.length; i++) {
+      const a = snapshots[i - 1];
+      const b = snapshots[i];
+      if (renderTime <= b.time) {
+        if (b.teleport) return { x: a.x, y: a.y };
+        const t = (renderTime - a.time) / (b.time - a.time);
+        return { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+      }
+    }
+    
+    // Late snapshot: extrapolate along the last known velocity for a bounded time
+    const last = snapshots[snapshots.length - 1];
+    const prev = snapshots[snapshots.length - 2];
+    if (!prev || last.teleport) return { x: last.x, y: last.y };
+    
+    const ahead = Math.min(renderTime - last.time, this.config.maxExtrapolation);
+    const span = last.time - prev.time;
+    const x = last.x + (last.x - prev.x) * ahead / span;
+    const y = last.y + (last.y - prev.y) * ahead / span;
+    
+    // Never extrapolate into walls or boxes
+    const tile = map.tiles[Math.floor(y)]?.[Math.floor(x)];
+    if (tile === undefined || tile === '#' || tile === 'X') {
+      return { x: last.x, y: last.y };
+    }
+    other.extrapolating = true;
+    return { x, y };
+  },
+  
+  // Reconcile with server. Preferred path: rewind to the server's position at the
+  // last tick it processed our input for, then replay the inputs it hasn't seen yet.
   reconcile(serverPlayer, gameState) {
     const serverTick = gameState.tick || 0;
     
@@ -299,8 +463,6 @@ const Prediction = {
       return;
     }
     
-    // Update stats that server controls
-    this.localPlayer.speed = serverPlayer.speed || this.config.defaultSpeed;
     this.localPlayer.alive = serverPlayer.alive;
     
     // If we died, snap to server position
@@ -308,31 +470,132 @@ const Prediction = {
       this.localPlayer.x = serverPlayer.x;
       this.localPlayer.y = serverPlayer.y;
       this.positionHistory = new Map();
+      this.correctionOffset = { x: 0, y: 0 };
+      this.pendingBombs = [];
+      this.pendingPickups.clear();
+      this.predictedFall = null;
+      this.rejectedTiles.clear();
       return;
     }
     
     const serverPos = { x: serverPlayer.x, y: serverPlayer.y };
+    const ackTick = this.getAckTick(serverPlayer, serverTick);
+    
+    this.confirmBombs(serverPlayer, gameState);
+    this.confirmTileEffects(serverPlayer, gameState, ackTick);
     
-    // DRIFT-BASED RECONCILIATION:
-    // Only correct if we've been drifting from server for too long
-    // This handles latency gracefully - temporary drift is OK
+    // Update stats that server controls (plus speed from pickups it hasn't seen yet)
+    this.localPlayer.speed = (serverPlayer.speed || this.config.defaultSpeed) + this.getPendingSpeedBonus();
     
+    if (ackTick !== null) {
+      this.reconcileByReplay(serverPos, ackTick, gameState);
+      this.pruneHistory(ackTick);
+    } else {
+      this.reconcileByDrift(serverPos, serverTick);
+      this.pruneHistory(serverTick);
+    }
+    
+    this.lastServerTick = serverTick;
+    this.lastReceiveTime = performance.now();
+  },
+  
+  // Our tick whose input the server's position reflects. Servers that report how far
+  // they've simulated our input (lastInputTick) tell us exactly; with time sync we can estimate
+  // it from the one-way delay. Otherwise null - we can't replay reliably.
+  getAckTick(serverPlayer, serverTick) {
+    if (typeof serverPlayer.lastInputTick === 'number') {
+      return serverPlayer.lastInputTick;
+    }
+    if (typeof TimeSync !== 'undefined' && TimeSync.isSynced()) {
+      const latencyTicks = Math.round(TimeSync.getOneWayDelay() * this.getTickRate() / 1000);
+      return serverTick - latencyTicks;
+    }
+    return null;
+  },
+  
+  reconcileByReplay(serverPos, ackTick, gameState) {
+    const predicted = this.positionHistory.get(ackTick);
+    
+    if (!predicted) {
+      // No history for that tick (just initialized/resynced) - only fix major desyncs
+      const dist = Math.hypot(serverPos.x - this.localPlayer.x, serverPos.y - this.localPlayer.y);
+      if (dist > this.config.snapThreshold) {
+        this.snapTo(serverPos, this.currentTick);
+      }
+      return;
+    }
+    
+    const error = Math.hypot(serverPos.x - predicted.x, serverPos.y - predicted.y);
+    this.lastReconcileError = error;
+    
+    // Server agrees with what we predicted for that tick
+    if (error <= this.config.correctionThreshold) return;
+    
+    const before = { x: this.localPlayer.x, y: this.localPlayer.y };
+    const replayed = this.replayFrom(ackTick, serverPos, gameState);
+    console.log('[Prediction] Server corrected us by', error.toFixed(2), 'tiles - replayed', replayed, 'ticks');
+    
+    // Hide small corrections behind a decaying offset; teleports snap
+    const jumpX = before.x - this.localPlayer.x;
+    const jumpY = before.y - this.localPlayer.y;
+    if (Math.hypot(jumpX, jumpY) <= this.config.snapThreshold) {
+      this.correctionOffset.x += jumpX;
+      this.correctionOffset.y += jumpY;
+    } else {
+      this.correctionOffset = { x: 0, y: 0 };
+    }
+  },
+  
+  // Rewind to the server's position at ackTick and re-simulate every tick since,
+  // using the recorded inputs. Returns the number of ticks replayed.
+  replayFrom(ackTick, serverPos, gameState) {
+    const player = this.localPlayer;
+    const savedVelocityX = player.velocityX;
+    const savedVelocityY = player.velocityY;
+    const dt = 1 / this.getTickRate();
+    
+    player.x = serverPos.x;
+    player.y = serverPos.y;
+    this.positionHistory.set(ackTick, { x: player.x, y: player.y, vx: savedVelocityX, vy: savedVelocityY });
+    
+    for (let tick = ackTick + 1; tick <= this.currentTick; tick++) {
+      const input = this.getInputForTick(tick);
+      this.setVelocity(input ? input.vx : 0, input ? input.vy : 0);
+      this.simulateTick(gameState, dt);
+      this.positionHistory.set(tick, { x: player.x, y: player.y, vx: player.velocityX, vy: player.velocityY });
+    }
+    
+    player.velocityX = savedVelocityX;
+    player.velocityY = savedVelocityY;
+    this.lastReplayTicks = Math.max(0, this.currentTick - ackTick);
+    return this.lastReplayTicks;
+  },
+  
+  // Input in effect while simulating this tick (latest one recorded before it)
+  getInputForTick(tick) {
+    let input = null;
+    for (const entry of this.inputHistory) {
+      if (entry.tick >= tick) break;
+      input = entry;
+    }
+    return input;
+  },
+  
+  // Legacy fallback: only correct if we've been drifting from the server for too long.
+  // This handles latency gracefully - temporary drift is OK.
+  reconcileByDrift(serverPos, serverTick) {
     const currentDist = Math.sqrt(
       Math.pow(serverPos.x - this.localPlayer.x, 2) +
       Math.pow(serverPos.y - this.localPlayer.y, 2)
     );
     
     const now = performance.now();
+    this.lastReconcileError = currentDist;
     
     if (currentDist > this.config.snapThreshold) {
       // Major desync - snap immediately (teleport, death, etc.)
       console.log('[Prediction] Major desync - snapping:', currentDist.toFixed(2), 'tiles');
-      this.localPlayer.x = serverPos.x;
-      this.localPlayer.y = serverPos.y;
-      this.positionHistory = new Map();
-      this.currentTick = serverTick;
-      this.recordPosition();
-      this.isDrifting = false;
+      this.snapTo(serverPos, serverTick);
     } else if (currentDist > this.driftThreshold) {
       // We're drifting from server
       if (!this.isDrifting) {
@@ -359,40 +622,191 @@ const Prediction = {
       this.isDrifting = false;
     }
     // Trust local position for normal movement!
-    
-    // Prune old history
+  },
+  
+  // Jump straight to the server position (teleport, major desync)
+  snapTo(serverPos, tick) {
+    this.localPlayer.x = serverPos.x;
+    this.localPlayer.y = serverPos.y;
+    this.positionHistory = new Map();
+    this.correctionOffset = { x: 0, y: 0 };
+    this.currentTick = tick;
+    this.recordPosition();
+    this.isDrifting = false;
+  },
+  
+  // Drop history the server has already confirmed. Keeps the input that was in
+  // effect at ackTick since replays starting there still need it.
+  pruneHistory(ackTick) {
     for (const tick of this.positionHistory.keys()) {
-      if (tick <= serverTick) {
+      if (tick < ackTick) {
         this.positionHistory.delete(tick);
       }
     }
-    this.inputHistory = this.inputHistory.filter(i => i.tick > serverTick);
     
-    this.lastServerTick = serverTick;
-    this.lastReceiveTime = performance.now();
+    const firstPending = this.inputHistory.findIndex(i => i.tick >= ackTick);
+    if (firstPending === -1) {
+      this.inputHistory = this.inputHistory.slice(-1);
+    } else if (firstPending > 0) {
+      this.inputHistory = this.inputHistory.slice(firstPending - 1);
+    }
+  },
+  
+  // Show a bomb under the local player right away (before the server confirms it).
+  // Respects the bomb budget and one bomb per tile. Returns the predicted bomb or null.
+  predictBomb(gameState, bombTimer) {
+    if (!this.localPlayer || !this.localPlayer.alive || !gameState) return null;
+    
+    const serverPlayer = gameState.players.find(p => p.id === this.localPlayer.id);
+    if (!serverPlayer) return null;
+    
+    const available = (serverPlayer.maxBombs || 1) - (serverPlayer.activeBombs || 0) - this.pendingBombs.length;
+    if (available <= 0) return null;
+    
+    const x = Math.floor(this.localPlayer.x);
+    const y = Math.floor(this.localPlayer.y);
+    const occupied = gameState.bombs.concat(this.pendingBombs).some(b => b.x === x && b.y === y);
+    if (occupied) return null;
+    
+    const now = Date.now();
+    const bomb = {
+      x: x,
+      y: y,
+      ownerId: this.localPlayer.id,
+      placedAt: now,
+      explodeAt: now + (bombTimer || 3000),
+      // Server has processed it once its activeBombs count reaches this
+      expectedActive: (serverPlayer.activeBombs || 0) + this.pendingBombs.length + 1,
+      predicted: true
+    };
+    this.pendingBombs.push(bomb);
+    return bomb;
+  },
+  
+  // Drop predicted bombs the server has resolved: a real bomb on that tile (confirmed),
+  // our activeBombs count caught up (placed, maybe on a different tile), or no answer in time (rolled back)
+  confirmBombs(serverPlayer, gameState) {
+    if (this.pendingBombs.length === 0) return;
+    
+    const now = Date.now();
+    const timeout = this.getConfirmTimeout();
+    
+    this.pendingBombs = this.pendingBombs.filter(bomb => {
+      if (gameState.bombs.some(b => b.x === bomb.x && b.y === bomb.y)) return false;
+      if ((serverPlayer.activeBombs || 0) >= bomb.expectedActive) return false;
+      if (now - bomb.placedAt > timeout) {
+        console.log('[Prediction] Server never placed predicted bomb at', bomb.x, bomb.y, '- rolling back');
+        return false;
+      }
+      return true;
+    });
+  },
+  
+  getPendingBombs() {
+    return this.pendingBombs;
+  },
+  
+  // How long to wait for the server to reflect a prediction before rolling it back
+  getConfirmTimeout() {
+    const rtt = typeof TimeSync !== 'undefined' && TimeSync.isSynced() ? TimeSync.rtt : 200;
+    return rtt + this.config.confirmMargin;
+  },
+  
+  // After each predicted tick: fall into a hole or pick up an upgrade on the tile we're standing on
+  predictTileEffects(gameState) {
+    const player = this.localPlayer;
+    if (!player || !player.alive || this.predictedFall) return;
+    
+    const x = Math.floor(player.x);
+    const y = Math.floor(player.y);
+    const key = `${x},${y}`;
+    
+    // The server already said no here - don't predict it again until we leave the tile
+    for (const rejected of this.rejectedTiles) {
+      if (rejected !== key) this.rejectedTiles.delete(rejected);
+    }
+    if (this.rejectedTiles.has(key)) return;
     
-    // Update other players' targets (smooth interpolation)
-    for (const player of gameState.players) {
-      if (this.localPlayer && player.id === this.localPlayer.id) continue;
+    if (gameState.map.tiles[y]?.[x] === 'O') {
+      this.predictedFall = { x: x, y: y, tick: this.currentTick, at: Date.now() };
+      player.velocityX = 0;
+      player.velocityY = 0;
+      return;
+    }
+    
+    if (this.pendingPickups.has(key)) return;
+    
+    const upgrade = gameState.map.upgrades.find(u => u.x === x && u.y === y);
+    if (!upgrade) return;
+    
+    const serverPlayer = gameState.players.find(p => p.id === player.id);
+    this.pendingPickups.set(key, {
+      x: x,
+      y: y,
+      type: upgrade.type,
+      tick: this.currentTick,
+      at: Date.now(),
+      serverSpeed: serverPlayer ? serverPlayer.speed : undefined
+    });
+    if (upgrade.type === 'SPEED') {
+      player.speed += this.getSpeedBonus();
+    }
+  },
+  
+  // Settle predicted falls and pickups. The server has had its say once it acked the
+  // tick we predicted them at (or, without acks, after the confirm timeout).
+  confirmTileEffects(serverPlayer, gameState, ackTick) {
+    const now = Date.now();
+    const timeout = this.getConfirmTimeout();
+    const settled = (entry) => (ackTick !== null && ackTick >= entry.tick) || now - entry.at > timeout;
+    
+    // Still alive after the server processed the tick we fell at - it disagrees
+    if (this.predictedFall && settled(this.predictedFall)) {
+      console.log('[Prediction] Server did not drop us into hole at', this.predictedFall.x, this.predictedFall.y, '- rolling back');
+      this.rejectedTiles.add(`${this.predictedFall.x},${this.predictedFall.y}`);
+      this.predictedFall = null;
+    }
+    
+    for (const [key, pickup] of this.pendingPickups) {
+      const stillThere = gameState.map.upgrades.some(u => u.x === pickup.x && u.y === pickup.y);
       
-      const other = this.otherPlayers.get(player.id);
-      if (other) {
-        const otherDist = Math.sqrt(
-          Math.pow(player.x - other.targetX, 2) + 
-          Math.pow(player.y - other.targetY, 2)
-        );
-        
-        if (otherDist > this.config.snapThreshold) {
-          other.x = player.x;
-          other.y = player.y;
+      if (!stillThere) {
+        // Gone on the server: collected (by us, if our speed went up)
+        const gained = serverPlayer.speed - pickup.serverSpeed;
+        if (pickup.type === 'SPEED' && gained > 0) {
+          this.learnedSpeedBonus = gained;
         }
-        
-        other.targetX = player.x;
-        other.targetY = player.y;
+        this.pendingPickups.delete(key);
+      } else if (settled(pickup)) {
+        console.log('[Prediction] Server did not give us upgrade at', pickup.x, pickup.y, '- rolling back');
+        this.rejectedTiles.add(key);
+        this.pendingPickups.delete(key);
       }
     }
   },
   
+  getSpeedBonus() {
+    return this.learnedSpeedBonus !== null ? this.learnedSpeedBonus : this.config.speedUpgradeBonus;
+  },
+  
+  getPendingSpeedBonus() {
+    let bonus = 0;
+    for (const pickup of this.pendingPickups.values()) {
+      if (pickup.type === 'SPEED') bonus += this.getSpeedBonus();
+    }
+    return bonus;
+  },
+  
+  // Upgrades we've predicted picking up are hidden until the server settles them
+  isUpgradeHidden(upgrade) {
+    return this.pendingPickups.has(`${upgrade.x},${upgrade.y}`);
+  },
+  
+  // Local player is predicted to be falling into a hole
+  isFalling(playerId) {
+    return this.predictedFall !== null && this.localPlayer !== null && this.localPlayer.id === playerId;
+  },
+  
   // Get local player position with tick (for sending to server)
   getLocalPosition() {
     if (!this.localPlayer) return null;
@@ -406,7 +820,10 @@ const Prediction = {
   // Get position for rendering
   getPlayerPosition(player, localPlayerId) {
     if (this.localPlayer && player.id === localPlayerId) {
-      return { x: this.localPlayer.x, y: this.localPlayer.y };
+      return {
+        x: this.localPlayer.x + this.correctionOffset.x,
+        y: this.localPlayer.y + this.correctionOffset.y
+      };
     }
     
     const other = this.otherPlayers.get(player.id);
@@ -423,6 +840,12 @@ const Prediction = {
     this.positionHistory = new Map();
     this.inputHistory = [];
     this.otherPlayers.clear();
+    this.playoutOffset = null;
+    this.pendingBombs = [];
+    this.pendingPickups.clear();
+    this.predictedFall = null;
+    this.rejectedTiles.clear();
+    this.learnedSpeedBonus = null;
     this.lastUpdateTime = 0;
     this.currentTick = 0;
     this.lastServerTick = 0;
@@ -430,16 +853,31 @@ const Prediction = {
     this.tickAccumulator = 0;
     this.isDrifting = false;
     this.driftStartTime = 0;
+    this.correctionOffset = { x: 0, y: 0 };
+    this.lastReconcileError = 0;
+    this.lastReplayTicks = 0;
   },
   
   // Debug stats
   getSyncStats() {
+    const estimatedServerTick = typeof TimeSync !== 'undefined'
+      ? TimeSync.estimateServerTick(this.getTickRate())
+      : null;
     return {
       currentTick: this.currentTick,
       lastServerTick: this.lastServerTick,
+      estimatedServerTick: estimatedServerTick !== null ? Math.round(estimatedServerTick) : null,
       ticksAhead: this.currentTick - this.lastServerTick,
       historySize: this.positionHistory.size,
+      inputHistorySize: this.inputHistory.length,
       isDrifting: this.isDrifting,
+      lastReconcileError: this.lastReconcileError,
+      lastReplayTicks: this.lastReplayTicks,
+      interpolationDelay: this.config.interpolationDelay,
+      pendingBombs: this.pendingBombs.length,
+      pendingPickups: this.pendingPickups.size,
+      predictedFall: this.predictedFall !== null,
+      extrapolatingPlayers: Array.from(this.otherPlayers.values()).filter(o => o.extrapolating).length,
       localPos: this.localPlayer ? 
         `(${this.localPlayer.x.toFixed(2)}, ${this.localPlayer.y.toFixed(2)})` : 'none'
     };
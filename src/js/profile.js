@@ -0,0 +1,101 @@
+// Cosmetic profile: body color, hat or face accessory, and name tag style
+// Saved in localStorage and sent to the server - with SET_USERNAME, and as SET_PROFILE when edited later
+// on servers with the `profiles` feature - so other clients draw us the same way.
+// Other players' profiles arrive on the lobby's player list.
+
+const Profile = {
+  // '' keeps the color assigned in the lobby
+  colors: [
+    { id: '', name: 'Assigned' },
+    { id: '#e74c3c', name: 'Red' },
+    { id: '#e67e22', name: 'Orange' },
+    { id: '#f1c40f', name: 'Yellow' },
+    { id: '#2ecc71', name: 'Green' },
+    { id: '#1abc9c', name: 'Teal' },
+    { id: '#3498db', name: 'Blue' },
+    { id: '#9b59b6', name: 'Purple' },
+    { id: '#fd79a8', name: 'Pink' },
+    { id: '#ecf0f1', name: 'White' },
+    { id: '#2d3436', name: 'Black' }
+  ],
+  accessories: [
+    { id: 'none', name: 'None' },
+    { id: 'cap', name: 'Cap' },
+    { id: 'crown', name: 'Crown' },
+    { id: 'tophat', name: 'Top hat' },
+    { id: 'bow', name: 'Bow' },
+    { id: 'glasses', name: 'Glasses' },
+    { id: 'mustache', name: 'Mustache' }
+  ],
+  nameTags: [
+    { id: 'plain', name: 'Plain' },
+    { id: 'color', name: 'In my color' },
+    { id: 'badge', name: 'Badge' }
+  ],
+  
+  current: null,
+  players: new Map(),   // id -> profile from the lobby
+  listeners: [],
+  
+  init() {
+    this.current = this.sanitize(this.loadSaved());
+  },
+  
+  // Profiles come from storage and other clients - anything unknown falls back to the default
+  sanitize(profile) {
+    const source = profile && typeof profile === 'object' ? profile : {};
+    return {
+      color: typeof source.color === 'string' && /^#[0-9a-f]{6}$/i.test(source.color) ? source.color : null,
+      accessory: this.accessories.some(a => a.id === source.accessory) ? source.accessory : 'none',
+      nameTag: this.nameTags.some(t => t.id === source.nameTag) ? source.nameTag : 'plain'
+    };
+  },
+  
+  update(changes) {
+    this.current = this.sanitize({ ...this.current, ...changes });
+    this.save();
+    this.listeners.forEach(fn => fn(this.current));
+  },
+  
+  onChange(fn) {
+    this.listeners.push(fn);
+  },
+  
+  // Lobby roster changed
+  assign(players) {
+    this.players.clear();
+    for (const player of players) {
+      if (player.profile) this.players.set(player.id, this.sanitize(player.profile));
+    }
+  },
+  
+  get(playerId) {
+    return this.players.get(playerId) || this.sanitize(null);
+  },
+  
+  // Wire format - an assigned color is left out
+  toMessage() {
+    const { color, ...rest } = this.current || this.sanitize(null);
+    return color ? { color, ...rest } : rest;
+  },
+  
+  loadSaved() {
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEYS.PROFILE));
+    } catch (e) {
+      return null;
+    }
+  },
+  
+  save() {
+    try {
+      localStorage.setItem(STORAGE_KEYS.PROFILE, JSON.stringify(this.current));
+    } catch (e) {
+      console.warn('Could not save profile to localStorage');
+    }
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { Profile };
+}
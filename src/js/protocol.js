@@ -0,0 +1,343 @@
+// Protocol definition: every message the client sends and receives, with payload validation
+// Field specs: 'string' | 'number' | 'boolean' | 'object' | 'array' | 'any' | shape name | 'array:<type>'
+// A trailing '?' on the field name marks it optional (null counts as absent for optional fields)
+
+const Protocol = {
+  VERSION: 2, // 1 = original protocol, 2 = adds features/requestId negotiation
+  
+  // Fields any message may carry
+  commonFields: {
+    'requestId?': 'string'
+  },
+  
+  // Client -> server
+  clientMessages: {
+    SET_USERNAME: { username: 'string', 'profile?': 'profile' },
+    SET_PROFILE: { profile: 'profile' },
+    GET_LOBBIES: {},
+    GET_MAPS: {},
+    CREATE_LOBBY: { lobbyName: 'string', mapName: 'string' },
+    JOIN_LOBBY: { lobbyId: 'string' },
+    LEAVE_LOBBY: {},
+    CHANGE_MAP: { mapName: 'string' },
+    UPDATE_SETTINGS: { settings: 'object' },
+    RESET_SETTINGS: {},
+    KICK_PLAYER: { playerId: 'string' },
+    SET_READY: { ready: 'boolean' },
+    START_GAME: {},
+    RETURN_TO_LOBBY_REQUEST: {},
+    PLAYER_ACTION: { action: 'object' },
+    PING: { seq: 'number', clientTime: 'number' },
+    SET_CODEC: { codec: 'string' },
+    SET_STATE_MODE: { mode: 'string' },
+    REQUEST_FULL_STATE: {}
+  },
+  
+  // Server -> client
+  serverMessages: {
+    CONNECTED: {
+      playerId: 'string',
+      'features?': 'array:string',
+      'protocolVersion?': 'number',
+      'minClientVersion?': 'number'
+    },
+    USERNAME_SET: { username: 'string' },
+    MAP_LIST: { maps: 'array:string' },
+    LOBBY_LIST: { lobbies: 'array:lobbySummary' },
+    LOBBY_JOINED: { lobbyInfo: 'lobby' },
+    PLAYER_JOINED: { lobbyInfo: 'lobby' },
+    PLAYER_LEFT: { lobbyInfo: 'lobby' },
+    LOBBY_UPDATED: { lobbyInfo: 'lobby' },
+    LEFT_LOBBY: {},
+    GAME_STARTED: {},
+    GAME_STATE: { state: 'gameState' },
+    GAME_STATE_DELTA: { baseTick: 'number', tick: 'number', delta: 'object' },
+    GAME_EVENTS: { events: 'array:object' }, // Individual events are checked with validateEvent()
+    BOMB_PLACED: { 'x?': 'number', 'y?': 'number' },
+    RETURN_TO_LOBBY: { lobbyInfo: 'lobby' },
+    KICKED_FROM_LOBBY: { 'message?': 'string' },
+    ERROR: { 'message?': 'string' },
+    PONG: {
+      seq: 'number',
+      clientTime: 'number',
+      serverTime: 'number',
+      'serverTick?': 'number',
+      'tickRate?': 'number'
+    },
+    CODEC_SET: { codec: 'string' }
+  },
+  
+  // Older servers use a different name for some fields: { alias: canonical }
+  aliases: {
+    lobby: 'lobbyInfo'
+  },
+  
+  // Entries of GAME_EVENTS.events, by event type
+  gameEvents: {
+    EXPLOSION: { 'tiles?': 'array' },
+    UPGRADE_COLLECTED: { playerId: 'string', upgrade: 'upgrade' },
+    PLAYER_FELL: { playerId: 'string' },
+    GAME_OVER: { 'winner?': 'object' }
+  },
+  
+  // Nested payload shapes
+  shapes: {
+    lobbySummary: {
+      id: 'string',
+      name: 'string',
+      playerCount: 'number',
+      maxPlayers: 'number'
+    },
+    lobby: {
+      id: 'string',
+      name: 'string',
+      hostId: 'string',
+      playerCount: 'number',
+      players: 'array:lobbyPlayer',
+      'maxPlayers?': 'number',
+      'mapName?': 'string',
+      'settings?': 'settings'
+    },
+    lobbyPlayer: {
+      id: 'string',
+      username: 'string',
+      'ready?': 'boolean',
+      'colorSlot?': 'number',
+      'profile?': 'profile'
+    },
+    profile: {
+      'color?': 'string',
+      'accessory?': 'string',
+      'nameTag?': 'string'
+    },
+    settings: {
+      'playerSpeed?': 'number',
+      'bombCount?': 'number',
+      'explosionRange?': 'number',
+      'bombTimer?': 'number',
+      'upgradeSpawnChance?': 'number'
+    },
+    gameState: {
+      map: 'map',
+      players: 'array:player',
+      bombs: 'array:bomb',
+      explosions: 'array:explosion',
+      'tick?': 'number',
+      'gameOver?': 'boolean',
+      'winner?': 'object'
+    },
+    map: {
+      width: 'number',
+      height: 'number',
+      tiles: 'array:tileRow',
+      upgrades: 'array:upgrade',
+      'name?': 'string'
+    },
+    player: {
+      id: 'string',
+      username: 'string',
+      x: 'number',
+      y: 'number',
+      alive: 'boolean',
+      'speed?': 'number',
+      'maxBombs?': 'number',
+      'activeBombs?': 'number',
+      'explosionRange?': 'number',
+      'lastInputTick?': 'number'
+    },
+    bomb: {
+      x: 'number',
+      y: 'number',
+      timer: 'number',
+      'ownerId?': 'string',
+      'range?': 'number'
+    },
+    upgrade: {
+      x: 'number',
+      y: 'number',
+      type: 'string'
+    },
+    explosion: {
+      tiles: 'array:explosionTile',
+      'originX?': 'number',
+      'originY?': 'number',
+      'timestamp?': 'number',
+      'duration?': 'number',
+      'propagationDelay?': 'number'
+    },
+    explosionTile: {
+      x: 'number',
+      y: 'number',
+      'distance?': 'number'
+    }
+  },
+  
+  // Issues already logged (each distinct issue is reported once)
+  reported: new Set(),
+  stats: {
+    rejected: 0,
+    unknownTypes: 0
+  },
+  
+  // Validate an incoming server message. Normalizes aliased fields in place.
+  // Returns { valid, unknownType, errors: [...], unknownFields: [...] }
+  validate(message) {
+    const result = { valid: true, unknownType: false, errors: [], unknownFields: [] };
+    
+    if (!this.isObject(message) || typeof message.type !== 'string') {
+      result.valid = false;
+      result.errors.push('message has no type');
+      return result;
+    }
+    
+    const spec = this.serverMessages[message.type];
+    if (!spec) {
+      result.valid = false;
+      result.unknownType = true;
+      return result;
+    }
+    
+    this.applyAliases(message);
+    this.checkFields(message, { ...this.commonFields, ...spec }, message.type, result, ['type']);
+    result.valid = result.errors.length === 0;
+    return result;
+  },
+  
+  // Validate one entry of GAME_EVENTS.events (unknown event types are allowed through)
+  validateEvent(event) {
+    const result = { valid: true, unknownType: false, errors: [], unknownFields: [] };
+    if (!this.isObject(event) || typeof event.type !== 'string') {
+      result.valid = false;
+      result.errors.push('event has no type');
+      return result;
+    }
+    
+    const spec = this.gameEvents[event.type];
+    if (!spec) {
+      result.unknownType = true;
+      return result;
+    }
+    
+    this.checkFields(event, spec, `GAME_EVENTS.${event.type}`, result, ['type']);
+    result.valid = result.errors.length === 0;
+    return result;
+  },
+  
+  applyAliases(message) {
+    for (const [alias, canonical] of Object.entries(this.aliases)) {
+      if (message[alias] !== undefined && message[canonical] === undefined) {
+        message[canonical] = message[alias];
+        delete message[alias];
+      }
+    }
+  },
+  
+  checkFields(obj, fields, path, result, ignore = []) {
+    const known = new Set(ignore);
+    
+    for (const [rawName, type] of Object.entries(fields)) {
+      const optional = rawName.endsWith('?');
+      const name = optional ? rawName.slice(0, -1) : rawName;
+      known.add(name);
+      
+      const value = obj[name];
+      if (value === undefined || (value === null && optional)) {
+        if (!optional) {
+          result.errors.push(`${path}.${name} is missing`);
+        }
+        continue;
+      }
+      this.checkType(value, type, `${path}.${name}`, result);
+    }
+    
+    for (const key of Object.keys(obj)) {
+      if (!known.has(key)) {
+        result.unknownFields.push(`${path}.${key}`);
+      }
+    }
+  },
+  
+  checkType(value, type, path, result) {
+    if (type === 'any') return;
+    
+    // Map rows: a string, or an array of one-character tiles
+    if (type === 'tileRow') {
+      const valid = typeof value === 'string' ||
+        (Array.isArray(value) && value.every(tile => typeof tile === 'string' && tile.length === 1));
+      if (!valid) result.errors.push(`${path} should be a row of tiles`);
+      return;
+    }
+    
+    if (type.startsWith('array')) {
+      if (!Array.isArray(value)) {
+        result.errors.push(`${path} should be an array`);
+        return;
+      }
+      const itemType = type.split(':')[1];
+      if (itemType) {
+        value.forEach((item, i) => this.checkType(item, itemType, `${path}[${i}]`, result));
+      }
+      return;
+    }
+    
+    if (this.shapes[type]) {
+      if (!this.isObject(value)) {
+        result.errors.push(`${path} should be an object`);
+        return;
+      }
+      this.checkFields(value, this.shapes[type], path, result);
+      return;
+    }
+    
+    const valid = type === 'object' ? this.isObject(value) : typeof value === type;
+    if (!valid) {
+      result.errors.push(`${path} should be ${type === 'object' ? 'an object' : `a ${type}`}`);
+    }
+  },
+  
+  isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  },
+  
+  // Log validation problems once per distinct issue
+  report(message, result) {
+    const type = message && message.type;
+    
+    if (result.unknownType) {
+      this.stats.unknownTypes++;
+      this.reportOnce(`type:${type}`, `[Protocol] Ignoring unknown message type: ${type}`);
+    }
+    if (result.errors.length > 0) {
+      this.stats.rejected++;
+      this.reportOnce(`errors:${type}:${result.errors.join()}`, `[Protocol] Rejected ${type}: ${result.errors.join('; ')}`);
+    }
+    for (const field of result.unknownFields) {
+      this.reportOnce(`field:${field.replace(/\[\d+\]/g, '[]')}`, `[Protocol] Unknown field: ${field}`);
+    }
+  },
+  
+  reportOnce(key, text) {
+    if (this.reported.has(key)) return;
+    this.reported.add(key);
+    console.warn(text);
+  },
+  
+  // CONNECTED may carry protocolVersion / minClientVersion. Servers without them speak version 1.
+  checkServerVersion(message) {
+    const serverVersion = message.protocolVersion || 1;
+    return {
+      serverVersion: serverVersion,
+      compatible: !message.minClientVersion || message.minClientVersion <= this.VERSION,
+      newer: serverVersion > this.VERSION
+    };
+  },
+  
+  isClientMessage(type) {
+    return Object.prototype.hasOwnProperty.call(this.clientMessages, type);
+  }
+};
+
+// Shared with Node (tests and tools)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { Protocol };
+}
@@ -3,9 +3,32 @@
 const Renderer = {
   canvas: null,
   ctx: null,
-  tileSize: 40,
+  tileSize: 40,       // World units per tile - Camera scales these to the screen
+  mapWidth: 0,
+  mapHeight: 0,
+  lastFrameTime: 0,
   initialized: false,
   
+  // Static map layer: floor, walls, boxes, holes and grid pre-rendered offscreen at device resolution.
+  // Rebuilt on resize; otherwise only tiles whose character changed (destroyed boxes) are repainted.
+  mapLayer: null,
+  mapLayerCtx: null,
+  layerTiles: null,   // Map rows as last painted into mapLayer (copied as strings)
+  
+  // Active theme (sprites drawn over the procedural fallbacks) and its palette
+  theme: null,
+  defaultColors: null,
+  
+  // Per-player animation state, keyed by id: last drawn position, facing, walk cycle and death
+  playerAnimations: new Map(),
+  animation: {
+    bobHeight: 0.06,    // Tiles the body rises mid-step
+    stepTime: 150,      // ms per step
+    idleDelay: 100,     // ms without movement before the walk cycle stops
+    deathTime: 700,     // ms for the killed animation
+    fallTime: 600       // ms to shrink and fall into a hole
+  },
+  
   // Colors
   colors: {
     EMPTY: '#e8e8e8',
@@ -23,78 +46,261 @@ const Renderer = {
   init(mapWidth, mapHeight) {
     this.canvas = document.getElementById('game-canvas');
     this.ctx = this.canvas.getContext('2d');
+    this.mapWidth = mapWidth;
+    this.mapHeight = mapHeight;
     
-    // Always update canvas size (maps can be different sizes)
-    this.canvas.width = mapWidth * this.tileSize;
-    this.canvas.height = mapHeight * this.tileSize;
+    Camera.reset();
+    this.resize();
     
     this.initialized = true;
   },
   
+  // Size the canvas to the camera's view; the backing store is in device pixels for crisp output
+  resize() {
+    const available = Camera.measure();
+    const dpr = window.devicePixelRatio || 1;
+    Camera.fit(this.mapWidth, this.mapHeight, available.width, available.height, dpr);
+    
+    this.canvas.width = Math.round(Camera.viewWidth * dpr);
+    this.canvas.height = Math.round(Camera.viewHeight * dpr);
+    this.canvas.style.width = `${Camera.viewWidth}px`;
+    this.canvas.style.height = `${Camera.viewHeight}px`;
+    
+    // Scale or pixel ratio changed - cached tiles are the wrong size
+    this.layerTiles = null;
+  },
+  
+  // Local player's drawn position, or null when there's nothing to follow (dead / spectating)
+  getFollowTarget(gameState, currentPlayerId) {
+    const player = gameState.players.find(p => p.id === currentPlayerId);
+    if (!player || !player.alive) return null;
+    if (typeof Prediction !== 'undefined') {
+      return Prediction.getPlayerPosition(player, currentPlayerId);
+    }
+    return { x: player.x, y: player.y };
+  },
+  
   reset() {
-    // Reset renderer for new game
+    // Reset renderer for new game - the next map may be the same size but not the same tiles
     this.initialized = false;
+    this.layerTiles = null;
+    this.playerAnimations.clear();
+    if (typeof Particles !== 'undefined') {
+      Particles.clear();
+    }
+  },
+  
+  // New blast (first time we see it) - sparks, smoke and scorch marks as it spreads
+  onExplosion(explosion) {
+    if (typeof Particles === 'undefined') return;
+    Particles.explosion(explosion, explosion.clientTimestamp || Date.now());
+  },
+  
+  onUpgradeCollected(upgrade) {
+    if (typeof Particles === 'undefined') return;
+    Particles.burst(upgrade.x, upgrade.y, this.colors[`UPGRADE_${upgrade.type}`] || '#fff');
+  },
+  
+  // PLAYER_FELL arrives just before the state that marks them dead - fall instead of the killed animation
+  onPlayerFell(playerId) {
+    const anim = this.playerAnimations.get(playerId);
+    if (!anim) return;
+    if (anim.death && anim.death.kind === 'fall') {
+      anim.death.predicted = false;
+    } else {
+      anim.death = { kind: 'fall', start: Date.now(), predicted: false };
+    }
+  },
+  
+  // A death or fall is still playing (keeps the render loop going after game over)
+  isAnimating(now = Date.now()) {
+    for (const anim of this.playerAnimations.values()) {
+      if (anim.death && now - anim.death.start < this.getDeathDuration(anim.death)) return true;
+    }
+    return false;
+  },
+  
+  getDeathDuration(death) {
+    return death.kind === 'fall' ? this.animation.fallTime : this.animation.deathTime;
+  },
+  
+  // Theme colors override the built-in palette; cached tiles are repainted in the new look
+  setTheme(theme) {
+    this.defaultColors = this.defaultColors || this.colors;
+    this.colors = { ...this.defaultColors, ...theme.colors };
+    this.theme = theme;
+    this.layerTiles = null;
+  },
+  
+  // Draw the theme's sprite for key into a size x size box at (x, y). False if the theme has none.
+  // time picks the animation frame - players pass their walk cycle instead of the clock.
+  drawSprite(ctx, key, x, y, size, time = Date.now()) {
+    if (typeof Themes === 'undefined') return false;
+    const frame = Themes.getFrame(key, time);
+    if (!frame) return false;
+    
+    ctx.imageSmoothingEnabled = this.theme ? this.theme.smoothing : true;
+    ctx.drawImage(frame.image, frame.sx, frame.sy, frame.size, frame.size, x, y, size, size);
+    return true;
   },
   
   render(gameState, currentPlayerId) {
     if (!this.initialized) return;
     
+    // Window resized, fullscreen toggled or moved to a screen with a different pixel ratio
+    if (Camera.dirty || (window.devicePixelRatio || 1) !== Camera.dpr) {
+      this.resize();
+    }
+    
+    const now = performance.now();
+    const dt = this.lastFrameTime ? Math.min(0.1, (now - this.lastFrameTime) / 1000) : 0;
+    this.lastFrameTime = now;
+    Camera.follow(this.getFollowTarget(gameState, currentPlayerId), dt);
+    
+    this.ctx.setTransform(1, 0, 0, 1, 0, 0);
     this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    this.ctx.setTransform(...Camera.getTransform());
     
-    // Draw map tiles
+    // Draw map tiles (cached layer)
     this.drawMap(gameState.map);
     
+    const effectsTime = Date.now();
+    if (typeof Particles !== 'undefined') {
+      Particles.drawScorches(this.ctx, this.tileSize, effectsTime);
+    }
+    
+    // Where the active bombs (ours still unconfirmed included) will blast
+    if (typeof Danger !== 'undefined' && Danger.enabled) {
+      const bombs = typeof Prediction !== 'undefined'
+        ? gameState.bombs.concat(Prediction.getPendingBombs())
+        : gameState.bombs;
+      Danger.draw(this.ctx, this.tileSize, Danger.compute(bombs, gameState.players, gameState.map, effectsTime), effectsTime);
+    }
+    
     // Draw upgrades
-    this.drawUpgrades(gameState.map.upgrades);
+    // Upgrades we've predicted picking up stay hidden unless the server disagrees
+    const upgrades = typeof Prediction !== 'undefined'
+      ? gameState.map.upgrades.filter(u => !Prediction.isUpgradeHidden(u))
+      : gameState.map.upgrades;
+    this.drawUpgrades(upgrades);
     
-    // Draw bombs (server authoritative)
+    // Draw bombs (server authoritative, then our unconfirmed predictions)
     this.drawBombs(gameState.bombs);
+    if (typeof Prediction !== 'undefined') {
+      this.drawBombs(Prediction.getPendingBombs(), true);
+    }
     
     // Draw explosions
     this.drawExplosions(gameState.explosions);
     
     // Draw players (using predicted/interpolated positions)
     this.drawPlayers(gameState.players, currentPlayerId);
+    
+    // Sparks, smoke, debris and pickup bursts on top
+    if (typeof Particles !== 'undefined') {
+      Particles.draw(this.ctx, this.tileSize, effectsTime);
+    }
+    
+    // Debug: raw server positions next to predicted/interpolated ones
+    if (typeof DebugOverlay !== 'undefined' && DebugOverlay.visible) {
+      this.drawServerGhosts(gameState.players);
+    }
   },
   
   drawMap(map) {
+    this.updateMapLayer(map);
+    this.ctx.drawImage(this.mapLayer, 0, 0, map.width * this.tileSize, map.height * this.tileSize);
+  },
+  
+  // Bring the cached layer up to date with the map - full paint after a resize, changed tiles otherwise
+  updateMapLayer(map) {
+    if (!this.layerTiles) {
+      this.buildMapLayer(map);
+      return;
+    }
+    
     for (let y = 0; y < map.height; y++) {
+      const row = this.rowText(map.tiles[y]);
+      const painted = this.layerTiles[y];
+      if (row === painted) continue;
+      
       for (let x = 0; x < map.width; x++) {
-        const tile = map.tiles[y][x];
-        let color;
-        
-        switch (tile) {
-          case '#':
-            color = this.colors.WALL;
-            break;
-          case 'X':
-            color = this.colors.BOX;
-            break;
-          case 'O':
-            color = this.colors.HOLE;
-            break;
-          default:
-            color = this.colors.EMPTY;
+        if (row[x] !== painted[x]) {
+          this.paintTile(this.mapLayerCtx, x, y, row[x]);
+          if (painted[x] === 'X' && typeof Particles !== 'undefined') {
+            Particles.debris(x, y, this.colors.BOX);
+          }
         }
-        
-        this.drawTile(x, y, color);
-        
-        // Add grid lines
-        this.ctx.strokeStyle = '#ddd';
-        this.ctx.lineWidth = 1;
-        this.ctx.strokeRect(
-          x * this.tileSize,
-          y * this.tileSize,
-          this.tileSize,
-          this.tileSize
-        );
       }
+      this.layerTiles[y] = row;
     }
   },
   
-  drawTile(x, y, color) {
-    this.ctx.fillStyle = color;
-    this.ctx.fillRect(
+  buildMapLayer(map) {
+    if (!this.mapLayer) {
+      this.mapLayer = document.createElement('canvas');
+      this.mapLayerCtx = this.mapLayer.getContext('2d');
+    }
+    
+    const scale = Camera.scale * Camera.dpr;
+    this.mapLayer.width = Math.round(map.width * this.tileSize * scale);
+    this.mapLayer.height = Math.round(map.height * this.tileSize * scale);
+    this.mapLayerCtx.setTransform(scale, 0, 0, scale, 0, 0);
+    
+    for (let y = 0; y < map.height; y++) {
+      for (let x = 0; x < map.width; x++) {
+        this.paintTile(this.mapLayerCtx, x, y, map.tiles[y][x]);
+      }
+    }
+    this.layerTiles = map.tiles.map(row => this.rowText(row));
+  },
+  
+  // Rows can be strings or arrays of characters changed in place - compare by content
+  rowText(row) {
+    return Array.isArray(row) ? row.join('') : row;
+  },
+  
+  // Tiles are cached, so animated tile sprites show their first frame
+  paintTile(ctx, x, y, tile) {
+    let color;
+    let sprite;
+    
+    switch (tile) {
+      case '#':
+        color = this.colors.WALL;
+        sprite = 'wall';
+        break;
+      case 'X':
+        color = this.colors.BOX;
+        sprite = 'box';
+        break;
+      case 'O':
+        color = this.colors.HOLE;
+        sprite = 'hole';
+        break;
+      default:
+        color = this.colors.EMPTY;
+        sprite = 'floor';
+    }
+    
+    // Clear first - sprites may be transparent and this tile may have held something else
+    ctx.clearRect(x * this.tileSize, y * this.tileSize, this.tileSize, this.tileSize);
+    if (this.drawSprite(ctx, sprite, x * this.tileSize, y * this.tileSize, this.tileSize)) {
+      if (this.theme && !this.theme.grid) return;
+    } else {
+      ctx.fillStyle = color;
+      ctx.fillRect(
+        x * this.tileSize,
+        y * this.tileSize,
+        this.tileSize,
+        this.tileSize
+      );
+    }
+    
+    // Add grid lines
+    ctx.strokeStyle = '#ddd';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(
       x * this.tileSize,
       y * this.tileSize,
       this.tileSize,
@@ -108,6 +314,10 @@ const Renderer = {
       const centerY = upgrade.y * this.tileSize + this.tileSize / 2;
       const radius = this.tileSize / 3;
       
+      if (this.drawSprite(this.ctx, `upgrade_${upgrade.type}`, upgrade.x * this.tileSize, upgrade.y * this.tileSize, this.tileSize)) {
+        continue;
+      }
+      
       // Draw circle
       this.ctx.fillStyle = this.colors[`UPGRADE_${upgrade.type}`] || '#FFF';
       this.ctx.beginPath();
@@ -128,7 +338,10 @@ const Renderer = {
     }
   },
   
-  drawBombs(bombs) {
+  drawBombs(bombs, predicted = false) {
+    // Predicted bombs are slightly see-through until the server confirms them
+    this.ctx.globalAlpha = predicted ? 0.7 : 1;
+    
     for (const bomb of bombs) {
       const centerX = bomb.x * this.tileSize + this.tileSize / 2;
       const centerY = bomb.y * this.tileSize + this.tileSize / 2;
@@ -137,27 +350,33 @@ const Renderer = {
       // Pulsing effect based on timer
       const pulseScale = 1 + Math.sin(Date.now() / 200) * 0.1;
       
-      // Draw bomb
-      this.ctx.fillStyle = this.colors.BOMB;
-      this.ctx.beginPath();
-      this.ctx.arc(centerX, centerY, radius * pulseScale, 0, Math.PI * 2);
-      this.ctx.fill();
-      
-      // Draw fuse
-      this.ctx.strokeStyle = '#000';
-      this.ctx.lineWidth = 3;
-      this.ctx.beginPath();
-      this.ctx.moveTo(centerX, centerY - radius * pulseScale);
-      this.ctx.lineTo(centerX, centerY - radius * pulseScale - 10);
-      this.ctx.stroke();
+      const spriteSize = this.tileSize * pulseScale;
+      if (!this.drawSprite(this.ctx, 'bomb', centerX - spriteSize / 2, centerY - spriteSize / 2, spriteSize)) {
+        // Draw bomb
+        this.ctx.fillStyle = this.colors.BOMB;
+        this.ctx.beginPath();
+        this.ctx.arc(centerX, centerY, radius * pulseScale, 0, Math.PI * 2);
+        this.ctx.fill();
+        
+        // Draw fuse
+        this.ctx.strokeStyle = '#000';
+        this.ctx.lineWidth = 3;
+        this.ctx.beginPath();
+        this.ctx.moveTo(centerX, centerY - radius * pulseScale);
+        this.ctx.lineTo(centerX, centerY - radius * pulseScale - 10);
+        this.ctx.stroke();
+      }
       
-      // Draw timer
+      // Draw timer (counts down locally between server updates)
+      const remaining = bomb.explodeAt !== undefined ? Math.max(0, bomb.explodeAt - Date.now()) : bomb.timer;
       this.ctx.fillStyle = '#fff';
       this.ctx.font = 'bold 16px sans-serif';
       this.ctx.textAlign = 'center';
       this.ctx.textBaseline = 'middle';
-      this.ctx.fillText(Math.ceil(bomb.timer / 1000), centerX, centerY);
+      this.ctx.fillText(Math.ceil(remaining / 1000), centerX, centerY);
     }
+    
+    this.ctx.globalAlpha = 1;
   },
   
   drawExplosions(explosions) {
@@ -232,62 +451,392 @@ const Renderer = {
     }
   },
   
-  drawPlayers(players, currentPlayerId) {
-    players.forEach((player, index) => {
+  // Outline at each player's last server position, linked to where we draw them
+  drawServerGhosts(players) {
+    const radius = this.tileSize / 3;
+    
+    this.ctx.save();
+    this.ctx.setLineDash([4, 3]);
+    this.ctx.lineWidth = 2;
+    
+    players.forEach(player => {
       if (!player.alive) return;
       
-      // Use predicted/interpolated position
-      let pos = { x: player.x, y: player.y };
-      if (typeof Prediction !== 'undefined') {
-        pos = Prediction.getPlayerPosition(player, currentPlayerId);
-      }
-      
-      // Players have fractional positions - multiply by tileSize directly
-      const centerX = pos.x * this.tileSize;
-      const centerY = pos.y * this.tileSize;
-      const radius = this.tileSize / 3; // Smaller player size
-      
-      // Get player color
-      const colorIndex = players.findIndex(p => p.id === player.id) % this.colors.PLAYER.length;
-      const playerColor = this.colors.PLAYER[colorIndex];
-      
-      // Draw shadow
-      this.ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
-      this.ctx.beginPath();
-      this.ctx.ellipse(centerX, centerY + radius / 2, radius * 0.8, radius * 0.4, 0, 0, Math.PI * 2);
-      this.ctx.fill();
+      const serverX = player.x * this.tileSize;
+      const serverY = player.y * this.tileSize;
+      const pos = Prediction.getPlayerPosition(player, client.playerId);
       
-      // Draw player body
-      this.ctx.fillStyle = playerColor;
+      this.ctx.strokeStyle = this.getPlayerStyle(player.id).color;
       this.ctx.beginPath();
-      this.ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
-      this.ctx.fill();
-      
-      // Draw border
-      this.ctx.strokeStyle = player.id === currentPlayerId ? '#FFD700' : '#333';
-      this.ctx.lineWidth = player.id === currentPlayerId ? 3 : 2;
+      this.ctx.arc(serverX, serverY, radius, 0, Math.PI * 2);
       this.ctx.stroke();
       
-      // Draw eyes
-      this.ctx.fillStyle = '#fff';
+      this.ctx.strokeStyle = 'rgba(0, 0, 0, 0.5)';
       this.ctx.beginPath();
-      this.ctx.arc(centerX - radius / 3, centerY - radius / 4, radius / 5, 0, Math.PI * 2);
-      this.ctx.arc(centerX + radius / 3, centerY - radius / 4, radius / 5, 0, Math.PI * 2);
-      this.ctx.fill();
-      
-      this.ctx.fillStyle = '#000';
-      this.ctx.beginPath();
-      this.ctx.arc(centerX - radius / 3, centerY - radius / 4, radius / 8, 0, Math.PI * 2);
-      this.ctx.arc(centerX + radius / 3, centerY - radius / 4, radius / 8, 0, Math.PI * 2);
-      this.ctx.fill();
+      this.ctx.moveTo(serverX, serverY);
+      this.ctx.lineTo(pos.x * this.tileSize, pos.y * this.tileSize);
+      this.ctx.stroke();
+    });
+    
+    this.ctx.restore();
+  },
+  
+  drawPlayers(players, currentPlayerId) {
+    const now = Date.now();
+    
+    players.forEach(player => {
+      const falling = typeof Prediction !== 'undefined' && Prediction.isFalling(player.id);
+      const anim = this.animatePlayer(player, currentPlayerId, falling, now);
+      if (!anim) return;
       
-      // Draw username below player
-      this.ctx.fillStyle = '#333';
-      this.ctx.font = 'bold 12px sans-serif';
-      this.ctx.textAlign = 'center';
-      this.ctx.textBaseline = 'top';
-      this.ctx.fillText(player.username, centerX, centerY + radius + 5);
+      const style = this.getPlayerStyle(player.id);
+      if (anim.death) {
+        this.drawDyingPlayer(player, anim, style.color, now);
+      } else {
+        this.drawPlayer(player, anim, style, player.id === currentPlayerId);
+      }
     });
+  },
+  
+  // Follow a player's drawn position to work out facing and walking, and start their death or fall.
+  // Returns the animation state, or null when there's nothing to draw.
+  animatePlayer(player, currentPlayerId, falling, now) {
+    const dead = !player.alive || falling;
+    let anim = this.playerAnimations.get(player.id);
+    if (!anim) {
+      if (dead) return null; // Never seen alive - nothing to animate
+      anim = { x: player.x, y: player.y, facingX: 0, facingY: 1, walkTime: 0, moving: false, lastMoved: 0, lastTime: now, death: null };
+      this.playerAnimations.set(player.id, anim);
+    }
+    
+    const elapsed = now - anim.lastTime;
+    anim.lastTime = now;
+    
+    // Alive after all: our predicted fall was rolled back, or the server never followed up
+    if (!dead && anim.death && (anim.death.predicted || now - anim.death.start >= this.getDeathDuration(anim.death))) {
+      anim.death = null;
+    }
+    if (dead && !anim.death) {
+      anim.death = { kind: falling ? 'fall' : 'killed', start: now, predicted: falling && player.alive };
+    }
+    if (anim.death) {
+      return now - anim.death.start < this.getDeathDuration(anim.death) ? anim : null;
+    }
+    
+    // Use predicted/interpolated position
+    let pos = { x: player.x, y: player.y };
+    if (typeof Prediction !== 'undefined') {
+      pos = Prediction.getPlayerPosition(player, currentPlayerId);
+    }
+    
+    // Face along the main axis of travel; jumps (snaps, teleports) aren't walking
+    const dx = pos.x - anim.x;
+    const dy = pos.y - anim.y;
+    const distance = Math.hypot(dx, dy);
+    if (distance > 0.001 && distance < 0.5) {
+      if (Math.abs(dx) >= Math.abs(dy)) {
+        anim.facingX = Math.sign(dx);
+        anim.facingY = 0;
+      } else {
+        anim.facingX = 0;
+        anim.facingY = Math.sign(dy);
+      }
+      anim.lastMoved = now;
+    }
+    
+    // Frames between position updates don't stop the walk cycle
+    anim.moving = now - anim.lastMoved < this.animation.idleDelay;
+    if (anim.moving) anim.walkTime += elapsed;
+    anim.x = pos.x;
+    anim.y = pos.y;
+    return anim;
+  },
+  
+  // Rise over each step while walking
+  getBob(anim) {
+    if (!anim.moving) return 0;
+    return Math.abs(Math.sin(anim.walkTime / this.animation.stepTime * Math.PI)) * this.animation.bobHeight * this.tileSize;
+  },
+  
+  // Player's identity color and marker shape (bound to their id, from the selected palette)
+  getPlayerStyle(playerId) {
+    if (typeof PlayerColors !== 'undefined') {
+      return PlayerColors.getStyle(playerId, this.colors.PLAYER);
+    }
+    return { color: this.colors.PLAYER[0], marker: 'circle' };
+  },
+  
+  // Player's cosmetics (accessory, name tag), or the defaults
+  getPlayerProfile(playerId) {
+    return typeof Profile !== 'undefined' ? Profile.get(playerId) : { accessory: 'none', nameTag: 'plain' };
+  },
+  
+  drawPlayer(player, anim, style, isLocal) {
+    const playerColor = style.color;
+    const profile = this.getPlayerProfile(player.id);
+    // Players have fractional positions - multiply by tileSize directly
+    const centerX = anim.x * this.tileSize;
+    const centerY = anim.y * this.tileSize;
+    const radius = this.tileSize / 3; // Smaller player size
+    const bob = this.getBob(anim);
+    
+    // Draw shadow (stays on the ground, shrinks as the body rises)
+    const shadow = 1 - bob / this.tileSize;
+    this.ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+    this.ctx.beginPath();
+    this.ctx.ellipse(centerX, centerY + radius / 2, radius * 0.8 * shadow, radius * 0.4 * shadow, 0, 0, Math.PI * 2);
+    this.ctx.fill();
+    
+    this.ctx.save();
+    this.ctx.translate(centerX, centerY - bob);
+    const top = this.drawFigure(this.ctx, {
+      color: playerColor,
+      highlight: isLocal,
+      facingX: anim.facingX,
+      facingY: anim.facingY,
+      lean: anim.moving,
+      spriteTime: anim.moving ? anim.walkTime : 0,
+      accessory: profile.accessory
+    });
+    this.ctx.restore();
+    
+    // Shape marker over the head - tells players apart without relying on color
+    if (typeof Palettes !== 'undefined') {
+      const markerSize = this.tileSize / 4;
+      Palettes.drawMarker(this.ctx, style.marker, centerX, centerY - bob - top - markerSize / 2 - 2, markerSize, playerColor);
+    }
+    
+    // Draw username below player
+    this.drawNameTag(this.ctx, player.username, centerX, centerY + radius + 5, profile.nameTag, playerColor);
+  },
+  
+  // A player (theme sprite or procedural body) with their accessory, centered on ctx's origin.
+  // Shared by the game and the profile preview. Returns how far the figure reaches above the origin.
+  drawFigure(ctx, figure) {
+    const radius = this.tileSize / 3;
+    const spriteSize = this.tileSize * 0.9;
+    
+    ctx.save();
+    if (figure.facingX < 0) ctx.scale(-1, 1); // Sprites face right
+    const drewSprite = this.drawSprite(ctx, 'player', -spriteSize / 2, -spriteSize / 2, spriteSize, figure.spriteTime);
+    ctx.restore();
+    
+    ctx.save();
+    if (drewSprite) {
+      // Sprites are shared by everyone - a ring in the player's color tells them apart
+      ctx.strokeStyle = figure.highlight ? '#FFD700' : figure.color;
+      ctx.lineWidth = 3;
+      ctx.beginPath();
+      ctx.arc(0, 0, spriteSize / 2, 0, Math.PI * 2);
+      ctx.stroke();
+      this.drawAccessory(ctx, figure.accessory, spriteSize * 0.4, figure.facingX, figure.facingY);
+    } else {
+      // Lean into the direction of travel
+      if (figure.lean) ctx.rotate(figure.facingX * 0.12);
+      this.drawPlayerBody(ctx, radius, figure.color, figure.highlight ? '#FFD700' : '#333', figure.highlight ? 3 : 2);
+      if (figure.dead) {
+        this.drawDeadEyes(ctx, radius);
+      } else {
+        this.drawEyes(ctx, radius, figure.facingX, figure.facingY);
+      }
+      this.drawAccessory(ctx, figure.accessory, radius, figure.facingX, figure.facingY);
+    }
+    ctx.restore();
+    
+    return drewSprite ? spriteSize / 2 : radius;
+  },
+  
+  // Killed: flash, puff up, then shrink away. Fell: spin and shrink into the hole's center.
+  drawDyingPlayer(player, anim, playerColor, now) {
+    const death = anim.death;
+    const progress = Math.min(1, (now - death.start) / this.getDeathDuration(death));
+    let centerX = anim.x * this.tileSize;
+    let centerY = anim.y * this.tileSize;
+    let scale;
+    let rotation = 0;
+    let color = playerColor;
+    
+    if (death.kind === 'fall') {
+      const pull = Math.min(1, progress * 2);
+      centerX += ((Math.floor(anim.x) + 0.5) * this.tileSize - centerX) * pull;
+      centerY += ((Math.floor(anim.y) + 0.5) * this.tileSize - centerY) * pull;
+      scale = 1 - progress * progress;
+      rotation = progress * Math.PI * 2;
+    } else {
+      scale = progress < 0.2 ? 1 + progress : 1.2 * (1 - (progress - 0.2) / 0.8);
+      if (progress < 0.2) color = '#fff';
+    }
+    if (scale <= 0) return;
+    
+    this.ctx.save();
+    this.ctx.translate(centerX, centerY);
+    this.ctx.rotate(rotation);
+    this.ctx.scale(scale, scale);
+    this.ctx.globalAlpha = death.kind === 'fall' ? 1 : 1 - progress * progress;
+    this.drawFigure(this.ctx, {
+      color: color,
+      facingX: 0,
+      facingY: 1,
+      spriteTime: 0,
+      dead: death.kind !== 'fall',
+      accessory: this.getPlayerProfile(player.id).accessory
+    });
+    this.ctx.restore();
+  },
+  
+  // Procedural body centered on the current origin
+  drawPlayerBody(ctx, radius, color, border, borderWidth) {
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.arc(0, 0, radius, 0, Math.PI * 2);
+    ctx.fill();
+    
+    ctx.strokeStyle = border;
+    ctx.lineWidth = borderWidth;
+    ctx.stroke();
+  },
+  
+  // Eyes shift toward the facing direction (closer together side-on)
+  getEyes(radius, facingX, facingY) {
+    const x = facingX * radius * 0.3;
+    const y = -radius / 4 + facingY * radius * 0.25;
+    const spread = (radius / 3) * (facingX === 0 ? 1 : 0.6);
+    return { left: x - spread, right: x + spread, y: y };
+  },
+  
+  // Pupils look the way the player faces
+  drawEyes(ctx, radius, facingX, facingY) {
+    const eyes = this.getEyes(radius, facingX, facingY);
+    const lookX = facingX * radius / 12;
+    const lookY = facingY * radius / 12;
+    
+    ctx.fillStyle = '#fff';
+    ctx.beginPath();
+    ctx.arc(eyes.left, eyes.y, radius / 5, 0, Math.PI * 2);
+    ctx.arc(eyes.right, eyes.y, radius / 5, 0, Math.PI * 2);
+    ctx.fill();
+    
+    ctx.fillStyle = '#000';
+    ctx.beginPath();
+    ctx.arc(eyes.left + lookX, eyes.y + lookY, radius / 8, 0, Math.PI * 2);
+    ctx.arc(eyes.right + lookX, eyes.y + lookY, radius / 8, 0, Math.PI * 2);
+    ctx.fill();
+  },
+  
+  drawDeadEyes(ctx, radius) {
+    const size = radius / 6;
+    ctx.strokeStyle = '#000';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    for (const eyeX of [-radius / 3, radius / 3]) {
+      const eyeY = -radius / 4;
+      ctx.moveTo(eyeX - size, eyeY - size);
+      ctx.lineTo(eyeX + size, eyeY + size);
+      ctx.moveTo(eyeX + size, eyeY - size);
+      ctx.lineTo(eyeX - size, eyeY + size);
+    }
+    ctx.stroke();
+  },
+  
+  // Hats sit on top of the head; face accessories follow the eyes
+  drawAccessory(ctx, accessory, radius, facingX, facingY) {
+    const r = radius;
+    const eyes = this.getEyes(r, facingX, facingY);
+    ctx.lineWidth = 1.5;
+    ctx.strokeStyle = '#222';
+    
+    switch (accessory) {
+      case 'cap': {
+        const brim = facingX < 0 ? -1 : 1;
+        ctx.fillStyle = '#c0392b';
+        ctx.beginPath();
+        ctx.arc(0, -r * 0.55, r * 0.7, Math.PI, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+        ctx.fillRect(brim > 0 ? 0 : -r * 1.05, -r * 0.62, r * 1.05, r * 0.16);
+        break;
+      }
+      case 'crown':
+        ctx.fillStyle = '#f1c40f';
+        ctx.beginPath();
+        ctx.moveTo(-r * 0.6, -r * 0.7);
+        ctx.lineTo(-r * 0.6, -r * 1.3);
+        ctx.lineTo(-r * 0.3, -r * 1.0);
+        ctx.lineTo(0, -r * 1.4);
+        ctx.lineTo(r * 0.3, -r * 1.0);
+        ctx.lineTo(r * 0.6, -r * 1.3);
+        ctx.lineTo(r * 0.6, -r * 0.7);
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+        break;
+      case 'tophat':
+        ctx.fillStyle = '#2d3436';
+        ctx.fillRect(-r * 0.85, -r * 0.85, r * 1.7, r * 0.18);
+        ctx.fillRect(-r * 0.5, -r * 1.6, r, r * 0.8);
+        ctx.fillStyle = '#c0392b';
+        ctx.fillRect(-r * 0.5, -r * 1.0, r, r * 0.15);
+        break;
+      case 'bow':
+        ctx.fillStyle = '#fd79a8';
+        ctx.beginPath();
+        ctx.moveTo(r * 0.45, -r * 0.8);
+        ctx.lineTo(r * 0.05, -r * 1.1);
+        ctx.lineTo(r * 0.05, -r * 0.5);
+        ctx.closePath();
+        ctx.moveTo(r * 0.45, -r * 0.8);
+        ctx.lineTo(r * 0.85, -r * 1.1);
+        ctx.lineTo(r * 0.85, -r * 0.5);
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+        break;
+      case 'glasses':
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(eyes.left, eyes.y, r / 4, 0, Math.PI * 2);
+        ctx.moveTo(eyes.right + r / 4, eyes.y);
+        ctx.arc(eyes.right, eyes.y, r / 4, 0, Math.PI * 2);
+        ctx.moveTo(eyes.left + r / 4, eyes.y);
+        ctx.lineTo(eyes.right - r / 4, eyes.y);
+        ctx.stroke();
+        break;
+      case 'mustache': {
+        const x = (eyes.left + eyes.right) / 2;
+        const y = eyes.y + r * 0.45;
+        ctx.fillStyle = '#4b2e1e';
+        ctx.beginPath();
+        ctx.ellipse(x - r * 0.2, y, r * 0.22, r * 0.1, 0.3, 0, Math.PI * 2);
+        ctx.ellipse(x + r * 0.2, y, r * 0.22, r * 0.1, -0.3, 0, Math.PI * 2);
+        ctx.fill();
+        break;
+      }
+    }
+  },
+  
+  // Username under the player: plain, in their color, or on a badge edged in their color
+  drawNameTag(ctx, text, x, y, style, color) {
+    ctx.font = 'bold 12px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    
+    if (style === 'badge') {
+      const width = ctx.measureText(text).width + 10;
+      ctx.fillStyle = '#2d3436';
+      ctx.fillRect(x - width / 2, y - 2, width, 16);
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 2;
+      ctx.strokeRect(x - width / 2, y - 2, width, 16);
+      ctx.fillStyle = '#fff';
+    } else if (style === 'color') {
+      ctx.strokeStyle = '#222';
+      ctx.lineWidth = 3;
+      ctx.strokeText(text, x, y);
+      ctx.fillStyle = color;
+    } else {
+      ctx.fillStyle = '#333';
+    }
+    ctx.fillText(text, x, y);
   }
 };
 
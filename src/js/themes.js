@@ -0,0 +1,143 @@
+// Visual themes: sprite sheets described by a manifest (themes/<id>/theme.json)
+// Anything a theme doesn't provide is drawn procedurally by the Renderer.
+//
+// Manifest:
+//   { "name": "Retro", "image": "sprites.svg", "frameSize": 32, "smoothing": false, "grid": false,
+//     "colors": { "EMPTY": "#..." },
+//     "sprites": { "wall": { "x": 1, "y": 0 }, "player": { "x": 0, "y": 3, "frames": 4, "frameTime": 150 } } }
+// Sprite x/y are cells of frameSize pixels; animation frames run left to right.
+// Keys: floor, wall, box, hole, bomb, upgrade_SPEED, upgrade_BOMB, upgrade_RANGE, player
+
+const Themes = {
+  listUrl: 'themes/themes.json',
+  defaultTheme: 'classic',
+  
+  // Built-in procedural theme is always available, even if themes.json is missing
+  list: [{ id: 'classic', name: 'Classic' }],
+  current: null,
+  listeners: [],
+  selection: 0,       // Latest select() call - slower earlier loads must not win
+  
+  // Load the theme list, then the saved theme. Resolves even if files are missing.
+  async load() {
+    try {
+      const response = await fetch(this.listUrl);
+      if (response.ok) {
+        const data = await response.json();
+        const extra = (Array.isArray(data.themes) ? data.themes : [])
+          .filter(theme => theme && theme.id && !this.list.some(t => t.id === theme.id));
+        this.list = this.list.concat(extra);
+      }
+    } catch (e) {
+      console.warn('[Themes] Could not load theme list, using built-in theme only');
+    }
+    
+    await this.select(this.loadSaved() || this.defaultTheme);
+  },
+  
+  // Switch themes; unknown or broken themes fall back to the built-in one
+  async select(id) {
+    const selection = ++this.selection;
+    const entry = this.list.find(theme => theme.id === id) || this.list[0];
+    let theme = { id: entry.id, name: entry.name, sprites: {}, colors: {}, image: null, grid: true, smoothing: true };
+    
+    if (entry.manifest) {
+      try {
+        theme = await this.loadTheme(entry);
+      } catch (e) {
+        console.warn(`[Themes] Could not load theme "${entry.id}":`, e.message);
+      }
+    }
+    if (selection !== this.selection) return this.current;
+    
+    this.current = theme;
+    this.save(theme.id);
+    this.listeners.forEach(fn => fn(theme));
+    return theme;
+  },
+  
+  async loadTheme(entry) {
+    const response = await fetch(entry.manifest);
+    if (!response.ok) throw new Error(`manifest ${response.status}`);
+    const manifest = await response.json();
+    
+    const theme = { id: entry.id, ...this.parseManifest(manifest) };
+    if (manifest.image) {
+      // Sheet path is relative to the manifest
+      theme.image = await this.loadImage(new URL(manifest.image, new URL(entry.manifest, window.location.href)).href);
+    }
+    return theme;
+  },
+  
+  loadImage(src) {
+    return new Promise((resolve, reject) => {
+      const image = new Image();
+      image.onload = () => resolve(image);
+      image.onerror = () => reject(new Error(`image ${src}`));
+      image.src = src;
+    });
+  },
+  
+  // Manifest -> theme with sprite source rectangles in sheet pixels. Invalid sprites are skipped.
+  parseManifest(manifest) {
+    const size = manifest.frameSize || 32;
+    const sprites = {};
+    
+    for (const [key, sprite] of Object.entries(manifest.sprites || {})) {
+      if (!sprite || !Number.isFinite(sprite.x) || !Number.isFinite(sprite.y)) {
+        console.warn(`[Themes] Skipping sprite "${key}": needs numeric x and y`);
+        continue;
+      }
+      sprites[key] = {
+        sx: sprite.x * size,
+        sy: sprite.y * size,
+        size: size,
+        frames: Math.max(1, sprite.frames || 1),
+        frameTime: sprite.frameTime || 200
+      };
+    }
+    
+    return {
+      name: manifest.name || 'Unnamed',
+      colors: manifest.colors || {},
+      sprites: sprites,
+      image: null,
+      grid: manifest.grid !== false,
+      smoothing: manifest.smoothing !== false
+    };
+  },
+  
+  // Source rectangle of the sprite's current animation frame, or null if the theme doesn't have it
+  getFrame(key, time) {
+    const theme = this.current;
+    const sprite = theme && theme.image && theme.sprites[key];
+    if (!sprite) return null;
+    
+    const frame = Math.floor(time / sprite.frameTime) % sprite.frames;
+    return { image: theme.image, sx: sprite.sx + frame * sprite.size, sy: sprite.sy, size: sprite.size };
+  },
+  
+  onChange(fn) {
+    this.listeners.push(fn);
+  },
+  
+  loadSaved() {
+    try {
+      return localStorage.getItem(STORAGE_KEYS.THEME);
+    } catch (e) {
+      return null;
+    }
+  },
+  
+  save(id) {
+    try {
+      localStorage.setItem(STORAGE_KEYS.THEME, id);
+    } catch (e) {
+      console.warn('Could not save theme to localStorage');
+    }
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { Themes };
+}
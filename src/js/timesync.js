@@ -0,0 +1,160 @@
+// Ping/pong time synchronization
+// Estimates round-trip time, jitter and the offset between our clock and the server's
+
+const TimeSync = {
+  // Estimates (ms)
+  rtt: 0,          // Smoothed round-trip time
+  jitter: 0,       // Smoothed RTT variation
+  offset: 0,       // serverTime - clientTime
+  tickRate: null,  // Server ticks per second, if the server reports it
+  
+  // Raw samples: { rtt, offset }
+  samples: [],
+  maxSamples: 16,
+  minSamples: 3,   // Samples needed before estimates are trusted
+  
+  // Pings awaiting a PONG: Map<seq, performance.now() at send>
+  inFlight: new Map(),
+  nextSeq: 1,
+  
+  // Last known server tick, anchored to server time
+  tickAnchor: null, // { tick, serverTime }
+  
+  // Config
+  burstCount: 5,       // Quick pings right after connecting
+  burstInterval: 200,
+  pingInterval: 2000,
+  pingTimeout: 5000,   // Drop pings that never got an answer
+  
+  timers: [],
+  
+  // Begin pinging - send(message) is the client's send function
+  start(send) {
+    this.stop();
+    this.reset();
+    
+    for (let i = 0; i < this.burstCount; i++) {
+      this.timers.push(setTimeout(() => this.ping(send), i * this.burstInterval));
+    }
+    this.timers.push(setInterval(() => this.ping(send), this.pingInterval));
+  },
+  
+  stop() {
+    for (const timer of this.timers) {
+      clearTimeout(timer);
+      clearInterval(timer);
+    }
+    this.timers = [];
+    this.inFlight.clear();
+  },
+  
+  reset() {
+    this.rtt = 0;
+    this.jitter = 0;
+    this.offset = 0;
+    this.samples = [];
+    this.inFlight.clear();
+    this.tickAnchor = null;
+  },
+  
+  ping(send) {
+    const now = performance.now();
+    
+    // Forget pings that were lost
+    for (const [seq, sentAt] of this.inFlight) {
+      if (now - sentAt > this.pingTimeout) {
+        this.inFlight.delete(seq);
+      }
+    }
+    
+    const seq = this.nextSeq++;
+    this.inFlight.set(seq, now);
+    send({
+      type: 'PING',
+      seq: seq,
+      clientTime: Date.now()
+    });
+  },
+  
+  // PONG echoes seq + clientTime and adds serverTime (and optionally serverTick/tickRate)
+  handlePong(message) {
+    const sentAt = this.inFlight.get(message.seq);
+    if (sentAt === undefined) return;
+    this.inFlight.delete(message.seq);
+    
+    const rtt = performance.now() - sentAt;
+    // Server stamped its clock roughly halfway through the round trip
+    const offset = message.serverTime - (message.clientTime + rtt / 2);
+    
+    // RTT and jitter smoothing (same gains as TCP's SRTT / RTTVAR)
+    if (this.samples.length === 0) {
+      this.rtt = rtt;
+      this.jitter = rtt / 2;
+    } else {
+      this.jitter += (Math.abs(rtt - this.rtt) - this.jitter) / 4;
+      this.rtt += (rtt - this.rtt) / 8;
+    }
+    
+    this.samples.push({ rtt, offset });
+    if (this.samples.length > this.maxSamples) {
+      this.samples.shift();
+    }
+    
+    // Lowest-RTT sample has the least queuing delay, so its offset is the most accurate
+    const best = this.samples.reduce((a, b) => (b.rtt < a.rtt ? b : a));
+    this.offset = best.offset;
+    
+    if (message.tickRate) {
+      this.tickRate = message.tickRate;
+    }
+    if (message.serverTick !== undefined) {
+      this.tickAnchor = { tick: message.serverTick, serverTime: message.serverTime };
+    }
+  },
+  
+  isSynced() {
+    return this.samples.length >= this.minSamples;
+  },
+  
+  // Current time on the server's clock
+  serverNow() {
+    return Date.now() + this.offset;
+  },
+  
+  // Convert a server timestamp to our Date.now() clock
+  toClientTime(serverTime) {
+    return serverTime - this.offset;
+  },
+  
+  // Estimated server -> client latency (0 until synced)
+  getOneWayDelay() {
+    return this.isSynced() ? this.rtt / 2 : 0;
+  },
+  
+  // A GAME_STATE for this tick just arrived - it left the server one-way delay ago
+  noteServerTick(tick) {
+    if (!this.isSynced()) return;
+    this.tickAnchor = { tick: tick, serverTime: this.serverNow() - this.getOneWayDelay() };
+  },
+  
+  // Fractional server tick right now, or null if unknown
+  estimateServerTick(tickRate) {
+    if (!this.isSynced() || !this.tickAnchor) return null;
+    const rate = this.tickRate || tickRate;
+    return this.tickAnchor.tick + (this.serverNow() - this.tickAnchor.serverTime) * rate / 1000;
+  },
+  
+  getStats() {
+    return {
+      synced: this.isSynced(),
+      rtt: Math.round(this.rtt),
+      jitter: Math.round(this.jitter),
+      offset: Math.round(this.offset),
+      samples: this.samples.length
+    };
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { TimeSync };
+}
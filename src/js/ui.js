@@ -6,6 +6,7 @@ const UI = {
     // Connection screen
     document.getElementById('connect-btn').addEventListener('click', () => {
       const username = document.getElementById('username-input').value.trim() || 'Player';
+      ServerConfig.selectServer(document.getElementById('server-input').value);
       client.connect(username);
     });
     
@@ -72,6 +73,54 @@ const UI = {
       client.refreshLobbies();
     });
     
+    // Theme pickers (lobby browser and in-game)
+    document.querySelectorAll('.theme-select').forEach(select => {
+      select.addEventListener('change', (e) => {
+        Themes.select(e.target.value);
+        e.target.blur(); // Arrow keys should move the player, not change the theme
+      });
+    });
+    
+    // Profile editors (connection screen and lobby browser)
+    const profileFields = { '.profile-color': 'color', '.profile-accessory': 'accessory', '.profile-nametag': 'nameTag' };
+    for (const [selector, field] of Object.entries(profileFields)) {
+      document.querySelectorAll(selector).forEach(select => {
+        select.addEventListener('change', (e) => {
+          Profile.update({ [field]: e.target.value || null });
+        });
+      });
+    }
+    document.getElementById('username-input').addEventListener('input', () => this.drawProfilePreviews());
+    
+    // Player color palettes (lobby browser and in-game)
+    document.querySelectorAll('.palette-select').forEach(select => {
+      select.addEventListener('change', (e) => {
+        Palettes.select(e.target.value);
+        e.target.blur();
+      });
+    });
+    
+    // Gamepad bomb button (lobby browser and in-game)
+    document.querySelectorAll('.gamepad-bomb-select').forEach(select => {
+      select.addEventListener('change', (e) => {
+        Gamepads.setBombButton(Number(e.target.value));
+        e.target.blur();
+      });
+    });
+    
+    // Reconnect banner - skip the backoff wait
+    document.getElementById('reconnect-now-btn').addEventListener('click', () => {
+      client.reconnectNow();
+    });
+    
+    // Pending/failed command tray
+    Outbox.onChange(entries => this.updateOutboxStatus(entries));
+    
+    // Retry as soon as the browser regains network
+    window.addEventListener('online', () => {
+      client.reconnectNow();
+    });
+    
     // Auto-refresh lobbies every 5 seconds when on lobby browser
     setInterval(() => {
       if (this.isScreenActive('lobby-browser')) {
@@ -105,6 +154,226 @@ const UI = {
     status.style.color = type === 'success' ? 'green' : 'red';
   },
   
+  // Reconnect banner (visible on every screen)
+  reconnectCountdown: null,
+  
+  showReconnectBanner(attempt, delayMs) {
+    const banner = document.getElementById('reconnect-banner');
+    const text = document.getElementById('reconnect-text');
+    const retryAt = Date.now() + delayMs;
+    
+    const updateText = () => {
+      const seconds = Math.max(0, Math.ceil((retryAt - Date.now()) / 1000));
+      text.textContent = seconds > 0
+        ? `Connection lost. Reconnecting in ${seconds}s (attempt ${attempt})...`
+        : `Connection lost. Reconnecting (attempt ${attempt})...`;
+    };
+    
+    clearInterval(this.reconnectCountdown);
+    updateText();
+    this.reconnectCountdown = setInterval(updateText, 250);
+    banner.classList.add('active');
+  },
+  
+  hideReconnectBanner() {
+    clearInterval(this.reconnectCountdown);
+    this.reconnectCountdown = null;
+    document.getElementById('reconnect-banner').classList.remove('active');
+  },
+  
+  // Fill the server picker with configured presets and recently used servers
+  populateServerPicker() {
+    const input = document.getElementById('server-input');
+    const datalist = document.getElementById('server-options');
+    datalist.innerHTML = '';
+    
+    ServerConfig.getServerOptions().forEach(server => {
+      const option = document.createElement('option');
+      option.value = server.url;
+      option.label = server.name;
+      datalist.appendChild(option);
+    });
+    
+    // Show the endpoint we'll actually use unless it's the default
+    input.value = ServerConfig.queryServer || ServerConfig.selectedServer || '';
+    input.placeholder = `Default (${ServerConfig.config.serverUrl || ServerConfig.getDefaultUrl()})`;
+  },
+  
+  populateThemeSelects() {
+    document.querySelectorAll('.theme-select').forEach(select => {
+      select.innerHTML = '';
+      Themes.list.forEach(theme => {
+        const option = document.createElement('option');
+        option.value = theme.id;
+        option.textContent = theme.name;
+        select.appendChild(option);
+      });
+      select.value = Themes.current ? Themes.current.id : Themes.defaultTheme;
+    });
+  },
+  
+  populatePaletteSelects() {
+    document.querySelectorAll('.palette-select').forEach(select => {
+      select.innerHTML = '';
+      Palettes.list.forEach(palette => {
+        const option = document.createElement('option');
+        option.value = palette.id;
+        option.textContent = palette.name;
+        select.appendChild(option);
+      });
+      select.value = Palettes.current ? Palettes.current.id : Palettes.defaultPalette;
+    });
+  },
+  
+  // Gamepad settings only show while a pad is plugged in
+  updateGamepads(connected) {
+    document.querySelectorAll('.gamepad-picker, .gamepad-hint').forEach(element => {
+      element.hidden = connected === 0;
+    });
+    document.querySelectorAll('.gamepad-bomb-select').forEach(select => {
+      if (select.options.length === 0) {
+        Gamepads.bombButtons.forEach(button => {
+          const option = document.createElement('option');
+          option.value = button.index;
+          option.textContent = button.name;
+          select.appendChild(option);
+        });
+      }
+      select.value = String(Gamepads.bombButton);
+    });
+    document.querySelectorAll('.gamepad-bomb-name').forEach(element => {
+      element.textContent = Gamepads.getBombButtonName();
+    });
+  },
+  
+  populateProfileEditors() {
+    const profile = Profile.current || Profile.sanitize(null);
+    const fields = [
+      ['.profile-color', Profile.colors, profile.color || ''],
+      ['.profile-accessory', Profile.accessories, profile.accessory],
+      ['.profile-nametag', Profile.nameTags, profile.nameTag]
+    ];
+    
+    for (const [selector, options, value] of fields) {
+      document.querySelectorAll(selector).forEach(select => {
+        select.innerHTML = '';
+        options.forEach(entry => {
+          const option = document.createElement('option');
+          option.value = entry.id;
+          option.textContent = entry.name;
+          select.appendChild(option);
+        });
+        select.value = value;
+      });
+    }
+    this.drawProfilePreviews();
+  },
+  
+  // Live preview, drawn by the same code as players in game
+  drawProfilePreviews() {
+    const profile = Profile.current || Profile.sanitize(null);
+    const name = document.getElementById('username-input').value.trim() || client.username || 'Player';
+    const color = profile.color || (client.playerId ? Renderer.getPlayerStyle(client.playerId).color : Renderer.colors.PLAYER[0]);
+    
+    document.querySelectorAll('.profile-preview').forEach(canvas => {
+      const ctx = canvas.getContext('2d');
+      const scale = canvas.width / (Renderer.tileSize * 2);
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+      ctx.setTransform(scale, 0, 0, scale, canvas.width / 2, canvas.height * 0.45);
+      Renderer.drawFigure(ctx, { color: color, facingX: 0, facingY: 1, spriteTime: 0, accessory: profile.accessory });
+      Renderer.drawNameTag(ctx, name, 0, Renderer.tileSize / 3 + 5, profile.nameTag, color);
+    });
+  },
+  
+  // Human-readable names for tracked commands
+  commandLabels: {
+    CREATE_LOBBY: 'Create game',
+    CHANGE_MAP: 'Change map',
+    UPDATE_SETTINGS: 'Update settings',
+    RESET_SETTINGS: 'Reset settings',
+    KICK_PLAYER: 'Kick player',
+    SET_READY: 'Ready status',
+    START_GAME: 'Start game',
+    RETURN_TO_LOBBY_REQUEST: 'Return to lobby'
+  },
+  
+  // Network simulator controls - only shown with ?netsim or simulator URL flags
+  initNetSimPanel() {
+    if (!NetSim.showPanel) return;
+    
+    const panel = document.getElementById('netsim-panel');
+    const enabled = document.getElementById('netsim-enabled');
+    const fields = [
+      { id: 'netsim-latency', key: 'latency', scale: 1 },
+      { id: 'netsim-jitter', key: 'jitter', scale: 1 },
+      { id: 'netsim-loss', key: 'loss', scale: 100 },     // Shown in percent
+      { id: 'netsim-reorder', key: 'reorder', scale: 100 }
+    ];
+    
+    panel.classList.add('active');
+    enabled.checked = NetSim.enabled;
+    enabled.addEventListener('change', () => NetSim.setEnabled(enabled.checked));
+    
+    for (const field of fields) {
+      const input = document.getElementById(field.id);
+      input.value = Math.round(NetSim.config[field.key] * field.scale);
+      input.addEventListener('change', () => {
+        const value = Math.max(0, parseFloat(input.value) || 0) / field.scale;
+        NetSim.configure({ [field.key]: field.scale === 100 ? Math.min(1, value) : value });
+      });
+    }
+    
+    setInterval(() => {
+      const stats = NetSim.getStats();
+      document.getElementById('netsim-stats').textContent =
+        `in flight ${stats.pending} · dropped ${stats.dropped} · reordered ${stats.reordered}`;
+    }, 1000);
+  },
+  
+  // Show commands waiting for a connection and commands the server rejected
+  updateOutboxStatus(entries) {
+    const tray = document.getElementById('outbox-status');
+    const visible = entries.filter(e => e.status === 'queued' || e.status === 'failed');
+    tray.innerHTML = '';
+    tray.classList.toggle('active', visible.length > 0);
+    
+    visible.forEach(entry => {
+      const item = document.createElement('div');
+      item.className = `outbox-item ${entry.status}`;
+      const label = this.commandLabels[entry.message.type] || entry.message.type;
+      
+      // The server's error text can echo what we sent - keep it out of innerHTML
+      const text = document.createElement('span');
+      item.appendChild(text);
+      
+      if (entry.status === 'queued') {
+        text.textContent = `⏳ ${label} - waiting for connection`;
+      } else {
+        text.textContent = `⚠️ ${label} failed: ${entry.error}`;
+        
+        const retry = document.createElement('button');
+        retry.className = 'btn-outbox retry';
+        retry.textContent = 'Retry';
+        retry.addEventListener('click', () => {
+          client.retryCommand(entry.requestId);
+        });
+        
+        const dismiss = document.createElement('button');
+        dismiss.className = 'btn-outbox dismiss';
+        dismiss.title = 'Dismiss';
+        dismiss.textContent = '✕';
+        dismiss.addEventListener('click', () => {
+          Outbox.dismiss(entry.requestId);
+        });
+        
+        item.append(retry, dismiss);
+      }
+      
+      tray.appendChild(item);
+    });
+  },
+  
   setUsername(username) {
     document.getElementById('current-username').textContent = `👤 ${username}`;
   },
@@ -209,6 +478,9 @@ const UI = {
         </div>
       `;
       
+      // Their color and marker, as they'll look in game
+      item.querySelector('.player-name').prepend(this.createSwatch(player.id));
+      
       // Add kick event listener
       const kickBtn = item.querySelector('.btn-kick');
       if (kickBtn) {
@@ -339,6 +611,10 @@ const UI = {
     if (!currentPlayer) return;
     
     statsDiv.innerHTML = `
+      <div class="stat-item">
+        <div class="stat-label">🎨 You</div>
+        <div class="stat-value stat-identity"></div>
+      </div>
       <div class="stat-item">
         <div class="stat-label">💣 Bombs</div>
         <div class="stat-value">${currentPlayer.maxBombs - currentPlayer.activeBombs}/${currentPlayer.maxBombs}</div>
@@ -356,6 +632,20 @@ const UI = {
         <div class="stat-value">${currentPlayer.alive ? 'Alive' : 'Dead'}</div>
       </div>
     `;
+    
+    const identity = statsDiv.querySelector('.stat-identity');
+    identity.append(this.createSwatch(currentPlayer.id), currentPlayer.username);
+  },
+  
+  // Player's marker in their color - the same look they have on the canvas
+  createSwatch(playerId, size = 18) {
+    const canvas = document.createElement('canvas');
+    canvas.className = 'player-swatch';
+    canvas.width = size;
+    canvas.height = size;
+    const style = Renderer.getPlayerStyle(playerId);
+    Palettes.drawMarker(canvas.getContext('2d'), style.marker, size / 2, size / 2, size - 4, style.color);
+    return canvas;
   },
   
   showGameOver(winner) {
@@ -365,9 +655,12 @@ const UI = {
       resultDiv.innerHTML = `
         <div class="winner">
           🏆<br>
-          ${winner.username} Wins!
+          <span class="winner-name">${winner.username}</span> Wins!
         </div>
       `;
+      if (winner.id) {
+        resultDiv.querySelector('.winner-name').prepend(this.createSwatch(winner.id, 28));
+      }
     } else {
       resultDiv.innerHTML = `
         <div class="draw">
@@ -404,15 +697,43 @@ const UI = {
   }
 };
 
-// Initialize UI when page loads
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', () => {
-    UI.init();
+// Initialize UI when page loads - auto-connect waits for the server config
+function startUI() {
+  NetSim.load(window.location.search);
+  UI.init();
+  UI.initNetSimPanel();
+  Themes.onChange(theme => {
+    Renderer.setTheme(theme);
+    UI.populateThemeSelects();
+    UI.drawProfilePreviews();
+  });
+  Themes.load();
+  Palettes.init();
+  Palettes.onChange(() => {
+    UI.populatePaletteSelects();
+    UI.drawProfilePreviews();
+    if (client.currentLobby) UI.updateLobbyRoom(client.currentLobby, client.playerId);
+  });
+  UI.populatePaletteSelects();
+  Profile.init();
+  Profile.onChange(() => {
+    UI.populateProfileEditors();
+    client.sendProfile();
+  });
+  UI.populateProfileEditors();
+  Gamepads.init();
+  Gamepads.onChange(connected => UI.updateGamepads(connected));
+  UI.updateGamepads(Gamepads.connected);
+  ServerConfig.load().then(() => {
+    UI.populateServerPicker();
     UI.checkAutoConnect();
   });
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', startUI);
 } else {
-  UI.init();
-  UI.checkAutoConnect();
+  startUI();
 }
 
 
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Camera } = require('../src/js/camera.js');
+
+function setup(mapWidth, mapHeight, availableWidth, availableHeight, dpr = 1) {
+  Camera.positioned = false;
+  Camera.fit(mapWidth, mapHeight, availableWidth, availableHeight, dpr);
+}
+
+test('scales small maps up to fill the space', () => {
+  setup(15, 11, 1200, 700);
+  
+  assert.strictEqual(Camera.tileSize, 63); // floor(min(1200 / 15, 700 / 11))
+  assert.strictEqual(Camera.scale, 63 / 40);
+  assert.deepStrictEqual([Camera.viewWidth, Camera.viewHeight], [945, 693]);
+});
+
+test('never scales past the maximum tile size', () => {
+  setup(5, 5, 3840, 2000);
+  assert.strictEqual(Camera.tileSize, Camera.maxTileSize);
+  assert.deepStrictEqual([Camera.viewWidth, Camera.viewHeight], [480, 480]);
+});
+
+test('big maps stop shrinking at the minimum and scroll instead', () => {
+  setup(60, 40, 800, 500);
+  
+  assert.strictEqual(Camera.tileSize, Camera.minTileSize);
+  assert.deepStrictEqual([Camera.viewWidth, Camera.viewHeight], [800, 500]);
+});
+
+test('falls back to the base tile size before layout', () => {
+  setup(13, 11, 0, 0);
+  
+  assert.strictEqual(Camera.tileSize, 40);
+  assert.deepStrictEqual([Camera.viewWidth, Camera.viewHeight], [520, 440]);
+});
+
+test('snaps to the first target, then eases toward later ones', () => {
+  setup(60, 40, 480, 480); // 20 x 20 tiles visible
+  Camera.follow({ x: 30, y: 20 }, 0);
+  assert.deepStrictEqual([Camera.x, Camera.y], [30, 20]);
+  
+  Camera.follow({ x: 35, y: 20 }, 1 / 60);
+  assert.ok(Camera.x > 30 && Camera.x < 35, `x = ${Camera.x}`);
+  
+  for (let i = 0; i < 120; i++) Camera.follow({ x: 35, y: 20 }, 1 / 60);
+  assert.ok(Math.abs(Camera.x - 35) < 0.01, `x = ${Camera.x}`);
+});
+
+test('keeps the view inside the map', () => {
+  setup(60, 40, 480, 480);
+  Camera.follow({ x: 1.5, y: 38.5 }, 0);
+  assert.deepStrictEqual([Camera.x, Camera.y], [10, 30]);
+});
+
+test('centers an axis that fits', () => {
+  setup(60, 10, 480, 480); // Scrolls horizontally, 10 rows fit
+  Camera.follow({ x: 30, y: 1.5 }, 0);
+  assert.deepStrictEqual([Camera.x, Camera.y], [30, 5]);
+});
+
+test('transform includes scale, scroll and device pixel ratio', () => {
+  setup(60, 40, 480, 480, 2);
+  Camera.follow({ x: 30, y: 20 }, 0);
+  
+  // Tile 30 (world x = 30 * 40) lands in the middle of a 960px-wide backing store
+  const [a, , , d, e, f] = Camera.getTransform();
+  assert.deepStrictEqual([a, d], [1.2, 1.2]);
+  assert.strictEqual(30 * 40 * a + e, 480);
+  assert.strictEqual(20 * 40 * d + f, 480);
+});
@@ -0,0 +1,218 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadClient } = require('./helpers/client');
+const { state } = require('./fixtures/messages');
+
+const lobby = {
+  id: 'lobby-1',
+  name: 'My Game',
+  hostId: 'p1',
+  mapName: 'classic',
+  playerCount: 3,
+  maxPlayers: 4,
+  players: [
+    { id: 'p1', username: 'Alice', ready: true },
+    { id: 'p2', username: 'Bob', ready: true },
+    { id: 'p3', username: 'Carol', ready: false }
+  ],
+  settings: { playerSpeed: 3, bombCount: 1, explosionRange: 2, bombTimer: 3000, upgradeSpawnChance: 0.3 }
+};
+
+function setup(t, options) {
+  const client = loadClient(options);
+  t.after(() => client.close());
+  return client;
+}
+
+function text(client, id) {
+  return client.window.document.getElementById(id).textContent;
+}
+
+function display(client, id) {
+  return client.window.document.getElementById(id).style.display;
+}
+
+function sentTypes(client) {
+  return client.socket.sent.map(m => m.type);
+}
+
+// Message handling
+
+test('starts on the connection screen', (t) => {
+  const client = setup(t);
+  assert.strictEqual(client.activeScreen(), 'connection-screen');
+});
+
+test('USERNAME_SET opens the lobby browser and asks for maps and lobbies', (t) => {
+  const client = setup(t);
+  client.connect('Alice');
+  
+  assert.strictEqual(client.activeScreen(), 'lobby-browser-screen');
+  assert.deepStrictEqual(sentTypes(client), ['SET_USERNAME', 'GET_MAPS', 'GET_LOBBIES']);
+  assert.strictEqual(client.window.localStorage.getItem('bomberman_username'), 'Alice');
+  assert.deepStrictEqual(client.errors, []);
+});
+
+test('LOBBY_JOINED opens the lobby room and remembers the lobby', (t) => {
+  const client = setup(t);
+  client.connect();
+  client.socket.receive({ type: 'LOBBY_JOINED', lobbyInfo: lobby });
+  
+  assert.strictEqual(client.activeScreen(), 'lobby-room-screen');
+  assert.strictEqual(client.window.localStorage.getItem('bomberman_lobby_id'), 'lobby-1');
+  assert.strictEqual(client.get('client').currentLobby.id, 'lobby-1');
+});
+
+test('lobby updates re-render without changing screens', (t) => {
+  const client = setup(t);
+  client.connect();
+  client.socket.receive({ type: 'LOBBY_JOINED', lobbyInfo: lobby });
+  client.socket.receive({ type: 'PLAYER_LEFT', lobbyInfo: { ...lobby, playerCount: 2, players: lobby.players.slice(0, 2) } });
+  
+  assert.strictEqual(client.activeScreen(), 'lobby-room-screen');
+  assert.strictEqual(text(client, 'player-count'), '2');
+});
+
+test('GAME_STATE switches to the game screen', (t) => {
+  const client = setup(t);
+  client.connect();
+  client.socket.receive({ type: 'LOBBY_JOINED', lobbyInfo: lobby });
+  client.socket.receive({ type: 'GAME_STATE', state: state });
+  
+  assert.strictEqual(client.activeScreen(), 'game-screen');
+  assert.strictEqual(client.get('client').gameState.tick, 1200);
+  assert.strictEqual(client.get('Prediction').localPlayer.id, 'p1');
+});
+
+test('RETURN_TO_LOBBY goes back to the lobby room and drops game state', (t) => {
+  const client = setup(t);
+  client.connect();
+  client.socket.receive({ type: 'LOBBY_JOINED', lobbyInfo: lobby });
+  client.socket.receive({ type: 'GAME_STATE', state: state });
+  client.socket.receive({ type: 'RETURN_TO_LOBBY', lobbyInfo: lobby });
+  
+  assert.strictEqual(client.activeScreen(), 'lobby-room-screen');
+  assert.strictEqual(client.get('client').gameState, null);
+  assert.strictEqual(client.get('Prediction').localPlayer, null);
+});
+
+test('LEFT_LOBBY returns to the browser and forgets the lobby', (t) => {
+  const client = setup(t);
+  client.connect();
+  client.socket.receive({ type: 'LOBBY_JOINED', lobbyInfo: lobby });
+  client.socket.receive({ type: 'LEFT_LOBBY' });
+  
+  assert.strictEqual(client.activeScreen(), 'lobby-browser-screen');
+  assert.strictEqual(client.window.localStorage.getItem('bomberman_lobby_id'), null);
+  assert.strictEqual(client.get('client').currentLobby, null);
+});
+
+test('KICKED_FROM_LOBBY returns to the browser with a notice', (t) => {
+  const client = setup(t);
+  client.connect();
+  client.socket.receive({ type: 'LOBBY_JOINED', lobbyInfo: lobby });
+  client.socket.receive({ type: 'KICKED_FROM_LOBBY', message: 'You were kicked' });
+  
+  assert.strictEqual(client.activeScreen(), 'lobby-browser-screen');
+  assert.strictEqual(client.window.localStorage.getItem('bomberman_lobby_id'), null);
+  assert.strictEqual(text(client, 'connection-status'), 'You were kicked from the lobby');
+});
+
+test('a failed join clears the saved lobby instead of alerting', (t) => {
+  const client = setup(t, { localStorage: { bomberman_lobby_id: 'lobby-404' } });
+  client.connect();
+  client.socket.receive({ type: 'ERROR', message: 'Failed to join lobby' });
+  
+  assert.strictEqual(client.activeScreen(), 'lobby-browser-screen');
+  assert.strictEqual(client.window.localStorage.getItem('bomberman_lobby_id'), null);
+  assert.strictEqual(text(client, 'connection-status'), 'Lobby no longer available');
+  assert.deepStrictEqual(client.alerts, []);
+});
+
+test('other errors are shown to the player', (t) => {
+  const client = setup(t);
+  client.connect();
+  client.socket.receive({ type: 'ERROR', message: 'All players must be ready' });
+  
+  assert.deepStrictEqual(client.alerts, ['All players must be ready']);
+});
+
+test('malformed messages are dropped', (t) => {
+  const client = setup(t);
+  client.connect();
+  client.socket.receive({ type: 'LOBBY_JOINED' });
+  client.socket.receive({ type: 'NOT_A_MESSAGE' });
+  
+  assert.strictEqual(client.activeScreen(), 'lobby-browser-screen');
+  assert.strictEqual(client.get('client').currentLobby, null);
+});
+
+test('a saved session reconnects and rejoins its lobby', async (t) => {
+  const client = setup(t, { localStorage: { bomberman_username: 'Alice', bomberman_lobby_id: 'lobby-1' } });
+  await new Promise(resolve => setTimeout(resolve, 0)); // Auto-connect waits for the server config
+  
+  client.socket.open();
+  client.socket.receive({ type: 'CONNECTED', playerId: 'p1', features: [] });
+  client.socket.receive({ type: 'USERNAME_SET', username: 'Alice' });
+  
+  assert.deepStrictEqual(client.socket.sent.find(m => m.type === 'JOIN_LOBBY'), { type: 'JOIN_LOBBY', lobbyId: 'lobby-1' });
+  assert.strictEqual(client.activeScreen(), 'connection-screen'); // Until LOBBY_JOINED arrives
+});
+
+// Lobby room rendering
+
+test('updateLobbyRoom shows counts and who is ready', (t) => {
+  const client = setup(t);
+  client.get('UI').updateLobbyRoom(lobby, 'p1');
+  const items = [...client.window.document.querySelectorAll('#players-list .player-item')];
+  
+  assert.strictEqual(text(client, 'lobby-room-name'), 'My Game');
+  assert.strictEqual(text(client, 'ready-count'), '2');
+  assert.strictEqual(text(client, 'total-count'), '3');
+  assert.strictEqual(text(client, 'lobby-hint'), 'Waiting for 1 more player(s) to ready up...');
+  assert.deepStrictEqual(items.map(item => item.querySelector('.player-name').textContent), ['Alice (You)', 'Bob', 'Carol']);
+  assert.deepStrictEqual(items.map(item => item.querySelector('.player-status').className), [
+    'player-status host',
+    'player-status ready',
+    'player-status not-ready'
+  ]);
+});
+
+test('updateLobbyRoom announces when everyone is ready', (t) => {
+  const client = setup(t);
+  const players = lobby.players.map(p => ({ ...p, ready: true }));
+  client.get('UI').updateLobbyRoom({ ...lobby, players }, 'p1');
+  
+  assert.strictEqual(text(client, 'lobby-hint'), 'All players ready! Host can start the game.');
+});
+
+test('the host gets start, settings and kick controls', (t) => {
+  const client = setup(t);
+  client.connect();
+  client.get('UI').updateLobbyRoom(lobby, 'p1');
+  const kicks = [...client.window.document.querySelectorAll('.btn-kick')];
+  
+  assert.strictEqual(display(client, 'start-game-btn'), 'block');
+  assert.strictEqual(display(client, 'host-settings'), 'block');
+  assert.strictEqual(display(client, 'ready-btn'), 'none');
+  assert.deepStrictEqual(kicks.map(btn => btn.dataset.playerId), ['p2', 'p3']);
+  
+  kicks[0].click();
+  const kick = client.socket.sent.at(-1);
+  assert.deepStrictEqual([kick.type, kick.playerId], ['KICK_PLAYER', 'p2']);
+});
+
+test('guests get a ready toggle and read-only settings', (t) => {
+  const client = setup(t);
+  const UI = client.get('UI');
+  
+  UI.updateLobbyRoom(lobby, 'p3');
+  assert.strictEqual(display(client, 'start-game-btn'), 'none');
+  assert.strictEqual(display(client, 'settings-display'), 'block');
+  assert.strictEqual(display(client, 'ready-btn'), 'block');
+  assert.strictEqual(text(client, 'ready-btn'), 'Ready');
+  assert.strictEqual(client.window.document.querySelectorAll('.btn-kick').length, 0);
+  
+  UI.updateLobbyRoom(lobby, 'p2');
+  assert.strictEqual(text(client, 'ready-btn'), 'Not Ready');
+});
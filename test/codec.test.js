@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Codec } = require('../src/js/codec.js');
+const { clientMessages, serverMessages, state, player } = require('./fixtures/messages');
+
+const allMessages = [...clientMessages, ...serverMessages];
+
+const label = message => (message.action ? `${message.type} ${message.action.type}` : message.type);
+
+for (const message of allMessages) {
+  test(`json round-trips ${label(message)}`, () => {
+    const encoded = Codec.json.encode(message);
+    assert.strictEqual(typeof encoded, 'string');
+    assert.deepStrictEqual(Codec.decode(encoded), message);
+  });
+  
+  test(`binary round-trips ${label(message)}`, () => {
+    const encoded = Codec.binary.encode(message);
+    assert.ok(encoded instanceof ArrayBuffer);
+    assert.deepStrictEqual(Codec.decode(encoded), message);
+  });
+}
+
+test('MOVE and GAME_STATE use compact layouts, others fall back to JSON frames', () => {
+  const tagOf = message => new Uint8Array(Codec.binary.encode(message))[0];
+  
+  assert.strictEqual(tagOf({ type: 'PLAYER_ACTION', action: { type: 'MOVE', vx: 1, vy: 0 } }), 1);
+  assert.strictEqual(tagOf({ type: 'GAME_STATE', state: state }), 2);
+  assert.strictEqual(tagOf({ type: 'PLAYER_ACTION', action: { type: 'PLACE_BOMB' } }), 0);
+  assert.strictEqual(tagOf({ type: 'SET_READY', ready: true }), 0);
+});
+
+test('binary encoding is smaller than JSON for hot messages', () => {
+  const move = { type: 'PLAYER_ACTION', action: { type: 'MOVE', vx: 1, vy: -1, x: 4.5, y: 7.25, clientTick: 98765 } };
+  const gameState = { type: 'GAME_STATE', state: state };
+  
+  assert.ok(Codec.binary.encode(move).byteLength < Codec.json.encode(move).length / 3);
+  assert.ok(Codec.binary.encode(gameState).byteLength < Codec.json.encode(gameState).length / 2);
+});
+
+test('floats are quantized to float32 precision', () => {
+  const message = { type: 'GAME_STATE', state: { ...state, players: [{ ...player, x: 3.1, y: 7.3 }] } };
+  const decoded = Codec.binary.decode(Codec.binary.encode(message));
+  
+  assert.ok(Math.abs(decoded.state.players[0].x - 3.1) < 1e-6);
+  assert.ok(Math.abs(decoded.state.players[0].y - 7.3) < 1e-6);
+});
+
+test('analog MOVE directions are quantized to 1/127', () => {
+  const message = { type: 'PLAYER_ACTION', action: { type: 'MOVE', vx: 0.7071, vy: -0.3 } };
+  const decoded = Codec.binary.decode(Codec.binary.encode(message));
+  
+  assert.ok(Math.abs(decoded.action.vx - 0.7071) <= 0.5 / 127);
+  assert.ok(Math.abs(decoded.action.vy + 0.3) <= 0.5 / 127);
+});
+
+test('values that do not fit their binary type survive through the JSON extras', () => {
+  const message = {
+    type: 'GAME_STATE',
+    state: {
+      ...state,
+      tick: -5,
+      map: { ...state.map, tiles: [['#', '💣'], ['.', '.']] },
+      players: [{ ...player, maxBombs: 300, username: null, team: 'red' }]
+    },
+    serverVersion: '2.1'
+  };
+  
+  assert.deepStrictEqual(Codec.binary.decode(Codec.binary.encode(message)), message);
+});
+
+test('array-of-char tile rows keep their shape', () => {
+  const message = { type: 'GAME_STATE', state: { ...state, map: { ...state.map, tiles: [['#', '.', 'X']] } } };
+  
+  assert.deepStrictEqual(Codec.binary.decode(Codec.binary.encode(message)), message);
+});
+
+test('unknown binary tags are rejected', () => {
+  assert.throws(() => Codec.binary.decode(new Uint8Array([99, 0]).buffer), /Unknown binary message tag/);
+});
+
+test('get() falls back to JSON for unknown codec names', () => {
+  assert.strictEqual(Codec.get('binary'), Codec.binary);
+  assert.strictEqual(Codec.get('msgpack'), Codec.json);
+});
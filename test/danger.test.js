@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Danger } = require('../src/js/danger.js');
+const { loadClient } = require('./helpers/client');
+
+const map = {
+  width: 7,
+  height: 5,
+  tiles: [
+    '#######',
+    '#.....#',
+    '#.#X#.#',
+    '#.....#',
+    '#######'
+  ]
+};
+const players = [{ id: 'p1', explosionRange: 3 }, { id: 'p2', explosionRange: 1 }];
+
+const keys = zones => [...zones.keys()].sort();
+
+test('blasts stop at walls and end on the first box', () => {
+  const tiles = Danger.blastTiles({ x: 3, y: 1 }, 3, map).map(t => `${t.x},${t.y}`).sort();
+  // Right and left run to the outer walls; down hits the box and stops; up is a wall
+  assert.deepStrictEqual(tiles, ['1,1', '2,1', '3,1', '3,2', '4,1', '5,1']);
+});
+
+test('range comes from the bomb, else its owner', () => {
+  assert.strictEqual(Danger.getRange({ ownerId: 'p2', range: 4 }, players), 4);
+  assert.strictEqual(Danger.getRange({ ownerId: 'p2' }, players), 1);
+  assert.strictEqual(Danger.getRange({ ownerId: 'gone' }, players), 1);
+});
+
+test('bombs caught in a blast go off with it', () => {
+  const bombs = [
+    { x: 1, y: 1, ownerId: 'p2', explodeAt: 1500 },
+    { x: 1, y: 2, ownerId: 'p2', explodeAt: 3000 },  // In the first blast
+    { x: 5, y: 3, ownerId: 'p2', explodeAt: 2500 }   // Out of reach
+  ];
+  const zones = Danger.compute(bombs, players, map, 1000);
+  
+  assert.strictEqual(zones.get('1,3').explodeAt, 1500); // Reached only by the chained bomb
+  assert.strictEqual(zones.get('5,3').explodeAt, 2500);
+  assert.strictEqual(zones.has('3,3'), false);
+});
+
+test('chains carry on through several bombs', () => {
+  const bombs = [
+    { x: 5, y: 3, ownerId: 'p2', explodeAt: 3000 },
+    { x: 5, y: 2, ownerId: 'p2', explodeAt: 2000 },
+    { x: 5, y: 1, ownerId: 'p2', explodeAt: 1200 }
+  ];
+  const zones = Danger.compute(bombs, players, map, 1000);
+  assert.ok(['4,3', '5,3', '5,2', '4,1'].every(key => zones.get(key).explodeAt === 1200));
+});
+
+test('overlapping tiles keep the earliest blast', () => {
+  const bombs = [
+    { x: 1, y: 3, ownerId: 'p1', timer: 2000 },
+    { x: 5, y: 3, ownerId: 'p2', timer: 500 }
+  ];
+  const zones = Danger.compute(bombs, players, map, 1000);
+  assert.strictEqual(zones.get('4,3').explodeAt, 1500);
+  assert.strictEqual(zones.get('3,3').explodeAt, 3000);
+  assert.deepStrictEqual(keys(zones), ['1,1', '1,2', '1,3', '2,3', '3,3', '4,3', '5,2', '5,3']);
+});
+
+test('the tint deepens as the fuse burns down', () => {
+  assert.strictEqual(Danger.getAlpha(Danger.warnTime, 0), Danger.minAlpha);
+  assert.ok(Danger.getAlpha(1500, 0) > Danger.getAlpha(2500, 0));
+  assert.ok(Danger.getAlpha(0, 0) <= Danger.maxAlpha);
+});
+
+test('the overlay can be switched off and stays off', async (t) => {
+  const client = loadClient();
+  t.after(() => client.close());
+  await client.ready;
+  const Danger = client.get('Danger');
+  const toggle = client.window.document.getElementById('danger-toggle');
+  assert.strictEqual(toggle.checked, true);
+  
+  toggle.checked = false;
+  toggle.dispatchEvent(new client.window.Event('change'));
+  assert.strictEqual(Danger.enabled, false);
+  assert.strictEqual(client.window.localStorage.getItem('bomberman_danger_zones'), 'off');
+  
+  const saved = loadClient({ localStorage: { bomberman_danger_zones: 'off' } });
+  t.after(() => saved.close());
+  await saved.ready;
+  assert.strictEqual(saved.get('Danger').enabled, false);
+  assert.strictEqual(saved.window.document.getElementById('danger-toggle').checked, false);
+});
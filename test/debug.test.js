@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadClient } = require('./helpers/client');
+
+function setup(t) {
+  const client = loadClient();
+  t.after(() => client.close());
+  const clock = { now: 1000 };
+  client.window.performance.now = () => clock.now;
+  return { clock, DebugOverlay: client.get('DebugOverlay') };
+}
+
+test('stats cover frames and traffic of the last second', (t) => {
+  const { clock, DebugOverlay } = setup(t);
+  for (const time of [1000, 1016, 1048]) {
+    clock.now = time;
+    DebugOverlay.noteFrame();
+  }
+  DebugOverlay.noteReceived('{"type":"PONG"}');
+  DebugOverlay.noteReceived(new ArrayBuffer(40));
+  DebugOverlay.noteSent('{"type":"PING"}');
+  
+  assert.deepStrictEqual({ ...DebugOverlay.getStats() }, {
+    fps: 3,
+    frameTime: 24,
+    worstFrame: 32,
+    messagesIn: 2,
+    bytesIn: 55,
+    bytesOut: 15
+  });
+});
+
+test('traffic is trimmed to the window while no frames are drawn', (t) => {
+  const { clock, DebugOverlay } = setup(t);
+  DebugOverlay.noteReceived('old');
+  DebugOverlay.noteSent('old');
+  
+  clock.now += DebugOverlay.windowMs + 1;
+  DebugOverlay.noteReceived('new');
+  DebugOverlay.noteSent('new!');
+  assert.strictEqual(DebugOverlay.messages.length, 1);
+  assert.strictEqual(DebugOverlay.sentMessages.length, 1);
+  
+  const stats = DebugOverlay.getStats();
+  assert.deepStrictEqual([stats.fps, stats.frameTime, stats.worstFrame], [0, 0, 0]);
+  assert.deepStrictEqual([stats.bytesIn, stats.bytesOut], [3, 4]);
+});
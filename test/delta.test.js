@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { DeltaState } = require('../src/js/delta.js');
+const { loadClient } = require('./helpers/client');
+const { state } = require('./fixtures/messages');
+
+function baseline(overrides = {}) {
+  const copy = JSON.parse(JSON.stringify({ ...state, ...overrides }));
+  DeltaState.reset();
+  DeltaState.setBaseline(copy);
+  return copy;
+}
+
+const delta = (changes, tick = 1201, baseTick = 1200) => ({ type: 'GAME_STATE_DELTA', baseTick, tick, delta: changes });
+
+test('tiles change in string and array rows', () => {
+  baseline();
+  let next = DeltaState.apply(delta({ tiles: [[2, 1, '.']] }), 60);
+  assert.strictEqual(next.map.tiles[1], '#...#');
+  
+  const rows = state.map.tiles.map(row => row.split(''));
+  baseline({ map: { ...state.map, tiles: rows } });
+  next = DeltaState.apply(delta({ tiles: [[2, 1, '.']] }), 60);
+  assert.deepStrictEqual(next.map.tiles[1], ['#', '.', '.', '.', '#']);
+  assert.strictEqual(rows[1][2], 'X');
+});
+
+test('players are updated, added and removed by id', () => {
+  baseline();
+  const next = DeltaState.apply(delta({
+    players: { updated: [{ id: 'p1', x: 2 }, { id: 'p3', username: 'Carol', x: 1, y: 2, alive: true }], removed: ['p2'] }
+  }), 60);
+  
+  assert.deepStrictEqual(next.players.map(p => p.id), ['p1', 'p3']);
+  assert.strictEqual(next.players[0].x, 2);
+  assert.strictEqual(next.players[0].username, 'Alice');
+  assert.strictEqual(next.tick, 1201);
+});
+
+test('bombs and explosions are added and removed by key', () => {
+  const base = baseline();
+  const explosion = base.explosions[0];
+  const next = DeltaState.apply(delta({
+    bombs: { added: [{ x: 3, y: 1, timer: 3000, ownerId: 'p2' }], removed: ['1,1'] },
+    explosions: { added: [], removed: [`${explosion.originX}_${explosion.originY}_${explosion.timestamp}`] },
+    fields: { gameOver: true }
+  }), 60);
+  
+  assert.deepStrictEqual(next.bombs.map(b => [b.x, b.y]), [[3, 1]]);
+  assert.deepStrictEqual(next.explosions, []);
+  assert.strictEqual(next.gameOver, true);
+});
+
+test('bomb fuses burn down by the time the delta covers', () => {
+  baseline();
+  const next = DeltaState.apply(delta({}, 1206), 60); // 6 ticks at 60/s
+  assert.strictEqual(next.bombs[0].timer, 2400);
+  
+  // Never below zero
+  assert.strictEqual(DeltaState.apply(delta({}, 1606, 1206), 60).bombs[0].timer, 0);
+});
+
+test('applying a delta leaves the previous state untouched', () => {
+  const base = baseline();
+  const before = JSON.parse(JSON.stringify(base));
+  const next = DeltaState.apply(delta({ tiles: [[2, 1, '.']], players: { updated: [{ id: 'p1', x: 2 }] } }), 60);
+  
+  assert.deepStrictEqual(base, before);
+  assert.strictEqual(DeltaState.baseline, next);
+  
+  // A delta that throws part way doesn't touch the live state either
+  assert.throws(() => DeltaState.apply(delta({ players: { updated: [{ id: 'p1', x: 3 }] }, bombs: { added: 7 } }, 1202, 1201), 60));
+  assert.strictEqual(next.players[0].x, 2);
+});
+
+test('a delta that does not follow the baseline waits for a full state', () => {
+  baseline();
+  assert.strictEqual(DeltaState.apply(delta({}, 1205, 1203), 60), null);
+  assert.strictEqual(DeltaState.awaitingResync, true);
+  assert.strictEqual(DeltaState.apply(delta({}, 1201, 1200), 60), null); // Ignored until then
+  
+  DeltaState.setBaseline(JSON.parse(JSON.stringify(state)));
+  assert.ok(DeltaState.apply(delta({}), 60));
+});
+
+test('the client asks for a full state after a gap', (t) => {
+  const client = loadClient();
+  t.after(() => client.close());
+  client.connect('Alice', ['delta']);
+  client.socket.receive({ type: 'GAME_STATE', state: JSON.parse(JSON.stringify(state)) });
+  
+  client.socket.receive(delta({ players: { updated: [{ id: 'p1', x: 2 }] } }));
+  assert.strictEqual(client.get('client').gameState.players[0].x, 2);
+  assert.ok(!client.socket.sent.some(m => m.type === 'REQUEST_FULL_STATE'));
+  
+  client.socket.receive(delta({}, 1210, 1205));
+  assert.ok(client.socket.sent.some(m => m.type === 'REQUEST_FULL_STATE'));
+  assert.strictEqual(client.get('client').gameState.tick, 1201);
+});
+
+test('a delta that breaks the state is dropped and a full state requested', (t) => {
+  const client = loadClient();
+  t.after(() => client.close());
+  client.connect('Alice', ['delta']);
+  client.socket.receive({ type: 'GAME_STATE', state: JSON.parse(JSON.stringify(state)) });
+  
+  client.socket.receive(delta({ fields: { explosions: null } }));
+  assert.strictEqual(client.get('client').gameState.tick, 1200);
+  assert.ok(client.socket.sent.some(m => m.type === 'REQUEST_FULL_STATE'));
+  
+  // Later deltas wait for that full state
+  client.socket.receive(delta({}, 1202, 1201));
+  assert.strictEqual(client.get('client').gameState.tick, 1200);
+  client.socket.receive({ type: 'GAME_STATE', state: { ...JSON.parse(JSON.stringify(state)), tick: 1203 } });
+  client.socket.receive(delta({ fields: { map: { ...state.map, tiles: [...state.map.tiles, 7] } } }, 1204, 1203));
+  assert.strictEqual(client.get('client').gameState.tick, 1203);
+});
@@ -0,0 +1,117 @@
+// Sample payloads for every message type the client sends and receives
+// Floats use values exactly representable as float32 so binary round-trips compare equal
+
+const map = {
+  name: 'classic',
+  width: 5,
+  height: 4,
+  tiles: ['#####', '#.X.#', '#.O.#', '#####'],
+  upgrades: [{ x: 3, y: 1, type: 'SPEED' }]
+};
+
+const player = {
+  id: 'p1',
+  username: 'Alice',
+  x: 1.5,
+  y: 1.25,
+  speed: 3.5,
+  alive: true,
+  maxBombs: 2,
+  activeBombs: 1,
+  explosionRange: 2,
+  lastInputTick: 1195
+};
+
+const lobby = {
+  id: 'lobby-1',
+  name: 'My Game',
+  hostId: 'p1',
+  mapName: 'classic',
+  playerCount: 2,
+  maxPlayers: 4,
+  players: [
+    { id: 'p1', username: 'Alice', ready: true },
+    { id: 'p2', username: 'Bob', ready: false }
+  ],
+  settings: { playerSpeed: 3, bombCount: 1, explosionRange: 2, bombTimer: 3000, upgradeSpawnChance: 0.3 }
+};
+
+const state = {
+  tick: 1200,
+  gameOver: false,
+  map: map,
+  players: [player, { ...player, id: 'p2', username: 'Bob', x: 3.5, alive: false }],
+  bombs: [{ x: 1, y: 1, timer: 2500, ownerId: 'p1', range: 2 }],
+  explosions: [{
+    originX: 3,
+    originY: 2,
+    timestamp: 1760000000123,
+    duration: 500,
+    propagationDelay: 20,
+    tiles: [{ x: 3, y: 2, distance: 0 }, { x: 3, y: 1, distance: 1 }]
+  }]
+};
+
+// Client -> server
+const clientMessages = [
+  { type: 'SET_USERNAME', username: 'Alice' },
+  { type: 'SET_PROFILE', profile: { color: '#3498db', accessory: 'crown', nameTag: 'badge' } },
+  { type: 'GET_LOBBIES' },
+  { type: 'GET_MAPS' },
+  { type: 'CREATE_LOBBY', lobbyName: 'My Game', mapName: 'classic', requestId: 'k1-1' },
+  { type: 'JOIN_LOBBY', lobbyId: 'lobby-1' },
+  { type: 'CHANGE_MAP', mapName: 'arena', requestId: 'k1-2' },
+  { type: 'UPDATE_SETTINGS', settings: { bombTimer: 2000 }, requestId: 'k1-3' },
+  { type: 'RESET_SETTINGS', requestId: 'k1-4' },
+  { type: 'RETURN_TO_LOBBY_REQUEST', requestId: 'k1-5' },
+  { type: 'KICK_PLAYER', playerId: 'p2', requestId: 'k1-6' },
+  { type: 'LEAVE_LOBBY' },
+  { type: 'SET_READY', ready: true, requestId: 'k1-7' },
+  { type: 'START_GAME', requestId: 'k1-8' },
+  { type: 'PLAYER_ACTION', action: { type: 'MOVE', vx: -1, vy: 1, x: 2.5, y: 3.75, clientTick: 1234 } },
+  { type: 'PLAYER_ACTION', action: { type: 'MOVE', vx: 0, vy: 0 } },
+  { type: 'PLAYER_ACTION', action: { type: 'PLACE_BOMB' } },
+  { type: 'PING', seq: 7, clientTime: 1760000000000 },
+  { type: 'SET_CODEC', codec: 'binary' },
+  { type: 'SET_STATE_MODE', mode: 'delta' },
+  { type: 'REQUEST_FULL_STATE' }
+];
+
+// Server -> client
+const serverMessages = [
+  { type: 'CONNECTED', playerId: 'p1', features: ['timesync', 'delta', 'binary'] },
+  { type: 'USERNAME_SET', username: 'Alice' },
+  { type: 'MAP_LIST', maps: ['classic', 'arena'] },
+  { type: 'LOBBY_LIST', lobbies: [{ id: 'lobby-1', name: 'My Game', playerCount: 2, maxPlayers: 4 }] },
+  { type: 'LOBBY_JOINED', lobbyInfo: lobby },
+  { type: 'PLAYER_JOINED', lobbyInfo: lobby },
+  { type: 'PLAYER_LEFT', lobbyInfo: lobby },
+  { type: 'LOBBY_UPDATED', lobbyInfo: lobby, requestId: 'k1-7' },
+  { type: 'LEFT_LOBBY' },
+  { type: 'GAME_STARTED' },
+  { type: 'GAME_STATE', state: state },
+  { type: 'GAME_STATE', state: { ...state, gameOver: true, winner: { id: 'p1', username: 'Alice' } } },
+  {
+    type: 'GAME_STATE_DELTA',
+    baseTick: 1200,
+    tick: 1201,
+    delta: { tiles: [[2, 1, '.']], players: { updated: [{ id: 'p1', x: 2 }], removed: [] } }
+  },
+  {
+    type: 'GAME_EVENTS',
+    events: [
+      { type: 'EXPLOSION', tiles: [{ x: 3, y: 2 }] },
+      { type: 'UPGRADE_COLLECTED', playerId: 'p1', upgrade: { x: 3, y: 1, type: 'SPEED' } },
+      { type: 'PLAYER_FELL', playerId: 'p2' },
+      { type: 'GAME_OVER', winner: { id: 'p1', username: 'Alice' } }
+    ]
+  },
+  { type: 'BOMB_PLACED', x: 1, y: 1 },
+  { type: 'RETURN_TO_LOBBY', lobbyInfo: lobby },
+  { type: 'KICKED_FROM_LOBBY', message: 'You were kicked' },
+  { type: 'ERROR', message: 'Lobby is full', requestId: 'k1-1' },
+  { type: 'PONG', seq: 7, clientTime: 1760000000000, serverTime: 1760000000042, serverTick: 1200, tickRate: 60 },
+  { type: 'CODEC_SET', codec: 'binary' }
+];
+
+module.exports = { clientMessages, serverMessages, state, player };
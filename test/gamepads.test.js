@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Gamepads } = require('../src/js/gamepads.js');
+const { loadClient } = require('./helpers/client');
+const { state } = require('./fixtures/messages');
+
+// Standard-mapping pad with the given stick position and buttons held
+function pad({ axes = [0, 0], pressed = [] } = {}) {
+  return {
+    id: 'Test pad',
+    connected: true,
+    axes,
+    buttons: Array.from({ length: 17 }, (_, i) => ({ pressed: pressed.includes(i), value: pressed.includes(i) ? 1 : 0 }))
+  };
+}
+
+test('the stick is ignored inside the deadzone and its tilt is rescaled past it', () => {
+  assert.deepStrictEqual(Gamepads.stickDirection(0.2, -0.1), { vx: 0, vy: 0 });
+  assert.deepStrictEqual(Gamepads.stickDirection(1, 0), { vx: 1, vy: 0 });
+  assert.deepStrictEqual(Gamepads.stickDirection(0, -0.65), { vx: 0, vy: -64 / 127 }); // Halfway from deadzone to edge
+  assert.deepStrictEqual(Gamepads.stickDirection(0.9, 0.9), { vx: 90 / 127, vy: 90 / 127 }); // Corners top out at full speed
+});
+
+test('directions snap to eight for menus and servers without analog movement', () => {
+  assert.deepStrictEqual(Gamepads.snapDirection(0, 0), { vx: 0, vy: 0 });
+  assert.deepStrictEqual(Gamepads.snapDirection(0.9, 0.2), { vx: 1, vy: 0 });
+  assert.deepStrictEqual(Gamepads.snapDirection(-0.4, -0.4), { vx: -1, vy: -1 });
+  assert.deepStrictEqual(Gamepads.snapDirection(0.1, 0.5), { vx: 0, vy: 1 });
+});
+
+test('the D-pad moves while the stick is centered', () => {
+  assert.deepStrictEqual(Gamepads.padDirection(pad({ pressed: [12, 14] })), { vx: -1, vy: -1 });
+  assert.deepStrictEqual(Gamepads.padDirection(pad({ axes: [1, 0], pressed: [12] })), { vx: 1, vy: 0 });
+});
+
+// Client with a settable list of plugged-in pads
+async function setup(t, options) {
+  const client = loadClient(options);
+  t.after(() => client.close());
+  await client.ready;
+  
+  let pads = [];
+  client.window.navigator.getGamepads = () => pads;
+  const plug = (...next) => {
+    pads = next;
+    client.window.dispatchEvent(new client.window.Event(next.length ? 'gamepadconnected' : 'gamepaddisconnected'));
+  };
+  // The event's gamepad is only logged
+  client.window.Event.prototype.gamepad = { id: 'Test pad' };
+  return { client, plug, set: (...next) => { pads = next; }, Gamepads: client.get('Gamepads'), Input: client.get('Input') };
+}
+
+const actions = (client, type) => client.socket.sent
+  .filter(m => m.type === 'PLAYER_ACTION' && m.action.type === type)
+  .map(m => m.action);
+
+test('in game the stick moves the player and the chosen button drops bombs', async (t) => {
+  const { client, set, Gamepads, Input } = await setup(t, { localStorage: { bomberman_gamepad_bomb: '2' } });
+  client.connect();
+  client.socket.bufferedAmount = 0; // Moves are held back while the send buffer is full
+  client.socket.receive({ type: 'GAME_STATE', state: JSON.parse(JSON.stringify(state)) });
+  assert.strictEqual(Gamepads.bombButton, 2);
+  
+  set(pad({ axes: [0.8, -0.7], pressed: [0] }));
+  Input.pollInput();
+  const move = actions(client, 'MOVE').pop();
+  assert.deepStrictEqual([move.vx, move.vy], [1, -1]);
+  assert.strictEqual(actions(client, 'PLACE_BOMB').length, 0);
+  
+  set(pad({ pressed: [2] }));
+  Input.pollInput();
+  assert.strictEqual(actions(client, 'PLACE_BOMB').length, 1);
+  set();
+});
+
+test('servers with analog movement get the stick tilt and the player walks slower', async (t) => {
+  const { client, set, Input } = await setup(t);
+  client.connect('Alice', ['analog']);
+  client.socket.bufferedAmount = 0;
+  client.socket.receive({ type: 'GAME_STATE', state: JSON.parse(JSON.stringify(state)) });
+  
+  set(pad({ axes: [0.65, 0] }));
+  Input.pollInput();
+  const move = actions(client, 'MOVE').pop();
+  assert.deepStrictEqual([move.vx, move.vy], [64 / 127, 0]);
+  
+  const player = client.get('Prediction').localPlayer;
+  assert.strictEqual(player.velocityX, player.speed * 64 / 127);
+  set();
+});
+
+test('bomb button settings appear when a pad is plugged in and hide when it is removed', async (t) => {
+  const { client, plug, Gamepads } = await setup(t);
+  const document = client.window.document;
+  const picker = document.querySelector('#lobby-browser-screen .gamepad-picker');
+  assert.strictEqual(picker.hidden, true);
+  
+  plug(pad());
+  assert.strictEqual(picker.hidden, false);
+  assert.strictEqual(document.querySelector('.gamepad-bomb-select').options.length, Gamepads.bombButtons.length);
+  
+  const select = document.querySelector('.gamepad-bomb-select');
+  select.value = '5';
+  select.dispatchEvent(new client.window.Event('change'));
+  assert.strictEqual(client.window.localStorage.getItem('bomberman_gamepad_bomb'), '5');
+  assert.strictEqual(document.querySelector('.gamepad-bomb-name').textContent, 'RB');
+  
+  plug();
+  assert.strictEqual(picker.hidden, true);
+});
+
+test('in menus the D-pad moves focus, repeats when held and A activates', async (t) => {
+  const { client, set, Gamepads } = await setup(t);
+  client.connect();
+  const document = client.window.document;
+  const targets = Gamepads.getFocusable(document.getElementById('lobby-browser-screen'));
+  
+  set(pad({ pressed: [13] }));
+  Gamepads.navigate(Gamepads.poll(), 1000);
+  assert.strictEqual(document.activeElement, targets[0]);
+  Gamepads.navigate(Gamepads.poll(), 1100);
+  assert.strictEqual(document.activeElement, targets[0]);
+  Gamepads.navigate(Gamepads.poll(), 1000 + Gamepads.repeatDelay);
+  assert.strictEqual(document.activeElement, targets[1]);
+  
+  // Content of the closed profile editor is skipped
+  assert.ok(targets.some(el => el.tagName === 'SUMMARY'));
+  assert.ok(!targets.some(el => el.classList.contains('profile-color')));
+  
+  document.getElementById('refresh-lobbies-btn').focus();
+  const before = client.socket.sent.filter(m => m.type === 'GET_LOBBIES').length;
+  set(pad({ pressed: [0] }));
+  Gamepads.navigate(Gamepads.poll(), 2000);
+  Gamepads.navigate(Gamepads.poll(), 2100); // Still held - no second click
+  assert.strictEqual(client.socket.sent.filter(m => m.type === 'GET_LOBBIES').length, before + 1);
+  set();
+});
+
+test('left and right change selects, and B closes the create-game dialog', async (t) => {
+  const { client, set, Gamepads } = await setup(t);
+  client.connect();
+  const document = client.window.document;
+  const palette = document.querySelector('#lobby-browser-screen .palette-select');
+  
+  palette.focus();
+  set(pad({ pressed: [15] }));
+  Gamepads.navigate(Gamepads.poll(), 1000);
+  assert.strictEqual(client.get('Palettes').current.id, 'deuteranopia');
+  assert.strictEqual(document.activeElement, palette);
+  
+  document.getElementById('create-lobby-btn').click();
+  set(pad({ pressed: [1] }));
+  Gamepads.navigate(Gamepads.poll(), 2000);
+  assert.ok(!document.getElementById('create-lobby-modal').classList.contains('active'));
+  set();
+});
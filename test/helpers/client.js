@@ -0,0 +1,129 @@
+// Loads the browser client (every script in index.html, in order) into a jsdom window.
+// WebSocket, canvas and fetch are replaced with fakes so tests can drive the client directly.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const SRC = path.join(__dirname, '..', '..', 'src');
+
+// Records everything the client sends; tests push server messages with receive()
+class FakeWebSocket {
+  constructor(url) {
+    this.url = url;
+    this.readyState = FakeWebSocket.CONNECTING;
+    this.sent = [];
+    FakeWebSocket.instances.push(this);
+  }
+  
+  send(data) {
+    this.sent.push(typeof data === 'string' ? JSON.parse(data) : data);
+  }
+  
+  close() {
+    if (this.readyState === FakeWebSocket.CLOSED) return;
+    this.readyState = FakeWebSocket.CLOSED;
+    if (this.onclose) this.onclose({});
+  }
+  
+  open() {
+    this.readyState = FakeWebSocket.OPEN;
+    if (this.onopen) this.onopen({});
+  }
+  
+  receive(message) {
+    this.onmessage({ data: JSON.stringify(message) });
+  }
+}
+FakeWebSocket.CONNECTING = 0;
+FakeWebSocket.OPEN = 1;
+FakeWebSocket.CLOSING = 2;
+FakeWebSocket.CLOSED = 3;
+
+// 2D context that accepts any call or property
+function stubContext() {
+  const target = { measureText: () => ({ width: 0 }) };
+  const proxy = new Proxy(target, {
+    get: (obj, prop) => (prop in obj ? obj[prop] : () => proxy),
+    set: (obj, prop, value) => {
+      obj[prop] = value;
+      return true;
+    }
+  });
+  return proxy;
+}
+
+function loadClient(options = {}) {
+  const html = fs.readFileSync(path.join(SRC, 'index.html'), 'utf8');
+  const errors = [];
+  const alerts = [];
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on('error', (...args) => errors.push(args.join(' ')));
+  virtualConsole.on('jsdomError', (e) => errors.push(e.message));
+  
+  const dom = new JSDOM(html, {
+    url: options.url || 'http://localhost/',
+    runScripts: 'outside-only',
+    pretendToBeVisual: true,
+    virtualConsole
+  });
+  const { window } = dom;
+  
+  FakeWebSocket.instances = [];
+  window.WebSocket = FakeWebSocket;
+  window.HTMLCanvasElement.prototype.getContext = function () {
+    this.context = this.context || stubContext();
+    return this.context;
+  };
+  window.fetch = () => Promise.resolve({ ok: false });
+  window.alert = (message) => alerts.push(message);
+  window.confirm = () => true;
+  for (const [key, value] of Object.entries(options.localStorage || {})) {
+    window.localStorage.setItem(key, value);
+  }
+  
+  // Run as classic scripts (not eval) so top-level consts are shared like <script> tags
+  const context = dom.getInternalVMContext();
+  const scripts = [...html.matchAll(/<script src="([^"]+)"><\/script>/g)].map(m => m[1]);
+  for (const script of scripts) {
+    const file = path.join(SRC, script);
+    new vm.Script(fs.readFileSync(file, 'utf8'), { filename: file }).runInContext(context);
+  }
+  
+  // Page scripts defer their startup (UI.init, theme loading, ...) to DOMContentLoaded
+  const ready = new Promise(resolve => {
+    if (window.document.readyState === 'loading') {
+      window.document.addEventListener('DOMContentLoaded', () => resolve());
+    } else {
+      resolve();
+    }
+  });
+  
+  return {
+    window,
+    errors,
+    alerts,
+    ready,
+    // Top-level consts (client, Prediction, UI, ...) aren't window properties
+    get: name => window.eval(name),
+    get socket() {
+      return FakeWebSocket.instances[FakeWebSocket.instances.length - 1];
+    },
+    activeScreen: () => window.document.querySelector('.screen.active').id,
+    // Connect and complete the CONNECTED / USERNAME_SET handshake
+    connect(username = 'Alice', features = []) {
+      window.eval('client').connect(username);
+      this.socket.open();
+      this.socket.receive({ type: 'CONNECTED', playerId: 'p1', features });
+      this.socket.receive({ type: 'USERNAME_SET', username });
+    },
+    // Let pending callbacks (e.g. the server config load) finish before tearing down
+    close: () => new Promise(resolve => setTimeout(() => {
+      window.close();
+      resolve();
+    }))
+  };
+}
+
+module.exports = { loadClient, FakeWebSocket };
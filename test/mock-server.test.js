@@ -0,0 +1,284 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const WebSocket = require('ws');
+const { Codec } = require('../src/js/codec.js');
+const { Protocol } = require('../src/js/protocol.js');
+const { MockGame } = require('../mock-server/game.js');
+const { Match } = require('../mock-server/match.js');
+const { maps, loadMap } = require('../mock-server/maps.js');
+const { diffState } = require('../mock-server/delta.js');
+const { createMockServer } = require('../mock-server/server.js');
+
+// Fake transport that records decoded messages
+function connectClient(game) {
+  const client = { inbox: [], closed: false };
+  client.conn = game.connect({
+    send: data => client.inbox.push(Codec.decode(data)),
+    close: () => { client.closed = true; }
+  });
+  client.send = message => game.receive(client.conn, Codec.json.encode(message));
+  client.last = type => [...client.inbox].reverse().find(m => m.type === type);
+  return client;
+}
+
+function lobbyWithTwoPlayers(options = {}) {
+  const game = new MockGame({ now: () => 0, ...options });
+  const host = connectClient(game);
+  const guest = connectClient(game);
+  host.send({ type: 'SET_USERNAME', username: 'Alice' });
+  guest.send({ type: 'SET_USERNAME', username: 'Bob' });
+  host.send({ type: 'CREATE_LOBBY', lobbyName: 'Test', mapName: 'arena', requestId: 'r1' });
+  const lobbyId = host.last('LOBBY_JOINED').lobbyInfo.id;
+  guest.send({ type: 'JOIN_LOBBY', lobbyId });
+  return { game, host, guest, lobbyId };
+}
+
+test('every map is rectangular with four spawns', () => {
+  for (const name of Object.keys(maps)) {
+    const rows = maps[name];
+    assert.ok(rows.every(row => row.length === rows[0].length), name);
+    assert.strictEqual(loadMap(name).spawns.length, 4, name);
+  }
+});
+
+test('greets with CONNECTED and the configured features', () => {
+  const game = new MockGame({ features: ['timesync'] });
+  const client = connectClient(game);
+  assert.deepStrictEqual(client.inbox[0], {
+    type: 'CONNECTED',
+    playerId: client.conn.id,
+    features: ['timesync'],
+    protocolVersion: Protocol.VERSION
+  });
+});
+
+test('runs the lobby flow and echoes request ids', () => {
+  const { host, guest } = lobbyWithTwoPlayers();
+  
+  assert.strictEqual(host.last('LOBBY_JOINED').requestId, 'r1');
+  assert.strictEqual(host.last('PLAYER_JOINED').lobbyInfo.playerCount, 2);
+  assert.strictEqual(guest.last('LOBBY_JOINED').lobbyInfo.hostId, host.conn.id);
+  
+  host.send({ type: 'START_GAME', requestId: 'r2' });
+  assert.strictEqual(host.last('ERROR').message, 'All players must be ready');
+  assert.strictEqual(host.last('ERROR').requestId, 'r2');
+  
+  guest.send({ type: 'SET_READY', ready: true, requestId: 'r3' });
+  assert.strictEqual(guest.last('LOBBY_UPDATED').requestId, 'r3');
+  assert.strictEqual(host.last('LOBBY_UPDATED').requestId, undefined);
+  
+  host.send({ type: 'START_GAME', requestId: 'r4' });
+  assert.strictEqual(host.last('GAME_STARTED').requestId, 'r4');
+  assert.strictEqual(guest.last('GAME_STATE').state.players.length, 2);
+});
+
+test('lobby players keep their color slot, and newcomers take the lowest free one', () => {
+  const { game, host, guest, lobbyId } = lobbyWithTwoPlayers();
+  const third = connectClient(game);
+  third.send({ type: 'SET_USERNAME', username: 'Carol' });
+  third.send({ type: 'JOIN_LOBBY', lobbyId });
+  const slots = () => Object.fromEntries(host.last('PLAYER_JOINED').lobbyInfo.players.map(p => [p.username, p.colorSlot]));
+  assert.deepStrictEqual(slots(), { Alice: 0, Bob: 1, Carol: 2 });
+  
+  guest.send({ type: 'LEAVE_LOBBY' });
+  const left = host.last('PLAYER_LEFT').lobbyInfo.players.map(p => [p.username, p.colorSlot]);
+  assert.deepStrictEqual(left, [['Alice', 0], ['Carol', 2]]);
+  
+  const fourth = connectClient(game);
+  fourth.send({ type: 'SET_USERNAME', username: 'Dan' });
+  fourth.send({ type: 'JOIN_LOBBY', lobbyId });
+  assert.strictEqual(fourth.last('LOBBY_JOINED').lobbyInfo.players.find(p => p.username === 'Dan').colorSlot, 1);
+});
+
+test('profiles reach lobby mates when joining and when edited', () => {
+  const game = new MockGame({ now: () => 0 });
+  const host = connectClient(game);
+  const guest = connectClient(game);
+  host.send({ type: 'SET_USERNAME', username: 'Alice', profile: { accessory: 'crown', nameTag: 'badge', extra: 1 } });
+  guest.send({ type: 'SET_USERNAME', username: 'Bob' });
+  host.send({ type: 'CREATE_LOBBY', lobbyName: 'Test', mapName: 'arena' });
+  guest.send({ type: 'JOIN_LOBBY', lobbyId: host.last('LOBBY_JOINED').lobbyInfo.id });
+  
+  const alice = guest.last('LOBBY_JOINED').lobbyInfo.players.find(p => p.username === 'Alice');
+  assert.deepStrictEqual(alice.profile, { accessory: 'crown', nameTag: 'badge' });
+  
+  guest.send({ type: 'SET_PROFILE', profile: { color: '#3498db' }, requestId: 'r2' });
+  const bob = host.last('LOBBY_UPDATED').lobbyInfo.players.find(p => p.username === 'Bob');
+  assert.deepStrictEqual(bob.profile, { color: '#3498db' });
+  assert.strictEqual(guest.last('LOBBY_UPDATED').requestId, 'r2');
+});
+
+test('only the host can change lobby settings', () => {
+  const { host, guest } = lobbyWithTwoPlayers();
+  
+  guest.send({ type: 'UPDATE_SETTINGS', settings: { bombTimer: 2000 } });
+  assert.strictEqual(guest.last('ERROR').message, 'Only the host can do that');
+  
+  host.send({ type: 'UPDATE_SETTINGS', settings: { bombTimer: 50, explosionRange: 4 } });
+  const settings = guest.last('LOBBY_UPDATED').lobbyInfo.settings;
+  assert.strictEqual(settings.bombTimer, 1000); // Clamped
+  assert.strictEqual(settings.explosionRange, 4);
+});
+
+test('kicked players are told and removed', () => {
+  const { host, guest } = lobbyWithTwoPlayers();
+  host.send({ type: 'KICK_PLAYER', playerId: guest.conn.id, requestId: 'r5' });
+  
+  assert.ok(guest.last('KICKED_FROM_LOBBY'));
+  assert.strictEqual(host.last('PLAYER_LEFT').requestId, 'r5');
+  assert.strictEqual(host.last('PLAYER_LEFT').lobbyInfo.playerCount, 1);
+});
+
+test('failed joins mention joining so the client clears its session', () => {
+  const game = new MockGame();
+  const client = connectClient(game);
+  client.send({ type: 'JOIN_LOBBY', lobbyId: 'lobby-404' });
+  assert.match(client.last('ERROR').message, /join/i);
+});
+
+test('every message it sends passes client validation', () => {
+  const { game, host, guest } = lobbyWithTwoPlayers({ features: ['timesync', 'delta'] });
+  guest.send({ type: 'SET_STATE_MODE', mode: 'delta' });
+  guest.send({ type: 'SET_READY', ready: true });
+  host.send({ type: 'PING', seq: 1, clientTime: 5 });
+  host.send({ type: 'START_GAME' });
+  
+  const lobby = [...game.lobbies.values()][0];
+  lobby.match.handleAction(host.conn.id, { type: 'PLACE_BOMB' });
+  for (let i = 0; i < 10; i++) {
+    lobby.match.step();
+    game.sendState(lobby);
+  }
+  
+  assert.ok(guest.last('GAME_STATE_DELTA'));
+  for (const message of [...host.inbox, ...guest.inbox]) {
+    const result = Protocol.validate(message);
+    assert.deepStrictEqual(result.errors, [], message.type);
+    assert.deepStrictEqual(result.unknownFields, [], message.type);
+  }
+  game.close();
+});
+
+test('legacy mode sends lobby instead of lobbyInfo and no request ids', () => {
+  const game = new MockGame({ legacyLobbyField: true, echoRequestIds: false, features: [] });
+  const client = connectClient(game);
+  client.send({ type: 'CREATE_LOBBY', lobbyName: 'Old', mapName: 'classic', requestId: 'r1' });
+  
+  const joined = client.last('LOBBY_JOINED');
+  assert.ok(joined.lobby);
+  assert.strictEqual(joined.lobbyInfo, undefined);
+  assert.strictEqual(joined.requestId, undefined);
+});
+
+test('switches codec after confirming in the old one', () => {
+  const game = new MockGame();
+  const frames = [];
+  const conn = game.connect({ send: data => frames.push(data), close() {} });
+  game.receive(conn, JSON.stringify({ type: 'SET_CODEC', codec: 'binary' }));
+  game.receive(conn, JSON.stringify({ type: 'GET_MAPS' }));
+  
+  assert.strictEqual(typeof frames[1], 'string');
+  assert.deepStrictEqual(JSON.parse(frames[1]), { type: 'CODEC_SET', codec: 'binary' });
+  assert.ok(frames[2] instanceof ArrayBuffer);
+  assert.strictEqual(Codec.decode(frames[2]).type, 'MAP_LIST');
+});
+
+// Match rules
+
+function soloMatch(rows, settings = {}) {
+  maps.test = rows;
+  const match = new Match({
+    mapName: 'test',
+    settings: { playerSpeed: 3, bombCount: 1, explosionRange: 2, bombTimer: 100, upgradeSpawnChance: 0, ...settings },
+    players: [{ id: 'a', username: 'Alice' }, { id: 'b', username: 'Bob' }]
+  }, { now: () => match.tick * 1000 / 60, random: () => 0 });
+  delete maps.test;
+  return match;
+}
+
+test('walls stop movement', () => {
+  const match = soloMatch(['#####', '#S..#', '#S..#', '#####']);
+  match.handleAction('a', { type: 'MOVE', vx: -1, vy: 0, clientTick: 7 });
+  for (let i = 0; i < 30; i++) match.step();
+  
+  const player = match.getPlayer('a');
+  assert.ok(player.x >= 1.35 && player.x < 1.5);
+  assert.strictEqual(player.lastInputTick, 37); // The MOVE's tick plus every tick simulated since
+});
+
+test('analog moves scale the speed, and out of range axes are clamped', () => {
+  const match = soloMatch(['########', '#S.....#', '#S.....#', '########']);
+  match.handleAction('a', { type: 'MOVE', vx: 0.5, vy: 0 });
+  match.handleAction('b', { type: 'MOVE', vx: 5, vy: 'fast' });
+  for (let i = 0; i < 30; i++) match.step();
+  
+  assert.ok(Math.abs(match.getPlayer('a').x - 2.25) < 1e-9); // Half of 3 tiles/s for half a second
+  assert.ok(Math.abs(match.getPlayer('b').x - 3) < 1e-9);
+  assert.strictEqual(match.getPlayer('b').y, 2.5);
+});
+
+test('bombs break boxes and kill players in range', () => {
+  const match = soloMatch(['######', '#S.X.#', '#....#', '#...S#', '######']);
+  match.handleAction('a', { type: 'PLACE_BOMB' });
+  match.handleAction('b', { type: 'MOVE', vx: 0, vy: 0 });
+  assert.strictEqual(match.getPlayer('a').activeBombs, 1);
+  
+  for (let i = 0; i < 10; i++) match.step();
+  
+  assert.strictEqual(match.getTile(3, 1), '.');
+  assert.strictEqual(match.getPlayer('a').alive, false);
+  assert.strictEqual(match.gameOver, true);
+  assert.deepStrictEqual(match.winner, { id: 'b', username: 'Bob' });
+  assert.deepStrictEqual(match.drainEvents().map(e => e.type), ['EXPLOSION', 'GAME_OVER']);
+});
+
+test('players fall into holes and collect upgrades', () => {
+  const match = soloMatch(['######', '#S.O.#', '#....#', '#S...#', '######']);
+  match.map.upgrades.push({ x: 1, y: 2, type: 'SPEED' });
+  match.handleAction('a', { type: 'MOVE', vx: 1, vy: 0 });
+  match.handleAction('b', { type: 'MOVE', vx: 0, vy: -1 });
+  for (let i = 0; i < 60 && !match.gameOver; i++) match.step();
+  
+  const events = match.drainEvents();
+  assert.ok(events.some(e => e.type === 'PLAYER_FELL' && e.playerId === 'a'));
+  assert.ok(events.some(e => e.type === 'UPGRADE_COLLECTED' && e.playerId === 'b'));
+  assert.strictEqual(match.getPlayer('b').speed, 3.5);
+});
+
+test('diffState reports only what changed', () => {
+  const match = soloMatch(['######', '#S.X.#', '#....#', '#...S#', '######']);
+  const before = match.getState();
+  match.handleAction('a', { type: 'PLACE_BOMB' });
+  match.step();
+  const delta = diffState(before, match.getState());
+  
+  assert.deepStrictEqual(delta.bombs, { added: [match.getState().bombs[0]], removed: [] });
+  assert.deepStrictEqual(delta.players.updated, [{ id: 'a', activeBombs: 1 }]);
+  assert.strictEqual(delta.tiles, undefined);
+});
+
+test('serves the protocol over WebSocket', async () => {
+  const server = await createMockServer({ port: 0 });
+  const socket = new WebSocket(`ws://localhost:${server.port}/ws`);
+  const first = await new Promise((resolve, reject) => {
+    socket.once('message', data => resolve(JSON.parse(data.toString())));
+    socket.once('error', reject);
+  });
+  socket.close();
+  await server.close();
+  
+  assert.strictEqual(first.type, 'CONNECTED');
+});
+
+test('serves the client but nothing outside src/', async () => {
+  const server = await createMockServer({ port: 0 });
+  const get = async (urlPath) => (await fetch(`http://localhost:${server.port}${urlPath}`)).status;
+  try {
+    assert.strictEqual(await get('/'), 200);
+    assert.strictEqual(await get('/js/main.js'), 200);
+    assert.strictEqual(await get('/%2e%2e%2fpackage.json'), 403);
+    assert.strictEqual(await get('/%2e%2e%2fsrc-old%2fmain.js'), 403); // Sibling that shares the prefix
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { NetSim } = require('../src/js/netsim.js');
+
+// Fake clock and timer queue so deliveries can be stepped through deterministically
+function setup(config, randoms = []) {
+  const timers = [];
+  let time = 0;
+  let r = 0;
+  
+  NetSim.enabled = true;
+  NetSim.config = { latency: 0, jitter: 0, loss: 0, reorder: 0, ...config };
+  NetSim.lastDelivery = { out: 0, in: 0 };
+  NetSim.stats = { sent: 0, received: 0, dropped: 0, reordered: 0, pending: 0 };
+  NetSim.now = () => time;
+  NetSim.schedule = (fn, ms) => timers.push({ fn, at: time + ms });
+  NetSim.random = () => (r < randoms.length ? randoms[r++] : 0.5);
+  
+  return {
+    advance(ms) {
+      time += ms;
+      timers.filter(t => t.at <= time).sort((a, b) => a.at - b.at).forEach(t => {
+        timers.splice(timers.indexOf(t), 1);
+        t.fn();
+      });
+    }
+  };
+}
+
+test('delivers immediately when disabled', () => {
+  setup({ latency: 100 });
+  NetSim.enabled = false;
+  let delivered = false;
+  NetSim.outgoing(() => { delivered = true; });
+  assert.strictEqual(delivered, true);
+});
+
+test('delays by latency plus jitter', () => {
+  // loss roll, jitter roll (0.5 * 40 = 20ms), reorder roll
+  const clock = setup({ latency: 100, jitter: 40 }, [0.9, 0.5, 0.9]);
+  let delivered = false;
+  NetSim.incoming(() => { delivered = true; });
+  
+  clock.advance(119);
+  assert.strictEqual(delivered, false);
+  clock.advance(1);
+  assert.strictEqual(delivered, true);
+  assert.strictEqual(NetSim.stats.received, 1);
+});
+
+test('keeps order unless a message is picked for reordering', () => {
+  // First message gets the full jitter, second none - in order it still waits for the first
+  const clock = setup({ latency: 50, jitter: 100 }, [0.9, 1, 0.9, 0.9, 0, 0.9]);
+  const order = [];
+  NetSim.outgoing(() => order.push(1));
+  NetSim.outgoing(() => order.push(2));
+  clock.advance(200);
+  assert.deepStrictEqual(order, [1, 2]);
+  
+  // Same delays, but the second message may overtake
+  const clock2 = setup({ latency: 50, jitter: 100, reorder: 0.5 }, [0.9, 1, 0.9, 0.9, 0, 0.1]);
+  const order2 = [];
+  NetSim.outgoing(() => order2.push(1));
+  NetSim.outgoing(() => order2.push(2));
+  clock2.advance(200);
+  assert.deepStrictEqual(order2, [2, 1]);
+  assert.strictEqual(NetSim.stats.reordered, 1);
+});
+
+test('drops messages at the configured loss rate', () => {
+  const clock = setup({ loss: 0.5 }, [0.1, 0.9, 0, 0.9]);
+  let delivered = 0;
+  NetSim.outgoing(() => delivered++);
+  NetSim.outgoing(() => delivered++);
+  clock.advance(10);
+  assert.strictEqual(delivered, 1);
+  assert.strictEqual(NetSim.stats.dropped, 1);
+});
+
+test('reads conditions from URL flags', () => {
+  NetSim.enabled = false;
+  NetSim.load('?latency=120&jitter=30&loss=2&reorder=150');
+  assert.strictEqual(NetSim.enabled, true);
+  assert.strictEqual(NetSim.showPanel, true);
+  assert.deepStrictEqual(NetSim.config, { latency: 120, jitter: 30, loss: 0.02, reorder: 1 });
+  
+  NetSim.enabled = false;
+  NetSim.load('?netsim');
+  assert.strictEqual(NetSim.enabled, false);
+  assert.strictEqual(NetSim.showPanel, true);
+});
@@ -0,0 +1,170 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Outbox } = require('../src/js/outbox.js');
+const { loadClient } = require('./helpers/client');
+
+function setup(t) {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  Outbox.entries.clear();
+  Outbox.pendingMove = null;
+  Outbox.reset();
+}
+
+const ready = { type: 'SET_READY', ready: true };
+
+test('reliable commands get a requestId and wait in the queue', (t) => {
+  setup(t);
+  const entry = Outbox.track(ready);
+  
+  assert.strictEqual(entry.message.requestId, entry.requestId);
+  assert.strictEqual(entry.status, 'queued');
+  assert.deepStrictEqual(Outbox.getQueued(), [entry]);
+  assert.ok(Outbox.isReliable(ready));
+  assert.ok(!Outbox.isReliable({ type: 'GET_LOBBIES' }));
+});
+
+test('only the latest unsent MOVE is kept', (t) => {
+  setup(t);
+  const move = (vx) => ({ type: 'PLAYER_ACTION', action: { type: 'MOVE', vx, vy: 0 } });
+  assert.ok(Outbox.isMove(move(1)));
+  
+  Outbox.coalesceMove(move(1));
+  Outbox.coalesceMove(move(-1));
+  assert.strictEqual(Outbox.takeMove().action.vx, -1);
+  assert.strictEqual(Outbox.takeMove(), null);
+});
+
+test('an echoed requestId acks the command and an ERROR fails it', (t) => {
+  setup(t);
+  const acked = Outbox.track(ready);
+  const rejected = Outbox.track({ type: 'START_GAME' });
+  Outbox.markSent(acked.requestId);
+  Outbox.markSent(rejected.requestId);
+  
+  Outbox.resolve({ type: 'LOBBY_UPDATED', requestId: acked.requestId });
+  Outbox.resolve({ type: 'ERROR', message: 'All players must be ready', requestId: rejected.requestId });
+  
+  assert.ok(!Outbox.entries.has(acked.requestId));
+  assert.strictEqual(rejected.status, 'failed');
+  assert.strictEqual(rejected.error, 'All players must be ready');
+});
+
+test('unconfirmed commands time out only on servers that ack', (t) => {
+  setup(t);
+  const silent = Outbox.track(ready);
+  Outbox.markSent(silent.requestId);
+  t.mock.timers.tick(Outbox.ackTimeout);
+  assert.ok(!Outbox.entries.has(silent.requestId)); // Assumed delivered
+  
+  Outbox.resolve({ type: 'USERNAME_SET', requestId: 'other' });
+  const lost = Outbox.track(ready);
+  Outbox.markSent(lost.requestId);
+  t.mock.timers.tick(Outbox.ackTimeout);
+  assert.strictEqual(lost.status, 'failed');
+  
+  // A new connection has to show acks again
+  Outbox.reset();
+  const next = Outbox.track(ready);
+  Outbox.markSent(next.requestId);
+  t.mock.timers.tick(Outbox.ackTimeout);
+  assert.ok(!Outbox.entries.has(next.requestId));
+});
+
+test('commands in flight when the connection drops are queued again', (t) => {
+  setup(t);
+  Outbox.resolve({ type: 'USERNAME_SET', requestId: 'other' });
+  const entry = Outbox.track(ready);
+  Outbox.markSent(entry.requestId);
+  Outbox.coalesceMove({ type: 'PLAYER_ACTION', action: { type: 'MOVE', vx: 1, vy: 0 } });
+  
+  Outbox.requeueInFlight();
+  assert.strictEqual(entry.status, 'queued');
+  assert.strictEqual(Outbox.pendingMove, null);
+  
+  // The old ack timer no longer applies
+  t.mock.timers.tick(Outbox.ackTimeout);
+  assert.strictEqual(entry.status, 'queued');
+});
+
+test('without acks, commands in flight when the connection drops count as delivered', (t) => {
+  setup(t);
+  const sent = Outbox.track(ready);
+  Outbox.markSent(sent.requestId);
+  const queued = Outbox.track({ type: 'START_GAME' });
+  
+  Outbox.requeueInFlight();
+  assert.ok(!Outbox.entries.has(sent.requestId));
+  assert.deepStrictEqual(Outbox.getQueued(), [queued]);
+});
+
+test('the oldest queued command fails past the queue limit', (t) => {
+  setup(t);
+  const first = Outbox.track(ready);
+  for (let i = 0; i < Outbox.maxQueued; i++) Outbox.track(ready);
+  assert.strictEqual(first.status, 'failed');
+  assert.strictEqual(Outbox.getQueued().length, Outbox.maxQueued);
+});
+
+// Wiring into the client
+
+const lobby = {
+  id: 'lobby-1', name: 'My Game', hostId: 'p1', mapName: 'classic', playerCount: 1, maxPlayers: 4,
+  players: [{ id: 'p1', username: 'Alice', ready: false }]
+};
+
+test('commands sent offline or during a drop are delivered after rejoining', (t) => {
+  const client = loadClient();
+  t.after(() => client.close());
+  const game = client.get('client');
+  client.connect();
+  client.socket.receive({ type: 'LOBBY_JOINED', lobbyInfo: lobby, requestId: 'k0-1' }); // This server acks
+  
+  game.setReady(true);
+  const before = client.socket;
+  before.close();
+  game.send({ type: 'START_GAME' }); // While offline
+  assert.ok(!before.sent.some(m => m.type === 'START_GAME'));
+  
+  client.connect();
+  assert.ok(client.socket.sent.some(m => m.type === 'JOIN_LOBBY'));
+  client.socket.receive({ type: 'LOBBY_JOINED', lobbyInfo: lobby });
+  
+  const delivered = client.socket.sent.filter(m => m.requestId).map(m => m.type);
+  assert.deepStrictEqual(delivered, ['SET_READY', 'START_GAME']);
+  assert.strictEqual(client.get('Outbox').getEntries().every(e => e.status === 'sent'), true);
+});
+
+test('commands a server without acks already got are not repeated after a drop', (t) => {
+  const client = loadClient();
+  t.after(() => client.close());
+  client.connect();
+  client.socket.receive({ type: 'LOBBY_JOINED', lobbyInfo: lobby });
+  
+  client.get('client').send({ type: 'START_GAME' });
+  client.socket.close();
+  client.connect();
+  client.socket.receive({ type: 'LOBBY_JOINED', lobbyInfo: lobby });
+  
+  assert.ok(!client.socket.sent.some(m => m.type === 'START_GAME'));
+  assert.strictEqual(client.get('Outbox').getEntries().length, 0);
+});
+
+test('rejected commands show the server error as text', async (t) => {
+  const client = loadClient();
+  t.after(() => client.close());
+  await client.ready;
+  client.connect();
+  client.socket.receive({ type: 'LOBBY_JOINED', lobbyInfo: lobby });
+  
+  client.get('client').send({ type: 'CHANGE_MAP', mapName: '<img src=x>' });
+  const { requestId } = client.socket.sent.find(m => m.type === 'CHANGE_MAP');
+  client.socket.receive({ type: 'ERROR', message: 'Unknown map: <img src=x>', requestId });
+  
+  const tray = client.window.document.getElementById('outbox-status');
+  assert.strictEqual(tray.querySelector('img'), null);
+  assert.strictEqual(tray.querySelector('span').textContent, '⚠️ Change map failed: Unknown map: <img src=x>');
+  assert.strictEqual(tray.querySelectorAll('button').length, 2);
+  
+  tray.querySelector('.dismiss').click();
+  assert.strictEqual(tray.children.length, 0);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Palettes } = require('../src/js/palettes.js');
+const { loadClient } = require('./helpers/client');
+
+const themeColors = ['#3498db', '#2ecc71', '#9b59b6', '#f1c40f'];
+
+test('the default palette uses the theme colors, then generates more', () => {
+  Palettes.current = Palettes.find('default');
+  
+  assert.strictEqual(Palettes.getStyle(0, themeColors).color, '#3498db');
+  assert.strictEqual(Palettes.getStyle(3, themeColors).color, '#f1c40f');
+  assert.match(Palettes.getStyle(4, themeColors).color, /^hsl\(/);
+});
+
+test('colors stay unique for any lobby size in every palette', () => {
+  for (const palette of Palettes.list) {
+    Palettes.current = palette;
+    const colors = Array.from({ length: 64 }, (_, slot) => Palettes.getStyle(slot, themeColors).color);
+    assert.strictEqual(new Set(colors).size, colors.length, palette.id);
+  }
+});
+
+test('neighbouring slots get different marker shapes', () => {
+  Palettes.current = Palettes.find('deuteranopia');
+  const markers = Array.from({ length: Palettes.markers.length }, (_, slot) => Palettes.getStyle(slot).marker);
+  assert.deepStrictEqual(markers, Palettes.markers);
+  assert.strictEqual(Palettes.getStyle(0).color, '#0072B2');
+});
+
+test('every marker shape draws a filled, outlined path', () => {
+  for (const marker of Palettes.markers) {
+    const calls = [];
+    const ctx = new Proxy({}, {
+      get: (target, name) => name in target ? target[name] : (...args) => calls.push(name),
+      set: (target, name, value) => { target[name] = value; return true; }
+    });
+    Palettes.drawMarker(ctx, marker, 20, 20, 10, '#0072B2');
+    assert.deepStrictEqual(calls.slice(-2), ['fill', 'stroke'], marker);
+    assert.strictEqual(ctx.fillStyle, '#0072B2');
+  }
+});
+
+test('the chosen palette is saved and used by the renderer', async (t) => {
+  const client = loadClient({ localStorage: { bomberman_palette: 'tritanopia' } });
+  t.after(() => client.close());
+  await client.ready;
+  const Renderer = client.get('Renderer');
+  const selects = client.window.document.querySelectorAll('.palette-select');
+  
+  assert.strictEqual(selects.length, 2);
+  assert.ok([...selects].every(select => select.value === 'tritanopia'));
+  assert.strictEqual(Renderer.getPlayerStyle('p1').color, '#D81B60');
+  
+  selects[1].value = 'high-contrast';
+  selects[1].dispatchEvent(new client.window.Event('change'));
+  assert.strictEqual(selects[0].value, 'high-contrast');
+  assert.strictEqual(Renderer.getPlayerStyle('p2').color, '#0000FF');
+  assert.strictEqual(client.window.localStorage.getItem('bomberman_palette'), 'high-contrast');
+});
@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Particles } = require('../src/js/particles.js');
+const { loadClient } = require('./helpers/client');
+const { state } = require('./fixtures/messages');
+
+const explosion = {
+  originX: 3,
+  originY: 2,
+  timestamp: 1000,
+  propagationDelay: 20,
+  tiles: [{ x: 3, y: 2, distance: 0 }, { x: 3, y: 1, distance: 1 }, { x: 3, y: 0, distance: 2 }]
+};
+
+function setup() {
+  Particles.clear();
+  Particles.now = () => 1000;
+  Particles.random = () => 0.5;
+}
+
+test('explosion sparks are scheduled along the ray as it spreads', () => {
+  setup();
+  Particles.explosion(explosion, 1000);
+  
+  const born = [...new Set(Particles.particles.filter(p => p.kind === 'spark').map(p => p.born))];
+  assert.deepStrictEqual(born, [1000, 1020, 1040]);
+  assert.strictEqual(Particles.particles.filter(p => p.kind === 'smoke').length, 3);
+  assert.deepStrictEqual(Particles.scorches.map(s => [s.x, s.y]), [[3, 2], [3, 1], [3, 0]]);
+});
+
+test('a tile keeps one scorch mark, refreshed by the latest blast', () => {
+  setup();
+  Particles.explosion(explosion, 1000);
+  Particles.explosion(explosion, 3000);
+  
+  assert.strictEqual(Particles.scorches.length, 3);
+  assert.ok(Particles.scorches.every(s => s.born >= 3000));
+});
+
+test('expired particles and scorch marks are pruned', () => {
+  setup();
+  Particles.explosion(explosion, 1000);
+  Particles.burst(1, 1, '#0f0');
+  
+  Particles.prune(3000);
+  assert.strictEqual(Particles.particles.length, 0);
+  assert.strictEqual(Particles.scorches.length, 3);
+  
+  Particles.prune(1000 + Particles.scorchLife + 100);
+  assert.strictEqual(Particles.scorches.length, 0);
+});
+
+test('particle counts are capped, dropping the oldest', () => {
+  setup();
+  for (let i = 0; i < 100; i++) Particles.debris(i, 0, '#8b6f47');
+  
+  assert.strictEqual(Particles.particles.length, Particles.maxParticles);
+  assert.strictEqual(Particles.particles[Particles.particles.length - 1].x, 99.5);
+});
+
+test('debris is tossed up and falls back', () => {
+  setup();
+  Particles.debris(2, 2, '#8b6f47');
+  const piece = Particles.particles[0];
+  
+  assert.ok(Particles.positionAt(piece, 200).y < 2.5);
+  assert.ok(Particles.positionAt(piece, 1000).y > 2.5);
+});
+
+// Wiring into the client
+
+function game(t) {
+  const client = loadClient();
+  t.after(() => client.close());
+  client.connect();
+  return { client, Particles: client.get('Particles'), Renderer: client.get('Renderer') };
+}
+
+function gameState(overrides = {}) {
+  return JSON.parse(JSON.stringify({ ...state, bombs: [], ...overrides }));
+}
+
+test('new explosions emit effects once', (t) => {
+  const { client, Particles } = game(t);
+  client.socket.receive({ type: 'GAME_STATE', state: gameState() });
+  const count = Particles.particles.length;
+  assert.strictEqual(count, 8); // Two blast tiles: 3 sparks + 1 smoke each
+  
+  client.socket.receive({ type: 'GAME_STATE', state: gameState({ tick: 1201 }) });
+  assert.strictEqual(Particles.particles.length, count);
+});
+
+test('a broken box throws debris', (t) => {
+  const { Particles, Renderer } = game(t);
+  const current = gameState({ explosions: [] });
+  Renderer.init(current.map.width, current.map.height);
+  Renderer.render(current, 'p1');
+  assert.strictEqual(Particles.particles.length, 0);
+  
+  current.map.tiles[1] = '#...#';
+  Renderer.render(current, 'p1');
+  assert.ok(Particles.particles.length > 0);
+  assert.ok(Particles.particles.every(p => p.kind === 'debris' && p.x === 2.5 && p.y === 1.5));
+});
+
+test('collecting an upgrade bursts in its color', (t) => {
+  const { client, Particles } = game(t);
+  client.socket.receive({ type: 'GAME_STATE', state: gameState({ explosions: [] }) });
+  client.socket.receive({
+    type: 'GAME_EVENTS',
+    events: [{ type: 'UPGRADE_COLLECTED', playerId: 'p1', upgrade: { x: 3, y: 1, type: 'SPEED' } }]
+  });
+  
+  assert.strictEqual(Particles.particles.length, 12);
+  assert.ok(Particles.particles.every(p => p.color === '#00FF00'));
+});
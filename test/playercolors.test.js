@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadClient } = require('./helpers/client');
+const { state } = require('./fixtures/messages');
+
+const lobby = {
+  id: 'lobby-1',
+  name: 'My Game',
+  hostId: 'p1',
+  mapName: 'classic',
+  playerCount: 3,
+  maxPlayers: 4,
+  players: [
+    { id: 'p1', username: 'Alice', ready: true, colorSlot: 0 },
+    { id: 'p2', username: 'Bob', ready: true, colorSlot: 1 },
+    { id: 'p3', username: 'Carol', ready: false, colorSlot: 2 }
+  ]
+};
+
+function setup(t) {
+  const client = loadClient();
+  t.after(() => client.close());
+  return { client, PlayerColors: client.get('PlayerColors'), Renderer: client.get('Renderer') };
+}
+
+function withPlayers(players) {
+  return { ...lobby, playerCount: players.length, players };
+}
+
+test('server slots are used as given', (t) => {
+  const { PlayerColors } = setup(t);
+  PlayerColors.assign([{ id: 'a', colorSlot: 3 }, { id: 'b', colorSlot: 0 }]);
+  assert.deepStrictEqual([PlayerColors.getSlot('a'), PlayerColors.getSlot('b')], [3, 0]);
+});
+
+test('without server slots, slots follow the lobby list whatever this client saw before', (t) => {
+  const { PlayerColors } = setup(t);
+  PlayerColors.assign([{ id: 'a' }, { id: 'b' }, { id: 'c' }]);
+  PlayerColors.assign([{ id: 'a' }, { id: 'c' }]);
+  assert.deepStrictEqual([PlayerColors.getSlot('a'), PlayerColors.getSlot('c')], [0, 1]);
+  
+  // A late joiner who only ever saw the current list agrees
+  const { PlayerColors: late } = setup(t);
+  late.getSlot('c'); // Seen in a game state first
+  late.assign([{ id: 'a' }, { id: 'c' }]);
+  assert.deepStrictEqual([late.getSlot('a'), late.getSlot('c')], [0, 1]);
+  
+  // Server slots are skipped
+  PlayerColors.assign([{ id: 'a' }, { id: 'c', colorSlot: 0 }]);
+  assert.deepStrictEqual([PlayerColors.getSlot('a'), PlayerColors.getSlot('c')], [1, 0]);
+});
+
+test('a local pick gives way when the server hands that slot to someone else', (t) => {
+  const { PlayerColors } = setup(t);
+  PlayerColors.getSlot('seen-in-game');
+  PlayerColors.assign([{ id: 'seen-in-game' }, { id: 'b', colorSlot: 0 }]);
+  assert.deepStrictEqual([PlayerColors.getSlot('b'), PlayerColors.getSlot('seen-in-game')], [0, 1]);
+});
+
+test('a color the player picked replaces their slot color but keeps the marker', (t) => {
+  const { PlayerColors, Renderer } = setup(t);
+  PlayerColors.assign([{ id: 'a', colorSlot: 1, profile: { color: '#123abc' } }, { id: 'b', colorSlot: 2, profile: { color: 'red' } }]);
+  
+  assert.deepStrictEqual({ ...Renderer.getPlayerStyle('a') }, { color: '#123abc', marker: 'triangle' });
+  assert.strictEqual(Renderer.getPlayerStyle('b').color, Renderer.colors.PLAYER[2]);
+});
+
+test('picked colors give way to colorblind palettes and to other players with that color', (t) => {
+  const { client, PlayerColors, Renderer } = setup(t);
+  const slotColor = Renderer.colors.PLAYER[0];
+  PlayerColors.assign([
+    { id: 'a', colorSlot: 0 },
+    { id: 'b', colorSlot: 1, profile: { color: '#123abc' } },
+    { id: 'c', colorSlot: 2, profile: { color: '#123ABC' } },
+    { id: 'd', colorSlot: 3, profile: { color: slotColor } },
+    { id: 'e', colorSlot: 4, profile: { color: '#00ff00' } }
+  ]);
+  
+  assert.strictEqual(Renderer.getPlayerStyle('b').color, Renderer.colors.PLAYER[1]);
+  assert.strictEqual(Renderer.getPlayerStyle('c').color, Renderer.colors.PLAYER[2]);
+  assert.strictEqual(Renderer.getPlayerStyle('d').color, Renderer.colors.PLAYER[3]);
+  assert.strictEqual(Renderer.getPlayerStyle('e').color, '#00ff00');
+  
+  const palettes = client.get('Palettes');
+  palettes.select('deuteranopia');
+  assert.strictEqual(Renderer.getPlayerStyle('e').color, palettes.current.colors[4]);
+});
+
+test('lobby list shows each player in their color, unchanged when someone leaves', (t) => {
+  const { client, Renderer } = setup(t);
+  client.connect();
+  client.socket.receive({ type: 'LOBBY_JOINED', lobbyInfo: lobby });
+  const carol = Renderer.getPlayerStyle('p3');
+  assert.strictEqual(carol.color, Renderer.colors.PLAYER[2]);
+  assert.strictEqual(client.window.document.querySelectorAll('#players-list .player-swatch').length, 3);
+  
+  client.socket.receive({ type: 'PLAYER_LEFT', lobbyInfo: withPlayers([lobby.players[0], lobby.players[2]]) });
+  assert.deepStrictEqual({ ...Renderer.getPlayerStyle('p3') }, { ...carol });
+});
+
+test('in game, colors follow ids rather than the order of the players list', (t) => {
+  const { client, Renderer } = setup(t);
+  client.connect();
+  client.socket.receive({ type: 'LOBBY_JOINED', lobbyInfo: lobby });
+  
+  // p2 is listed first in the game state
+  const reordered = JSON.parse(JSON.stringify({ ...state, players: [...state.players].reverse() }));
+  client.socket.receive({ type: 'GAME_STATE', state: reordered });
+  assert.strictEqual(Renderer.getPlayerStyle('p1').color, Renderer.colors.PLAYER[0]);
+  assert.strictEqual(Renderer.getPlayerStyle('p2').color, Renderer.colors.PLAYER[1]);
+  
+  // HUD shows who we are
+  const identity = client.window.document.querySelector('#player-stats .stat-identity');
+  assert.ok(identity.querySelector('.player-swatch'));
+  assert.match(identity.textContent, /Alice/);
+});
+
+test('game over shows the winner with their marker', (t) => {
+  const { client } = setup(t);
+  client.connect();
+  client.socket.receive({ type: 'LOBBY_JOINED', lobbyInfo: lobby });
+  client.socket.receive({ type: 'GAME_EVENTS', events: [{ type: 'GAME_OVER', winner: { id: 'p2', username: 'Bob' } }] });
+  
+  const winner = client.window.document.querySelector('#game-result .winner-name');
+  assert.ok(winner.querySelector('.player-swatch'));
+  assert.strictEqual(winner.textContent, 'Bob');
+});
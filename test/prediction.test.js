@@ -0,0 +1,369 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadClient } = require('./helpers/client');
+const { Match } = require('../mock-server/match.js');
+const { maps } = require('../mock-server/maps.js');
+
+// Corridor map: column 1 and 3 are lanes, (2,2) is a pillar, (3,1) a box
+const tiles = [
+  '#####',
+  '#..X#',
+  '#.#.#',
+  '#...#',
+  '#####'
+];
+
+function setup(t, player = {}) {
+  const client = loadClient();
+  t.after(() => client.close());
+  const Prediction = client.get('Prediction');
+  const state = {
+    tick: 100,
+    map: { width: 5, height: 5, tiles: [...tiles], upgrades: [] },
+    players: [{ id: 'p1', username: 'Alice', x: 1.5, y: 3.5, alive: true, speed: 3, maxBombs: 1, activeBombs: 0, ...player }],
+    bombs: [],
+    explosions: []
+  };
+  Prediction.reconcile(state.players[0], state);
+  return { client, Prediction, state, local: Prediction.localPlayer };
+}
+
+function run(Prediction, state, vx, vy, ticks) {
+  Prediction.applyInput(vx, vy);
+  for (let i = 0; i < ticks; i++) {
+    Prediction.currentTick++;
+    Prediction.simulateTick(state, 1 / 60);
+    Prediction.recordPosition();
+  }
+}
+
+test('canMoveToTile checks every corner of the player against walls and boxes', (t) => {
+  const { Prediction, state } = setup(t);
+  const map = state.map;
+  
+  assert.strictEqual(Prediction.canMoveToTile(1.5, 1.5, map, []), true);
+  assert.strictEqual(Prediction.canMoveToTile(1.3, 1.5, map, []), false);  // Left edge in wall
+  assert.strictEqual(Prediction.canMoveToTile(1.7, 2.5, map, []), false);  // Right edge in pillar
+  assert.strictEqual(Prediction.canMoveToTile(2.5, 1.5, map, []), true);
+  assert.strictEqual(Prediction.canMoveToTile(2.7, 1.5, map, []), false);  // Box
+  assert.strictEqual(Prediction.canMoveToTile(-1, 1.5, map, []), false);   // Off the map
+});
+
+test('bombs block movement except the one we are standing on', (t) => {
+  const { Prediction, state } = setup(t);
+  const bombs = [{ x: 1, y: 2, timer: 3000 }, { x: 1, y: 3, timer: 3000 }];
+  
+  assert.strictEqual(Prediction.canMoveToTile(1.5, 2.5, state.map, bombs), false);
+  assert.strictEqual(Prediction.canMoveToTile(1.5, 3.4, state.map, bombs), true);
+  
+  // Predicted (unconfirmed) bombs count too
+  Prediction.pendingBombs.push({ x: 2, y: 3 });
+  assert.strictEqual(Prediction.canMoveToTile(2.5, 3.5, state.map, []), false);
+});
+
+test('simulateTick stops at walls', (t) => {
+  const { Prediction, state, local } = setup(t);
+  run(Prediction, state, -1, 0, 30);
+  
+  assert.ok(local.x > 1.35 && local.x <= 1.4, `x = ${local.x}`);
+  assert.strictEqual(local.y, 3.5);
+});
+
+test('corner assist slides the player into a lane', (t) => {
+  // Just right of the lane: moving up clips the pillar at (2,2)
+  const { Prediction, state, local } = setup(t, { x: 1.67 });
+  run(Prediction, state, 0, -1, 40);
+  
+  assert.ok(local.y < 2.5, `y = ${local.y}`);
+  assert.ok(local.x <= 1.65, `x = ${local.x}`);
+});
+
+test('corner assist does not nudge players far from the lane', (t) => {
+  const { Prediction, state, local } = setup(t, { x: 2.5 });
+  run(Prediction, state, 0, -1, 20);
+  
+  assert.strictEqual(local.x, 2.5);
+  assert.ok(local.y >= 3.35, `y = ${local.y}`);
+});
+
+test('reconcile tolerates small drift without acks', (t) => {
+  const { Prediction, state, local } = setup(t);
+  const server = { ...state.players[0], x: 1.8 };
+  Prediction.reconcile(server, { ...state, tick: 101 });
+  
+  assert.strictEqual(local.x, 1.5);
+  assert.strictEqual(Prediction.isDrifting, false);
+});
+
+test('reconcile blends toward the server after sustained drift', (t) => {
+  const { Prediction, state, local } = setup(t);
+  const server = { ...state.players[0], x: 2.5 };
+  
+  Prediction.reconcile(server, { ...state, tick: 101 });
+  assert.strictEqual(Prediction.isDrifting, true);
+  assert.strictEqual(local.x, 1.5);
+  
+  Prediction.driftStartTime -= Prediction.maxDriftTime + 1;
+  Prediction.reconcile(server, { ...state, tick: 102 });
+  assert.ok(Math.abs(local.x - 1.8) < 1e-9, `x = ${local.x}`); // 30% of the way
+});
+
+test('reconcile snaps on major desync', (t) => {
+  const { Prediction, state, local } = setup(t);
+  const server = { ...state.players[0], x: 3.5, y: 1.5 };
+  Prediction.reconcile(server, { ...state, tick: 150 });
+  
+  assert.deepStrictEqual([local.x, local.y], [3.5, 1.5]);
+  assert.strictEqual(Prediction.currentTick, 150);
+});
+
+test('reconcile snaps to the server when the player died', (t) => {
+  const { Prediction, state, local } = setup(t);
+  run(Prediction, state, 1, 0, 10);
+  Prediction.reconcile({ ...state.players[0], alive: false }, { ...state, tick: 101 });
+  
+  assert.deepStrictEqual([local.x, local.y, local.alive], [1.5, 3.5, false]);
+});
+
+test('acked input that matches our history needs no correction', (t) => {
+  const { Prediction, state, local } = setup(t);
+  run(Prediction, state, 1, 0, 20);
+  const atTick110 = Prediction.positionHistory.get(110);
+  const before = local.x;
+  
+  Prediction.reconcile({ ...state.players[0], x: atTick110.x, lastInputTick: 110 }, { ...state, tick: 110 });
+  
+  assert.strictEqual(local.x, before);
+  assert.strictEqual(Prediction.lastReplayTicks, 0);
+});
+
+test('a mismatch at the acked tick replays unacknowledged inputs', (t) => {
+  const { Prediction, state, local } = setup(t);
+  run(Prediction, state, 1, 0, 20);
+  const before = local.x;
+  
+  // Server had us 0.5 tiles behind at tick 110; the 10 ticks since are replayed from there
+  const atTick110 = Prediction.positionHistory.get(110);
+  Prediction.reconcile({ ...state.players[0], x: atTick110.x - 0.5, lastInputTick: 110 }, { ...state, tick: 110 });
+  
+  assert.strictEqual(Prediction.lastReplayTicks, 10);
+  assert.ok(Math.abs(local.x - (before - 0.5)) < 1e-9, `x = ${local.x}`);
+  // Drawn position eases over from where we were
+  assert.ok(Math.abs(local.x + Prediction.correctionOffset.x - before) < 1e-9);
+});
+
+test('acks line up with the server position when MOVEs arrive every few ticks', (t) => {
+  // Fast player against the mock server, run in lockstep; MOVE is resent every 4 ticks
+  maps.corridor = ['############', '#S.........#', '############'];
+  t.after(() => delete maps.corridor); // Shared with the mock-server tests
+  const match = new Match({
+    mapName: 'corridor',
+    settings: { playerSpeed: 8, bombCount: 1, explosionRange: 2, bombTimer: 3000, upgradeSpawnChance: 0 },
+    players: [{ id: 'p1', username: 'Alice' }]
+  }, { startTick: 100, now: () => 0 });
+  
+  const client = loadClient();
+  t.after(() => client.close());
+  const Prediction = client.get('Prediction');
+  Prediction.reconcile(match.getState().players[0], match.getState());
+  
+  for (let i = 0; i < 42; i++) {
+    const vx = i < 30 ? 1 : 0;
+    Prediction.applyInput(vx, 0);
+    if (i % 4 === 0 || i === 30) match.handleAction('p1', { type: 'MOVE', vx, vy: 0, clientTick: Prediction.currentTick });
+    Prediction.currentTick++;
+    Prediction.simulateTick(match.getState(), 1 / 60);
+    Prediction.recordPosition();
+    match.step();
+    
+    if (i % 3 === 2) {
+      const state = match.getState();
+      Prediction.reconcile(state.players[0], state);
+      assert.ok(Prediction.lastReconcileError < 1e-9, `tick ${i}: off by ${Prediction.lastReconcileError}`);
+    }
+  }
+  assert.deepStrictEqual({ ...Prediction.correctionOffset }, { x: 0, y: 0 });
+});
+
+test('sync stats estimate the server tick at the rate the server reported', (t) => {
+  const { client, Prediction } = setup(t);
+  const TimeSync = client.get('TimeSync');
+  TimeSync.tickRate = 20;
+  TimeSync.estimateServerTick = rate => rate * 100;
+  assert.strictEqual(Prediction.getSyncStats().estimatedServerTick, 2000);
+});
+
+// Remote player interpolation
+
+// GAME_STATE for tick (60 ticks/s) that arrives at the given performance.now() time
+function snapshot(client, Prediction, tick, arrival, x) {
+  client.window.performance.now = () => arrival;
+  Prediction.recordSnapshots({ tick, players: [{ id: 'p1', x: 1.5, y: 3.5, alive: true }, { id: 'p2', x, y: 3.5, alive: true }] });
+  return Prediction.otherPlayers.get('p2');
+}
+
+test('remote players are interpolated between the snapshots around render time', (t) => {
+  const { client, Prediction, state } = setup(t);
+  snapshot(client, Prediction, 60, 1040, 1.5);        // Snapshot time 1000ms
+  const other = snapshot(client, Prediction, 66, 1140, 2.5); // 1100ms
+  
+  assert.ok(!Prediction.otherPlayers.has('p1'));
+  assert.deepStrictEqual({ ...Prediction.sampleSnapshots(other, 1050, state.map) }, { x: 2, y: 3.5 });
+  assert.deepStrictEqual({ ...Prediction.sampleSnapshots(other, 900, state.map) }, { x: 1.5, y: 3.5 });
+  
+  // Rendered interpolationDelay behind the snapshot timeline, shifted by the playout offset
+  client.window.performance.now = () => 1040 + 1050 - 1000 + Prediction.config.interpolationDelay;
+  Prediction.updateOtherPlayers(0, { ...state, players: [{ id: 'p2', alive: true }] });
+  assert.strictEqual(other.x, 2);
+});
+
+test('late snapshots extrapolate for a bounded time and never into walls', (t) => {
+  const { client, Prediction, state } = setup(t);
+  snapshot(client, Prediction, 60, 1040, 1.5);
+  const other = snapshot(client, Prediction, 66, 1140, 1.6);
+  
+  const ahead = Prediction.sampleSnapshots(other, 1150, state.map);
+  assert.ok(Math.abs(ahead.x - 1.65) < 1e-9, `x = ${ahead.x}`);
+  assert.strictEqual(other.extrapolating, true);
+  
+  // Capped at maxExtrapolation past the last snapshot
+  const capped = Prediction.sampleSnapshots(other, 5000, state.map);
+  assert.ok(Math.abs(capped.x - (1.6 + 0.1 * Prediction.config.maxExtrapolation / 100)) < 1e-9, `x = ${capped.x}`);
+  
+  // Heading for the wall at x = 4: stay at the last snapshot
+  snapshot(client, Prediction, 72, 1240, 3.5);
+  const walled = Prediction.sampleSnapshots(other, 1390, state.map);
+  assert.deepStrictEqual({ ...walled }, { x: 3.5, y: 3.5 });
+  assert.strictEqual(other.extrapolating, false);
+});
+
+test('the playout offset adopts faster packets at once and creeps toward slower ones', (t) => {
+  const { client, Prediction } = setup(t);
+  Prediction.playoutOffset = null;
+  snapshot(client, Prediction, 60, 1080, 1.5);
+  assert.strictEqual(Prediction.playoutOffset, 80);
+  
+  snapshot(client, Prediction, 66, 1130, 1.6); // Only 30ms late
+  assert.strictEqual(Prediction.playoutOffset, 30);
+  
+  snapshot(client, Prediction, 72, 1330, 1.7); // 130ms late - jitter
+  assert.strictEqual(Prediction.playoutOffset, 31);
+});
+
+// Predicted bombs
+
+test('a predicted bomb is placed on our tile with the lobby fuse, once per tile', (t) => {
+  const { client, Prediction, state } = setup(t);
+  client.window.Date.now = () => 5000;
+  
+  const bomb = Prediction.predictBomb(state, 2000);
+  assert.deepStrictEqual([bomb.x, bomb.y, bomb.explodeAt, bomb.predicted], [1, 3, 7000, true]);
+  assert.deepStrictEqual([...Prediction.getPendingBombs()], [bomb]);
+  
+  state.players[0].maxBombs = 3;
+  assert.strictEqual(Prediction.predictBomb(state, 2000), null); // Tile taken
+});
+
+test('predicted bombs respect maxBombs, counting ones the server placed', (t) => {
+  const { Prediction, state, local } = setup(t, { maxBombs: 2, activeBombs: 1 });
+  assert.ok(Prediction.predictBomb(state));
+  
+  local.x = 2.5;
+  assert.strictEqual(Prediction.predictBomb(state), null);
+  assert.strictEqual(Prediction.pendingBombs.length, 1);
+});
+
+test('a server bomb on the tile or a caught-up bomb count confirms the prediction', (t) => {
+  const { Prediction, state, local } = setup(t, { maxBombs: 2 });
+  Prediction.predictBomb(state);
+  Prediction.reconcile(state.players[0], { ...state, tick: 101, bombs: [{ x: 1, y: 3, timer: 2900, ownerId: 'p1' }] });
+  assert.strictEqual(Prediction.pendingBombs.length, 0);
+  
+  // Server placed it a tile over (we had moved on by the time it arrived)
+  local.x = 2.5;
+  Prediction.predictBomb(state);
+  Prediction.reconcile({ ...state.players[0], activeBombs: 1 }, { ...state, tick: 102, bombs: [{ x: 3, y: 3, timer: 2900, ownerId: 'p1' }] });
+  assert.strictEqual(Prediction.pendingBombs.length, 0);
+});
+
+test('a predicted bomb the server never places is rolled back after the confirm timeout', (t) => {
+  const { client, Prediction, state } = setup(t);
+  let now = 5000;
+  client.window.Date.now = () => now;
+  Prediction.predictBomb(state);
+  
+  now += Prediction.getConfirmTimeout();
+  Prediction.reconcile(state.players[0], { ...state, tick: 101 });
+  assert.strictEqual(Prediction.pendingBombs.length, 1); // Still within time
+  
+  now += 1;
+  Prediction.reconcile(state.players[0], { ...state, tick: 102 });
+  assert.strictEqual(Prediction.pendingBombs.length, 0);
+});
+
+// Predicted falls and pickups
+
+test('a hole the server did not drop us into is not predicted again until we leave the tile', (t) => {
+  const { Prediction, state, local } = setup(t);
+  state.map.tiles[3] = '#O..#';
+  local.velocityX = 1;
+  
+  Prediction.predictTileEffects(state);
+  assert.deepStrictEqual([Prediction.predictedFall.x, Prediction.predictedFall.y], [1, 3]);
+  assert.ok(Prediction.isFalling('p1'));
+  assert.strictEqual(local.velocityX, 0);
+  
+  // Server acked that tick and we're still alive
+  Prediction.confirmTileEffects(state.players[0], state, Prediction.currentTick);
+  assert.strictEqual(Prediction.predictedFall, null);
+  Prediction.predictTileEffects(state);
+  assert.strictEqual(Prediction.predictedFall, null);
+  
+  local.x = 2.5;
+  Prediction.predictTileEffects(state);
+  local.x = 1.5;
+  Prediction.predictTileEffects(state);
+  assert.ok(Prediction.isFalling('p1'));
+});
+
+test('a collected speed pickup teaches the bonus without touching the config', (t) => {
+  const { Prediction, state, local } = setup(t);
+  state.map.upgrades = [{ x: 1, y: 3, type: 'SPEED' }, { x: 2, y: 3, type: 'SPEED' }];
+  
+  Prediction.predictTileEffects(state);
+  assert.ok(Prediction.isUpgradeHidden({ x: 1, y: 3 }));
+  assert.strictEqual(local.speed, 3.5);
+  
+  // Gone from the server's map and it gave us a whole point
+  state.map.upgrades = state.map.upgrades.slice(1);
+  Prediction.confirmTileEffects({ ...state.players[0], speed: 4 }, state, null);
+  assert.strictEqual(Prediction.pendingPickups.size, 0);
+  assert.strictEqual(Prediction.learnedSpeedBonus, 1);
+  assert.strictEqual(Prediction.config.speedUpgradeBonus, 0.5);
+  
+  local.x = 2.5;
+  Prediction.predictTileEffects(state);
+  assert.strictEqual(Prediction.getPendingSpeedBonus(), 1);
+  
+  Prediction.reset();
+  assert.strictEqual(Prediction.learnedSpeedBonus, null);
+});
+
+test('a pickup the server did not grant is rolled back and not predicted again on that tile', (t) => {
+  const { Prediction, state, local } = setup(t);
+  state.map.upgrades = [{ x: 1, y: 3, type: 'SPEED' }];
+  
+  Prediction.predictTileEffects(state);
+  Prediction.confirmTileEffects(state.players[0], state, Prediction.currentTick);
+  assert.ok(!Prediction.isUpgradeHidden({ x: 1, y: 3 }));
+  
+  Prediction.predictTileEffects(state);
+  assert.strictEqual(Prediction.pendingPickups.size, 0);
+  assert.strictEqual(local.speed, 3.5); // Not added a second time
+  
+  local.x = 2.5;
+  Prediction.predictTileEffects(state);
+  local.x = 1.5;
+  Prediction.predictTileEffects(state);
+  assert.ok(Prediction.isUpgradeHidden({ x: 1, y: 3 }));
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadClient } = require('./helpers/client');
+
+async function setup(t, options) {
+  const client = loadClient(options);
+  t.after(() => client.close());
+  await client.ready;
+  return { client, Profile: client.get('Profile'), Renderer: client.get('Renderer') };
+}
+
+const sent = (client, type) => client.socket.sent.filter(m => m.type === type);
+
+test('unknown or malformed profile values fall back to the defaults', async (t) => {
+  const { Profile } = await setup(t);
+  assert.deepStrictEqual(
+    { ...Profile.sanitize({ color: 'red', accessory: 'jetpack', nameTag: 'badge' }) },
+    { color: null, accessory: 'none', nameTag: 'badge' }
+  );
+  assert.deepStrictEqual({ ...Profile.sanitize('nonsense') }, { color: null, accessory: 'none', nameTag: 'plain' });
+});
+
+test('the profile is saved and restored on the next visit', async (t) => {
+  const first = await setup(t);
+  first.Profile.update({ color: '#3498db', accessory: 'crown' });
+  const saved = first.client.window.localStorage.getItem('bomberman_profile');
+  
+  const { client, Profile } = await setup(t, { localStorage: { bomberman_profile: saved } });
+  assert.deepStrictEqual({ ...Profile.current }, { color: '#3498db', accessory: 'crown', nameTag: 'plain' });
+  
+  const document = client.window.document;
+  assert.strictEqual(document.querySelector('.profile-accessory').value, 'crown');
+  assert.strictEqual(document.querySelectorAll('#connection-screen .profile-preview, #lobby-browser-screen .profile-preview').length, 2);
+});
+
+test('the editor updates the profile from either screen', async (t) => {
+  const { client, Profile } = await setup(t);
+  const select = client.window.document.querySelectorAll('.profile-nametag')[1];
+  select.value = 'badge';
+  select.dispatchEvent(new client.window.Event('change'));
+  
+  assert.strictEqual(Profile.current.nameTag, 'badge');
+  assert.strictEqual(client.window.document.querySelectorAll('.profile-nametag')[0].value, 'badge');
+});
+
+test('SET_USERNAME carries the profile, leaving out an assigned color', async (t) => {
+  const { client, Profile } = await setup(t);
+  Profile.update({ accessory: 'tophat' });
+  client.connect();
+  
+  assert.deepStrictEqual(sent(client, 'SET_USERNAME')[0].profile, { accessory: 'tophat', nameTag: 'plain' });
+});
+
+test('edits are sent as SET_PROFILE only to servers with profiles', async (t) => {
+  const { client, Profile } = await setup(t);
+  client.connect();
+  Profile.update({ color: '#e74c3c' });
+  assert.strictEqual(sent(client, 'SET_PROFILE').length, 0);
+  
+  client.connect('Alice', ['profiles']);
+  Profile.update({ accessory: 'glasses' });
+  assert.deepStrictEqual(sent(client, 'SET_PROFILE')[0].profile, { color: '#e74c3c', accessory: 'glasses', nameTag: 'plain' });
+});
+
+test("other players' profiles are drawn from the lobby list", async (t) => {
+  const { client, Renderer } = await setup(t);
+  client.connect('Alice', ['profiles']);
+  client.socket.receive({
+    type: 'LOBBY_JOINED',
+    lobbyInfo: {
+      id: 'lobby-1', name: 'My Game', hostId: 'p1', mapName: 'classic', playerCount: 2, maxPlayers: 4,
+      players: [
+        { id: 'p1', username: 'Alice', ready: false, colorSlot: 0 },
+        { id: 'p2', username: 'Bob', ready: false, colorSlot: 1, profile: { color: '#9b59b6', accessory: 'bow', nameTag: 'color' } }
+      ]
+    }
+  });
+  
+  assert.deepStrictEqual({ ...Renderer.getPlayerProfile('p2') }, { color: '#9b59b6', accessory: 'bow', nameTag: 'color' });
+  assert.strictEqual(Renderer.getPlayerStyle('p2').color, '#9b59b6');
+  assert.strictEqual(Renderer.getPlayerProfile('p1').accessory, 'none');
+});
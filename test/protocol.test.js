@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Protocol } = require('../src/js/protocol.js');
+const { clientMessages, serverMessages, state } = require('./fixtures/messages');
+
+const clone = value => JSON.parse(JSON.stringify(value));
+
+for (const message of serverMessages) {
+  test(`accepts ${message.type}`, () => {
+    const result = Protocol.validate(clone(message));
+    assert.deepStrictEqual(result.errors, []);
+    assert.deepStrictEqual(result.unknownFields, []);
+    assert.strictEqual(result.valid, true);
+  });
+}
+
+test('every message the client sends is listed', () => {
+  for (const message of clientMessages) {
+    assert.ok(Protocol.isClientMessage(message.type), message.type);
+  }
+});
+
+// The codec tests round-trip the fixtures, so a new message type needs one
+test('every listed message type has a fixture', () => {
+  for (const type of Object.keys(Protocol.clientMessages)) {
+    assert.ok(clientMessages.some(m => m.type === type), type);
+  }
+  for (const type of Object.keys(Protocol.serverMessages)) {
+    assert.ok(serverMessages.some(m => m.type === type), type);
+  }
+});
+
+test('every fixture game event is valid', () => {
+  const { events } = serverMessages.find(m => m.type === 'GAME_EVENTS');
+  for (const event of events) {
+    assert.strictEqual(Protocol.validateEvent(event).valid, true, event.type);
+  }
+});
+
+test('rejects messages with missing or mistyped fields', () => {
+  const missingMap = { type: 'GAME_STATE', state: { ...clone(state), map: undefined } };
+  const result = Protocol.validate(missingMap);
+  assert.strictEqual(result.valid, false);
+  assert.deepStrictEqual(result.errors, ['GAME_STATE.state.map is missing']);
+  
+  const badPlayer = clone({ type: 'GAME_STATE', state: state });
+  badPlayer.state.players[1].x = '3';
+  assert.deepStrictEqual(Protocol.validate(badPlayer).errors, ['GAME_STATE.state.players[1].x should be a number']);
+});
+
+test('map rows are strings or arrays of single tiles', () => {
+  const rows = clone({ type: 'GAME_STATE', state: state });
+  rows.state.map.tiles = ['#.#', ['#', '.', '#'], ['#', 'XX'], 7];
+  assert.deepStrictEqual(Protocol.validate(rows).errors, [
+    'GAME_STATE.state.map.tiles[2] should be a row of tiles',
+    'GAME_STATE.state.map.tiles[3] should be a row of tiles'
+  ]);
+});
+
+test('reports unknown types without throwing', () => {
+  const result = Protocol.validate({ type: 'FROM_THE_FUTURE', payload: 1 });
+  assert.strictEqual(result.valid, false);
+  assert.strictEqual(result.unknownType, true);
+  
+  assert.strictEqual(Protocol.validate(null).valid, false);
+  assert.strictEqual(Protocol.validate({ notAType: true }).valid, false);
+});
+
+test('reports unknown fields but still accepts the message', () => {
+  const result = Protocol.validate({ type: 'USERNAME_SET', username: 'Alice', badge: 'gold' });
+  assert.strictEqual(result.valid, true);
+  assert.deepStrictEqual(result.unknownFields, ['USERNAME_SET.badge']);
+});
+
+test('normalizes the legacy lobby field to lobbyInfo', () => {
+  const lobbyInfo = clone(serverMessages.find(m => m.type === 'LOBBY_UPDATED').lobbyInfo);
+  const message = { type: 'LOBBY_UPDATED', lobby: lobbyInfo };
+  
+  assert.strictEqual(Protocol.validate(message).valid, true);
+  assert.deepStrictEqual(message.lobbyInfo, lobbyInfo);
+  assert.strictEqual(message.lobby, undefined);
+});
+
+test('rejects game events missing required fields', () => {
+  const result = Protocol.validateEvent({ type: 'UPGRADE_COLLECTED', playerId: 'p1' });
+  assert.strictEqual(result.valid, false);
+  assert.deepStrictEqual(result.errors, ['GAME_EVENTS.UPGRADE_COLLECTED.upgrade is missing']);
+});
+
+test('checks server protocol versions', () => {
+  assert.deepStrictEqual(Protocol.checkServerVersion({}), { serverVersion: 1, compatible: true, newer: false });
+  assert.strictEqual(Protocol.checkServerVersion({ protocolVersion: Protocol.VERSION + 1 }).newer, true);
+  assert.strictEqual(Protocol.checkServerVersion({ minClientVersion: Protocol.VERSION + 1 }).compatible, false);
+});
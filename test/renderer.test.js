@@ -0,0 +1,254 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadClient } = require('./helpers/client');
+const { state } = require('./fixtures/messages');
+
+function setup(t) {
+  const client = loadClient();
+  t.after(() => client.close());
+  const Renderer = client.get('Renderer');
+  
+  // Count tile paints and frames drawn
+  const painted = [];
+  const paintTile = Renderer.paintTile;
+  Renderer.paintTile = function (ctx, x, y, tile) {
+    painted.push(`${x},${y}:${tile}`);
+    return paintTile.call(this, ctx, x, y, tile);
+  };
+  let renders = 0;
+  const render = Renderer.render;
+  Renderer.render = function (...args) {
+    renders++;
+    return render.apply(this, args);
+  };
+  
+  // Animation frames run only when the test steps them
+  const queue = new Map();
+  let nextFrame = 1;
+  client.window.requestAnimationFrame = (callback) => {
+    queue.set(nextFrame, callback);
+    return nextFrame++;
+  };
+  client.window.cancelAnimationFrame = (id) => queue.delete(id);
+  
+  return {
+    client,
+    Renderer,
+    painted,
+    renders: () => renders,
+    pendingFrames: () => queue.size,
+    step() {
+      const callbacks = [...queue.values()];
+      queue.clear();
+      callbacks.forEach(callback => callback(client.window.performance.now()));
+    }
+  };
+}
+
+function gameState(overrides = {}) {
+  return JSON.parse(JSON.stringify({ ...state, bombs: [], explosions: [], ...overrides }));
+}
+
+test('paints the static map layer once, then only changed tiles', (t) => {
+  const { Renderer, painted } = setup(t);
+  const current = gameState();
+  Renderer.init(current.map.width, current.map.height);
+  
+  Renderer.render(current, 'p1');
+  assert.strictEqual(painted.length, 20);
+  
+  painted.length = 0;
+  Renderer.render(current, 'p1');
+  assert.deepStrictEqual(painted, []);
+  
+  // Box at (2,1) destroyed
+  current.map.tiles[1] = '#...#';
+  Renderer.render(current, 'p1');
+  assert.deepStrictEqual(painted, ['2,1:.']);
+});
+
+test('array rows changed in place are repainted too', (t) => {
+  const { Renderer, painted } = setup(t);
+  const current = gameState();
+  current.map.tiles = current.map.tiles.map(row => row.split(''));
+  Renderer.init(current.map.width, current.map.height);
+  Renderer.render(current, 'p1');
+  
+  painted.length = 0;
+  current.map.tiles[1][2] = '.';
+  Renderer.render(current, 'p1');
+  assert.deepStrictEqual(painted, ['2,1:.']);
+  
+  painted.length = 0;
+  Renderer.render(current, 'p1');
+  assert.deepStrictEqual(painted, []);
+});
+
+test('repaints the whole layer after a resize', (t) => {
+  const { Renderer, painted } = setup(t);
+  const current = gameState();
+  Renderer.init(current.map.width, current.map.height);
+  Renderer.render(current, 'p1');
+  
+  painted.length = 0;
+  Renderer.resize();
+  Renderer.render(current, 'p1');
+  assert.strictEqual(painted.length, 20);
+});
+
+test('a new match on a same-sized map is painted afresh, without debris', (t) => {
+  const { client, Renderer, painted, step } = setup(t);
+  client.connect();
+  client.socket.receive({ type: 'GAME_STATE', state: gameState() });
+  step();
+  
+  client.socket.receive({ type: 'GAME_STARTED' });
+  const next = gameState({ tick: 1 });
+  next.map.tiles = next.map.tiles.map(row => row.replace(/[.X]/g, tile => (tile === '.' ? 'X' : '.')));
+  painted.length = 0;
+  client.socket.receive({ type: 'GAME_STATE', state: next });
+  step();
+  
+  assert.strictEqual(painted.length, next.map.width * next.map.height);
+  assert.strictEqual(client.get('Particles').particles.length, 0);
+  
+  client.socket.receive({ type: 'LEFT_LOBBY' });
+  assert.strictEqual(Renderer.layerTiles, null);
+});
+
+test('GAME_STATE is drawn on the next animation frame, not when it arrives', (t) => {
+  const { client, renders, pendingFrames, step } = setup(t);
+  client.connect();
+  client.socket.receive({ type: 'GAME_STATE', state: gameState() });
+  client.socket.receive({ type: 'GAME_STATE', state: gameState({ tick: 1201 }) });
+  
+  assert.strictEqual(renders(), 0);
+  assert.strictEqual(pendingFrames(), 1);
+  
+  step();
+  assert.strictEqual(renders(), 1);
+  assert.strictEqual(pendingFrames(), 1);
+});
+
+test('restarting the loop never leaves two loops drawing', (t) => {
+  const { client, renders, pendingFrames, step } = setup(t);
+  client.connect();
+  client.socket.receive({ type: 'GAME_STATE', state: gameState() });
+  
+  // GAME_OVER marks the loop stopped while its next frame is still queued
+  client.socket.receive({ type: 'GAME_EVENTS', events: [{ type: 'GAME_OVER', winner: { id: 'p1', username: 'Alice' } }] });
+  client.socket.receive({ type: 'GAME_STATE', state: gameState({ tick: 1201 }) });
+  assert.strictEqual(pendingFrames(), 1);
+  
+  step();
+  assert.strictEqual(renders(), 1);
+});
+
+test('the final state is drawn before the loop stops', (t) => {
+  const { client, renders, pendingFrames, step } = setup(t);
+  client.connect();
+  client.socket.receive({ type: 'GAME_STATE', state: gameState({ gameOver: true }) });
+  
+  step();
+  assert.strictEqual(renders(), 1);
+  assert.strictEqual(pendingFrames(), 0);
+});
+
+// Player animation
+
+function animation(t) {
+  const client = loadClient();
+  t.after(() => client.close());
+  const Renderer = client.get('Renderer');
+  // Draw everyone where the state puts them
+  client.get('Prediction').getPlayerPosition = (player) => ({ x: player.x, y: player.y });
+  return { client, Renderer };
+}
+
+test('players face their direction of travel and only step while moving', (t) => {
+  const { Renderer } = animation(t);
+  const bob = { id: 'p2', x: 2.5, y: 1.5, alive: true };
+  
+  let anim = Renderer.animatePlayer(bob, 'p1', false, 1000);
+  assert.deepStrictEqual([anim.facingX, anim.facingY, anim.moving], [0, 1, false]);
+  
+  bob.x = 2.4;
+  anim = Renderer.animatePlayer(bob, 'p1', false, 1016);
+  assert.deepStrictEqual([anim.facingX, anim.facingY, anim.moving], [-1, 0, true]);
+  
+  bob.y = 1.3;
+  anim = Renderer.animatePlayer(bob, 'p1', false, 1032);
+  assert.deepStrictEqual([anim.facingX, anim.facingY], [0, -1]);
+  assert.strictEqual(anim.walkTime, 32);
+  assert.ok(Renderer.getBob(anim) > 0);
+  
+  // Standing still: facing is kept, the walk cycle stops
+  anim = Renderer.animatePlayer(bob, 'p1', false, 1500);
+  assert.deepStrictEqual([anim.facingX, anim.facingY, anim.moving], [0, -1, false]);
+  assert.strictEqual(Renderer.getBob(anim), 0);
+  
+  // A snap across the map isn't a step
+  bob.x = 0.5;
+  anim = Renderer.animatePlayer(bob, 'p1', false, 1516);
+  assert.strictEqual(anim.moving, false);
+});
+
+test('a killed player plays a death animation where they were last drawn, then disappears', (t) => {
+  const { Renderer } = animation(t);
+  const bob = { id: 'p2', x: 2.5, y: 1.5, alive: true };
+  Renderer.animatePlayer(bob, 'p1', false, 1000);
+  
+  const dead = { ...bob, x: 0, y: 0, alive: false };
+  const anim = Renderer.animatePlayer(dead, 'p1', false, 2000);
+  assert.strictEqual(anim.death.kind, 'killed');
+  assert.deepStrictEqual([anim.x, anim.y], [2.5, 1.5]);
+  assert.ok(Renderer.isAnimating(2000 + Renderer.animation.deathTime - 1));
+  
+  assert.strictEqual(Renderer.animatePlayer(dead, 'p1', false, 2000 + Renderer.animation.deathTime), null);
+  assert.strictEqual(Renderer.isAnimating(2000 + Renderer.animation.deathTime), false);
+});
+
+test('players already dead when first seen are not animated', (t) => {
+  const { Renderer } = animation(t);
+  assert.strictEqual(Renderer.animatePlayer({ id: 'p2', x: 3.5, y: 1.5, alive: false }, 'p1', false, 1000), null);
+  assert.strictEqual(Renderer.isAnimating(1000), false);
+});
+
+test('PLAYER_FELL turns the death into a fall, even before the state marks them dead', (t) => {
+  const { client, Renderer } = animation(t);
+  client.connect();
+  const bob = { id: 'p2', x: 2.5, y: 1.5, alive: true };
+  Renderer.animatePlayer(bob, 'p1', false, Date.now());
+  
+  client.socket.receive({ type: 'GAME_EVENTS', events: [{ type: 'PLAYER_FELL', playerId: 'p2' }] });
+  const anim = Renderer.animatePlayer(bob, 'p1', false, Date.now());
+  assert.strictEqual(anim.death.kind, 'fall');
+  assert.strictEqual(Renderer.animatePlayer({ ...bob, alive: false }, 'p1', false, Date.now()).death.kind, 'fall');
+});
+
+test('a predicted fall the server rejects brings the player back', (t) => {
+  const { Renderer } = animation(t);
+  const alice = { id: 'p1', x: 2.5, y: 1.5, alive: true };
+  Renderer.animatePlayer(alice, 'p1', false, 1000);
+  
+  assert.strictEqual(Renderer.animatePlayer(alice, 'p1', true, 1016).death.kind, 'fall');
+  assert.strictEqual(Renderer.animatePlayer(alice, 'p1', false, 1100).death, null);
+});
+
+test('the loop keeps drawing after game over until deaths have played out', (t) => {
+  const { client, Renderer, renders, pendingFrames, step } = setup(t);
+  let animating = true;
+  Renderer.isAnimating = () => animating;
+  client.connect();
+  client.socket.receive({ type: 'GAME_STATE', state: gameState({ gameOver: true }) });
+  
+  step();
+  step();
+  assert.strictEqual(renders(), 2);
+  assert.strictEqual(pendingFrames(), 1);
+  
+  animating = false;
+  step();
+  assert.strictEqual(renders(), 3);
+  assert.strictEqual(pendingFrames(), 0);
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Themes } = require('../src/js/themes.js');
+const { loadClient } = require('./helpers/client');
+
+const manifest = {
+  name: 'Test',
+  image: 'sheet.png',
+  frameSize: 16,
+  grid: false,
+  colors: { WALL: '#123456' },
+  sprites: {
+    wall: { x: 1, y: 0 },
+    player: { x: 0, y: 2, frames: 4, frameTime: 100 },
+    broken: { x: 'left' }
+  }
+};
+
+// Records the calls paintTile makes
+function recorder() {
+  const calls = [];
+  const record = name => (...args) => calls.push([name, ...args]);
+  return {
+    calls,
+    ctx: { clearRect: record('clearRect'), fillRect: record('fillRect'), strokeRect: record('strokeRect'), drawImage: record('drawImage') }
+  };
+}
+
+test('parseManifest turns cells into sheet pixels and skips invalid sprites', () => {
+  const theme = Themes.parseManifest(manifest);
+  
+  assert.deepStrictEqual(theme.sprites.wall, { sx: 16, sy: 0, size: 16, frames: 1, frameTime: 200 });
+  assert.deepStrictEqual(theme.sprites.player, { sx: 0, sy: 32, size: 16, frames: 4, frameTime: 100 });
+  assert.strictEqual(theme.sprites.broken, undefined);
+  assert.strictEqual(theme.grid, false);
+  assert.strictEqual(theme.smoothing, true);
+});
+
+test('getFrame steps through animation frames over time', () => {
+  const image = {};
+  Themes.current = { ...Themes.parseManifest(manifest), image };
+  
+  assert.deepStrictEqual(Themes.getFrame('player', 0), { image, sx: 0, sy: 32, size: 16 });
+  assert.strictEqual(Themes.getFrame('player', 250).sx, 32);  // Frame 2
+  assert.strictEqual(Themes.getFrame('player', 450).sx, 0);   // Wrapped
+  assert.strictEqual(Themes.getFrame('bomb', 0), null);       // Not in this theme
+  
+  Themes.current = { ...Themes.current, image: null };        // Sheet failed to load
+  assert.strictEqual(Themes.getFrame('wall', 0), null);
+});
+
+test('unknown themes fall back to the built-in one and the choice is saved', async (t) => {
+  const client = loadClient();
+  t.after(() => client.close());
+  const Themes = client.get('Themes');
+  await client.ready;
+  
+  const theme = await Themes.select('does-not-exist');
+  assert.strictEqual(theme.id, 'classic');
+  assert.strictEqual(client.window.localStorage.getItem('bomberman_theme'), 'classic');
+  assert.strictEqual(client.window.document.querySelector('.theme-select').value, 'classic');
+});
+
+test('tiles use theme sprites and fall back to colors for missing ones', (t) => {
+  const client = loadClient();
+  t.after(() => client.close());
+  const Renderer = client.get('Renderer');
+  const image = {};
+  const theme = { ...Themes.parseManifest(manifest), image };
+  client.get('Themes').current = theme;
+  Renderer.setTheme(theme);
+  
+  const wall = recorder();
+  Renderer.paintTile(wall.ctx, 2, 1, '#');
+  assert.deepStrictEqual(wall.calls.map(call => call[0]), ['clearRect', 'drawImage']); // No grid in this theme
+  assert.deepStrictEqual(wall.calls[1], ['drawImage', image, 16, 0, 16, 16, 80, 40, 40, 40]);
+  
+  const box = recorder();
+  Renderer.paintTile(box.ctx, 0, 0, 'X');
+  assert.deepStrictEqual(box.calls.map(call => call[0]), ['clearRect', 'fillRect', 'strokeRect']);
+  assert.strictEqual(Renderer.colors.BOX, '#8b6f47');
+  assert.strictEqual(Renderer.colors.WALL, '#123456');
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { TimeSync } = require('../src/js/timesync.js');
+
+// Clocks the tests control: performance.now() times pings, Date.now() is the client clock
+function setup(t) {
+  const clock = { perf: 0, date: 10000 };
+  t.mock.method(performance, 'now', () => clock.perf);
+  t.mock.method(Date, 'now', () => clock.date);
+  TimeSync.reset();
+  TimeSync.tickRate = null;
+  return clock;
+}
+
+// Answer a ping after rtt ms; the server's clock is `offset` ahead of ours
+function pong(clock, seq, rtt, offset, extra = {}) {
+  TimeSync.inFlight.set(seq, clock.perf);
+  const clientTime = clock.date;
+  clock.perf += rtt;
+  clock.date += rtt;
+  TimeSync.handlePong({ type: 'PONG', seq, clientTime, serverTime: clientTime + rtt / 2 + offset, ...extra });
+}
+
+test('RTT and jitter are smoothed like SRTT and RTTVAR', (t) => {
+  const clock = setup(t);
+  pong(clock, 1, 100, 0);
+  assert.deepStrictEqual([TimeSync.rtt, TimeSync.jitter], [100, 50]);
+  
+  pong(clock, 2, 140, 0);
+  assert.deepStrictEqual([TimeSync.rtt, TimeSync.jitter], [105, 47.5]);
+  
+  pong(clock, 3, 60, 0);
+  assert.deepStrictEqual([TimeSync.rtt, TimeSync.jitter], [99.375, 46.875]);
+});
+
+test('the offset comes from the sample with the lowest RTT', (t) => {
+  const clock = setup(t);
+  pong(clock, 1, 80, 500);
+  // Queued on the way back: looks like a much later server clock
+  TimeSync.inFlight.set(2, clock.perf);
+  const clientTime = clock.date;
+  clock.perf += 300;
+  clock.date += 300;
+  TimeSync.handlePong({ type: 'PONG', seq: 2, clientTime, serverTime: clientTime + 250 + 500 });
+  assert.strictEqual(TimeSync.offset, 500);
+  
+  pong(clock, 3, 20, 480);
+  assert.strictEqual(TimeSync.offset, 480);
+});
+
+test('unknown or repeated PONGs are ignored', (t) => {
+  const clock = setup(t);
+  pong(clock, 1, 100, 0);
+  TimeSync.handlePong({ type: 'PONG', seq: 1, clientTime: 0, serverTime: 99999 });
+  TimeSync.handlePong({ type: 'PONG', seq: 42, clientTime: 0, serverTime: 99999 });
+  assert.strictEqual(TimeSync.samples.length, 1);
+});
+
+test('the server tick is estimated from the last anchor once synced', (t) => {
+  const clock = setup(t);
+  pong(clock, 1, 40, 1000, { serverTick: 500, tickRate: 60 });
+  assert.strictEqual(TimeSync.estimateServerTick(), null); // Not enough samples yet
+  
+  pong(clock, 2, 40, 1000);
+  pong(clock, 3, 40, 1000, { serverTick: 600 });
+  const anchorTime = TimeSync.tickAnchor.serverTime;
+  
+  clock.date += 500;
+  const expected = 600 + (clock.date + 1000 - anchorTime) * 60 / 1000;
+  assert.strictEqual(TimeSync.estimateServerTick(20), expected);
+  
+  // A GAME_STATE re-anchors the tick at its send time
+  TimeSync.noteServerTick(700);
+  assert.strictEqual(TimeSync.estimateServerTick(), 700 + TimeSync.getOneWayDelay() * 60 / 1000);
+});